@@ -0,0 +1,907 @@
+/*
+  distance-engine.js
+
+  The per-minute distance math, separated from the page.
+
+  Nothing in here touches the DOM: it takes lap times, minute positions and the track,
+  and returns structured rows or validation errors. script.js reads the inputs from the
+  page, calls computeDistances() and formats the output.
+
+  In the browser this file is loaded with a plain <script> tag before script.js, so the
+  functions are globals like everything else. Under Node (the test suite) the same
+  functions are available through module.exports at the bottom.
+*/
+
+/* =========================
+   Track geometry
+   ========================= */
+
+// A lap tap this close after a minute mark can still belong to that minute (see computeDistances).
+const LAP_BOUNDARY_TOLERANCE_S = 1.0;
+
+// Corridors can be marked in feet. Distances are always computed and returned in metres.
+const METRES_PER_FOOT = 0.3048;
+
+/**
+ * Metres per floor-marking unit of a track. track.unit is "m" (the default) or "ft";
+ * track.lengthM is always in metres, whatever the markings are in.
+ */
+function getMarkingUnitFactor(track) {
+  return track.unit === "ft" ? METRES_PER_FOOT : 1;
+}
+
+/**
+ * Length of one complete lap in metres for a track { layout, lengthM, unit }.
+ * Shuttle: out and back, so twice the corridor. Loop: the loop itself.
+ */
+function getLapLengthForTrack(track) {
+  return track.layout === "loop" ? track.lengthM : track.lengthM * 2;
+}
+
+/**
+ * Largest floor marking a sticky note can show on a track, in the track's marking unit.
+ * On a loop the marking equal to the loop length is the start line again, so it stops one short.
+ */
+function getMaxPositionForTrack(track) {
+  const length = Math.round(track.lengthM / getMarkingUnitFactor(track));
+  return track.layout === "loop" ? length - 1 : length;
+}
+
+/* =========================
+   Time parsing
+   ========================= */
+
+function parseTimeFlexibleToSeconds(str) {
+  const raw = String(str || "").trim();
+  if (!raw) return null;
+
+  // Accept manual entries as:
+  //   ss      -> 00:ss
+  //   m:ss    -> 0m:ss
+  //   mm:ss   -> mm:ss
+  // Also tolerate whitespace and single-digit seconds (e.g. 1:4 -> 01:04).
+  const compact = raw.replace(/\s+/g, "");
+
+  // Seconds only, e.g. "37"
+  if (/^\d+$/.test(compact)) {
+    return parseInt(compact, 10);
+  }
+
+  // One colon only, e.g. "1:23" or "01:23"
+  const parts = compact.split(":");
+  if (parts.length !== 2) return null;
+
+  const [minutesPart, secondsPart] = parts;
+  if (minutesPart === "" || secondsPart === "") return null;
+  if (!/^\d+$/.test(minutesPart) || !/^\d+$/.test(secondsPart)) return null;
+
+  let minutes = parseInt(minutesPart, 10);
+  let seconds = parseInt(secondsPart, 10);
+  if (Number.isNaN(minutes) || Number.isNaN(seconds)) return null;
+
+  // Carry seconds overflow into minutes so values like 2:75 still normalize cleanly.
+  minutes += Math.floor(seconds / 60);
+  seconds = seconds % 60;
+
+  return minutes * 60 + seconds;
+}
+
+/**
+ * Parse a stopwatch lap time that may carry fractions of a second.
+ * Accepts ss, ss.s, m:ss and m:ss.s (any number of decimals), e.g. "65.3" or "1:05.3".
+ * Seconds overflow carries into minutes like parseTimeFlexibleToSeconds ("1:75.5" -> 135.5).
+ * Returns seconds as a number, or null when the text is not a time.
+ */
+function parseLapTimeToSeconds(str) {
+  const compact = String(str || "").replace(/\s+/g, "");
+  const m = compact.match(/^(?:(\d+):)?(\d+(?:\.\d+)?)$/);
+  if (!m) return null;
+  const minutes = m[1] === undefined ? 0 : parseInt(m[1], 10);
+  const seconds = parseFloat(m[2]);
+  return minutes * 60 + seconds;
+}
+
+/* =========================
+   Lap list import (pasted text or a CSV/TXT file)
+   ========================= */
+
+// A field that looks like a time: ss, ss.ss, m:ss(.ss) or h:mm:ss(.ss).
+const IMPORT_TIME_PATTERN = /^\d+(?::\d+){0,2}(?:\.\d+)?$/;
+
+/**
+ * Parse one imported time: ss or ss.ss, m:ss(.ss) or h:mm:ss(.ss).
+ * Unlike typed entries, minutes and seconds after a colon must be below 60: in an export,
+ * "1:75" is a damaged value rather than shorthand. Returns seconds, or null.
+ */
+function parseImportedTime(field) {
+  const m = String(field).match(/^(?:(?:(\d+):)?(\d+):)?(\d+(?:\.\d+)?)$/);
+  if (!m) return null;
+  const [, hours, minutes, seconds] = m;
+  const secs = parseFloat(seconds);
+  if (minutes !== undefined && secs >= 60) return null;
+  if (hours !== undefined && parseInt(minutes, 10) >= 60) return null;
+  return (hours ? parseInt(hours, 10) * 3600 : 0) + (minutes ? parseInt(minutes, 10) * 60 : 0) + secs;
+}
+
+/**
+ * Fields of one import line. Semicolons and tabs separate fields in spreadsheet exports that
+ * use a decimal comma, so commas between them are decimals; otherwise commas and spaces
+ * separate fields. "45,32" alone is a lap and a time in a CSV, and one value with a decimal
+ * comma only with `decimalComma`. Surrounding quotes are dropped.
+ */
+function splitImportLine(line, decimalComma = false) {
+  const unquote = (field) => field.trim().replace(/^"(.*)"$/, "$1").trim();
+  if (decimalComma && /^\d+(?::\d+){0,2},\d+$/.test(line)) return [line.replace(",", ".")];
+  if (/[;\t]/.test(line)) {
+    return line
+      .split(/[;\t]/)
+      .map((field) => unquote(field).replace(",", "."))
+      .filter(Boolean);
+  }
+  return line.split(/[,\s]+/).map(unquote).filter(Boolean);
+}
+
+/**
+ * Parse a pasted or loaded list of lap times, one lap per line, as cumulative times (since
+ * the start) or as splits (each lap's own time) when `split` is set. A line with several
+ * times (lap number, split, total) uses the last one for cumulative times and the first for
+ * splits; a whole number before them is the lap number when it is the next lap or when two
+ * more times follow ("45 45" is a split and a total, "1 45" lap 1). Text lines before the
+ * first time are headings and are skipped. With `wholeSeconds`, cumulative times are rounded
+ * to the second first (the manual lap table keeps whole seconds). With `decimalComma`, a line
+ * holding only "45,5" is 45.5 s rather than lap 45 at 5 s.
+ *
+ * Returns { entries, lapTimes }: an entry per non-blank line { line, text, lap, seconds,
+ * skipped, error } and the accepted cumulative times. error is a code ("no-time",
+ * "invalid-time", "zero-time", "not-increasing" or "after-end") or null; lap and seconds are
+ * null unless the line was accepted.
+ */
+function parseLapImport(
+  text,
+  { split = false, maxSeconds = Infinity, wholeSeconds = false, decimalComma = false } = {}
+) {
+  const entries = [];
+  const lapTimes = [];
+  let previous = 0; // last accepted cumulative time, as stored
+  let splitTotal = 0; // unrounded sum of the accepted splits, so rounding does not drift
+  let seenTime = false;
+
+  String(text || "")
+    .split(/\r\n|\r|\n/)
+    .forEach((raw, index) => {
+      const line = raw.trim();
+      if (!line) return;
+      const entry = { line: index + 1, text: line, lap: null, seconds: null, skipped: false, error: null };
+      entries.push(entry);
+
+      const fields = splitImportLine(line, decimalComma);
+      let times = fields.filter((field) => IMPORT_TIME_PATTERN.test(field));
+      // A leading whole number is a lap number when it is the next lap or a split and total follow.
+      const lapNumber = /^\d+$/.test(times[0]) && (times.length > 2 || Number(times[0]) === lapTimes.length + 1);
+      if (times.length > 1 && lapNumber) times = times.slice(1);
+      if (!times.length) {
+        if (!seenTime && /[a-z]/i.test(line)) {
+          entry.skipped = true;
+        } else {
+          entry.error = "no-time";
+        }
+        return;
+      }
+      seenTime = true;
+
+      const value = parseImportedTime(split ? times[0] : times[times.length - 1]);
+      if (value === null) {
+        entry.error = "invalid-time";
+        return;
+      }
+      if (!(value > 0)) {
+        entry.error = "zero-time";
+        return;
+      }
+      // Splits are summed to the millisecond so float error cannot show up as 92.42000000000002.
+      const exact = split ? Math.round((splitTotal + value) * 1000) / 1000 : value;
+      const seconds = wholeSeconds ? Math.round(exact) : exact;
+      if (seconds <= previous) {
+        entry.error = "not-increasing";
+        return;
+      }
+      if (seconds > maxSeconds) {
+        entry.error = "after-end";
+        return;
+      }
+
+      previous = seconds;
+      splitTotal = exact;
+      lapTimes.push(seconds);
+      entry.lap = lapTimes.length;
+      entry.seconds = seconds;
+    });
+
+  return { entries, lapTimes };
+}
+
+/* =========================
+   Per-minute distance math
+   ========================= */
+
+/**
+ * Given a sorted array of lap times (in seconds) and a query time tSeconds,
+ * return how many laps have been completed at or before that time.
+ * This matches the behavior of the original text-based implementation.
+ */
+function getLapsCompletedByTime(sortedLapTimes, tSeconds) {
+  let count = 0;
+  for (let i = 0; i < sortedLapTimes.length; i++) {
+    if (sortedLapTimes[i] <= tSeconds) {
+      count++;
+    } else {
+      break;
+    }
+  }
+  return count;
+}
+
+/**
+ * Convert the sticky-note position and direction ("out" or "back")
+ * into an offset in metres along the current lap, measured from the starting line.
+ * pos is the floor marking in the track's unit; feet are converted to metres first.
+ * Shown here for the default 25 m corridor (L = 25):
+ *
+ * - "out":  position is 0..L, so the offset is just posM
+ * - "back": position is 0..L, but the lap distance is L..2L, so we transform
+ *           it as (2L - posM) to get an L..2L offset.
+ * - loop:   there is no direction; the marking already is the offset.
+ */
+function positionToOffsetWithinLap(pos, direction, track) {
+  const posM = pos * getMarkingUnitFactor(track);
+  if (track.layout === "loop") return posM;
+
+  const dir = direction.toLowerCase();
+  if (dir === "out") {
+    return posM;
+  } else if (dir === "back") {
+    // Treat 0 as the start line regardless of direction.
+    // Without this, (back, 0) would become a full lap length and double-count a lap.
+    if (posM === 0) return 0;
+    return getLapLengthForTrack(track) - posM;
+  }
+  throw new Error('direction must be "out" or "back"');
+}
+
+/**
+ * Validate one position/direction pair. `where` finishes the error messages ("minute 3").
+ * Returns { pos, dir } with pos the floor marking in the track's unit, or
+ * { error: { code, message } }.
+ */
+function validatePosition(pos, dir, track, where) {
+  const maxPos = getMaxPositionForTrack(track);
+  const unit = track.unit === "ft" ? "ft" : "m";
+  const rawPos = String(pos === null || pos === undefined ? "" : pos).trim();
+  // A loop has no direction; treat it as "out" so the start-line boundary logic still applies.
+  const rawDir = track.layout === "loop" ? "out" : String(dir || "").trim().toLowerCase();
+
+  if (!rawPos) {
+    return {
+      error: {
+        code: "missing-position",
+        message: `Please enter a position (0 to ${maxPos} ${unit}) for ${where}.`
+      }
+    };
+  }
+
+  const marking = parseInt(rawPos, 10);
+  if (Number.isNaN(marking) || marking < 0 || marking > maxPos) {
+    return {
+      error: {
+        code: "invalid-position",
+        message: `Position must be between 0 and ${maxPos} for ${where}.`
+      }
+    };
+  }
+
+  if (rawDir !== "out" && rawDir !== "back") {
+    return {
+      error: {
+        code: "invalid-direction",
+        message: `Direction must be 'out' or 'back' for ${where}.`
+      }
+    };
+  }
+
+  return { pos: marking, dir: rawDir };
+}
+
+/**
+ * Validate the raw minute inputs.
+ * minutes: [{ minute, pos, dir, capturedAtS }] where pos is the select value (string or number),
+ * dir is "out"/"back" (ignored on a loop) and capturedAtS is optional: the stopwatch time at which
+ * the position was captured live (see computeDistances).
+ *
+ * Returns { minuteInfo, errors }. minuteInfo is [{ minute, pos, dir, capturedAtS }] with pos the
+ * floor marking as a number. Each error is { code, minute, message } with code one of
+ * "missing-position", "invalid-position" or "invalid-direction".
+ */
+function validateMinuteInputs(minutes, track) {
+  const minuteInfo = [];
+  const errors = [];
+
+  minutes.forEach(({ minute, pos, dir, capturedAtS }) => {
+    const checked = validatePosition(pos, dir, track, `minute ${minute}`);
+    if (checked.error) {
+      errors.push({ ...checked.error, minute });
+      return;
+    }
+
+    minuteInfo.push({
+      minute,
+      pos: checked.pos,
+      dir: checked.dir,
+      capturedAtS: typeof capturedAtS === "number" && Number.isFinite(capturedAtS) ? capturedAtS : null
+    });
+  });
+
+  return { minuteInfo, errors };
+}
+
+/**
+ * Compute per-minute distances.
+ *
+ * input: {
+ *   lapTimes:    cumulative lap times in seconds (any order),
+ *   minutes:     [{ minute, pos, dir, capturedAtS }] as for validateMinuteInputs(),
+ *   track:       { layout: "shuttle" | "loop", lengthM, unit: "m" | "ft" (default "m") },
+ *   termination: optional { timeS, pos, dir } when the test was stopped early
+ * }
+ *
+ * Returns { errors, rows, terminationRow, notCompletedMinutes, totalDistanceM, totalLaps,
+ * lapLengthM, sortedLapTimes }.
+ * When errors is non-empty the other fields describe nothing and should not be shown.
+ * Each row also records how it was derived (laps counted, boundary correction, offset, clamp).
+ * Rows give the position both as marked (position, in the track's unit) and in metres (positionM);
+ * every distance is in metres.
+ *
+ * With a termination, only minutes whose mark falls at or before timeS need a position.
+ * The rest are listed in notCompletedMinutes, and terminationRow (minute: null) measures
+ * the final position at timeS; the total distance is taken from it.
+ */
+function computeDistances({ lapTimes, minutes, track, termination = null }) {
+  const lapLengthM = getLapLengthForTrack(track);
+
+  // Sort a copy of lapTimes so even if something unusual happens,
+  // the per minute logic behaves like the original text based version.
+  const sortedLapTimes = [...lapTimes].sort((a, b) => a - b);
+
+  const endS = termination ? termination.timeS : null;
+  const completed = termination ? minutes.filter((m) => m.minute * 60 <= endS) : minutes;
+  const notCompletedMinutes = termination
+    ? minutes.filter((m) => m.minute * 60 > endS).map((m) => m.minute)
+    : [];
+
+  const { minuteInfo, errors } = validateMinuteInputs(completed, track);
+
+  let endInfo = null;
+  if (termination) {
+    if (typeof endS !== "number" || !Number.isFinite(endS) || endS <= 0) {
+      errors.push({
+        code: "invalid-termination-time",
+        minute: null,
+        message: "Enter the time the test was stopped."
+      });
+    } else {
+      const checked = validatePosition(termination.pos, termination.dir, track, "the stop position");
+      if (checked.error) {
+        errors.push({ ...checked.error, minute: null });
+      } else {
+        endInfo = { minute: null, pos: checked.pos, dir: checked.dir, capturedAtS: null };
+      }
+    }
+  }
+
+  if (errors.length) {
+    return {
+      errors,
+      rows: [],
+      terminationRow: null,
+      notCompletedMinutes,
+      totalDistanceM: 0,
+      totalLaps: 0,
+      lapLengthM,
+      sortedLapTimes
+    };
+  }
+
+  let prevTotalDistance = 0;
+
+  // Distance at one measured position: full laps by the reference time plus the offset.
+  const measure = (info, tSec) => {
+    const minute = info.minute;
+
+    // A position captured live is where the patient was when the tester tapped it, a moment
+    // after the minute mark. Count laps up to that same moment so a lap tapped in between
+    // is not lost. Sticky notes (no capture time) are read at the minute mark itself.
+    const referenceTimeS =
+      info.capturedAtS !== null && info.capturedAtS >= tSec ? info.capturedAtS : tSec;
+    const lapsCounted = getLapsCompletedByTime(sortedLapTimes, referenceTimeS);
+    let lapsCompleted = lapsCounted;
+    let boundaryCorrected = false;
+
+    // Boundary correction:
+    // If the sticky note shows the subject exactly at the start line and heading back out,
+    // they have effectively completed the previous lap at that minute.
+    // Stopwatch lap taps can land a fraction of a second after the minute mark, which would
+    // otherwise shift that completed lap into the following minute.
+    if (
+      info.pos === 0 &&
+      info.dir === "out" &&
+      lapsCompleted < sortedLapTimes.length
+    ) {
+      const nextLapTime = sortedLapTimes[lapsCompleted];
+      if (nextLapTime - referenceTimeS <= LAP_BOUNDARY_TOLERANCE_S) {
+        lapsCompleted += 1;
+        boundaryCorrected = true;
+      }
+    }
+
+    const distFullLaps = lapsCompleted * lapLengthM;
+
+    const offset = positionToOffsetWithinLap(info.pos, info.dir, track);
+    const rawTotalDistance = distFullLaps + offset;
+    let totalDistance = rawTotalDistance;
+
+    // Enforce non decreasing total distance - same idea as original.
+    const clamped = totalDistance < prevTotalDistance;
+    if (clamped) {
+      totalDistance = prevTotalDistance;
+    }
+
+    const distanceThisMinute = totalDistance - prevTotalDistance;
+    const lapsThisMinute = distanceThisMinute / lapLengthM;
+    prevTotalDistance = totalDistance;
+
+    return {
+      minute,
+      timeS: tSec,
+      referenceTimeS,
+      capturedAtS: info.capturedAtS,
+      position: info.pos,
+      positionM: info.pos * getMarkingUnitFactor(track),
+      direction: info.dir,
+      lapsCounted,
+      lapsCompleted,
+      boundaryCorrected,
+      offsetM: offset,
+      rawTotalDistanceM: rawTotalDistance,
+      clamped,
+      distanceThisMinuteM: distanceThisMinute,
+      lapsThisMinute,
+      totalDistanceM: totalDistance
+    };
+  };
+
+  const rows = minuteInfo.map((info) => measure(info, info.minute * 60));
+  // The stop row covers the part of the minute walked before the test was stopped.
+  const terminationRow = endInfo ? measure(endInfo, endS) : null;
+
+  const lastRow = terminationRow || rows[rows.length - 1];
+  const totalDistanceM = lastRow ? lastRow.totalDistanceM : 0;
+
+  return {
+    errors: [],
+    rows,
+    terminationRow,
+    notCompletedMinutes,
+    totalDistanceM,
+    totalLaps: totalDistanceM / lapLengthM,
+    lapLengthM,
+    sortedLapTimes
+  };
+}
+
+/* =========================
+   Rest stops
+   ========================= */
+
+/**
+ * Summarize rest stops recorded against the test clock.
+ * restStops: [{ startS, endS }] in seconds; endS is null while the patient is still resting.
+ *
+ * Returns { count, totalRestS, openCount, stops } where each stop also carries its duration
+ * and the test minute(s) it fell in (minute 1 is 0:00 to 1:00). Stops still in progress are
+ * listed but left out of totalRestS.
+ */
+function summarizeRestStops(restStops) {
+  const minuteOf = (s) => Math.floor(s / 60) + 1;
+
+  const stops = [...restStops]
+    .sort((a, b) => a.startS - b.startS)
+    .map((stop, index) => {
+      const open = stop.endS === null || stop.endS === undefined;
+      return {
+        number: index + 1,
+        startS: stop.startS,
+        endS: open ? null : stop.endS,
+        durationS: open ? null : Math.max(0, stop.endS - stop.startS),
+        startMinute: minuteOf(stop.startS),
+        // A stop that ends exactly on a minute mark did not rest into the next minute.
+        endMinute: open ? null : Math.max(minuteOf(stop.startS), Math.ceil(stop.endS / 60))
+      };
+    });
+
+  const closed = stops.filter((stop) => stop.durationS !== null);
+
+  return {
+    count: stops.length,
+    totalRestS: closed.reduce((sum, stop) => sum + stop.durationS, 0),
+    openCount: stops.length - closed.length,
+    stops
+  };
+}
+
+/* =========================
+   Pace analytics
+   ========================= */
+
+// A drop in speed of at least this much from the first two minutes to the last two is flagged.
+const SLOWDOWN_THRESHOLD_PERCENT = 10;
+
+/** Mean, standard deviation and coefficient of variation (%) of a list; null when empty. */
+function describeSpread(values) {
+  if (!values.length) return null;
+  const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+  // Sample standard deviation; a single value has no spread.
+  const sd =
+    values.length > 1
+      ? Math.sqrt(values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / (values.length - 1))
+      : 0;
+  return {
+    mean,
+    sd,
+    cvPercent: mean > 0 ? (sd / mean) * 100 : null,
+    min: Math.min(...values),
+    max: Math.max(...values)
+  };
+}
+
+/**
+ * Split times and walking speeds from a computeDistances() result.
+ *
+ * input: { sortedLapTimes, rows, terminationRow, lapLengthM } as returned by computeDistances().
+ *
+ * Returns {
+ *   laps:     [{ lap, endS, splitS, speedMps }]  one per lap tap,
+ *   minutes:  [{ minute, durationS, distanceM, speedMps }]  one per row, plus the stop row
+ *             (minute: null) after an early termination,
+ *   lapSplits:    describeSpread() of the split times (pace variability), or null,
+ *   minuteSpeeds: describeSpread() of the per-minute speeds, or null,
+ *   slowdown: { firstMps, lastMps, changePercent, slowed } comparing the first two and last
+ *             two full minutes, or null with fewer than four full minutes
+ * }
+ * Speeds are in m/s; multiply by 3.6 for km/h.
+ */
+function computePaceAnalytics({ sortedLapTimes, rows, terminationRow = null, lapLengthM }) {
+  const laps = sortedLapTimes.map((endS, i) => {
+    const splitS = endS - (i > 0 ? sortedLapTimes[i - 1] : 0);
+    return { lap: i + 1, endS, splitS, speedMps: splitS > 0 ? lapLengthM / splitS : null };
+  });
+
+  const measured = terminationRow ? [...rows, terminationRow] : rows;
+  const minutes = measured.map((row, i) => {
+    const durationS = row.timeS - (i > 0 ? measured[i - 1].timeS : 0);
+    return {
+      minute: row.minute,
+      durationS,
+      distanceM: row.distanceThisMinuteM,
+      speedMps: durationS > 0 ? row.distanceThisMinuteM / durationS : null
+    };
+  });
+
+  // Variability and slowdown only use whole minutes, so a short stop row cannot skew them.
+  const fullMinuteSpeeds = minutes
+    .filter((m) => m.minute !== null && m.speedMps !== null)
+    .map((m) => m.speedMps);
+
+  let slowdown = null;
+  if (fullMinuteSpeeds.length >= 4) {
+    const firstMps = (fullMinuteSpeeds[0] + fullMinuteSpeeds[1]) / 2;
+    const n = fullMinuteSpeeds.length;
+    const lastMps = (fullMinuteSpeeds[n - 2] + fullMinuteSpeeds[n - 1]) / 2;
+    const changePercent = firstMps > 0 ? ((lastMps - firstMps) / firstMps) * 100 : null;
+    slowdown = {
+      firstMps,
+      lastMps,
+      changePercent,
+      slowed: changePercent !== null && changePercent <= -SLOWDOWN_THRESHOLD_PERCENT
+    };
+  }
+
+  return {
+    laps,
+    minutes,
+    lapSplits: describeSpread(laps.map((lap) => lap.splitS)),
+    minuteSpeeds: describeSpread(fullMinuteSpeeds),
+    slowdown
+  };
+}
+
+/* =========================
+   Data-quality checks
+   ========================= */
+
+// Faster than this (about 9 km/h) is running, not walking; such a lap or minute is flagged.
+const MAX_PLAUSIBLE_WALK_SPEED_MPS = 2.5;
+
+// A sticky note further than this fraction of a lap from where the lap timing puts the
+// patient is flagged as a conflict (typically a wrong direction or a late/missed lap tap).
+const POSITION_CONFLICT_LAP_FRACTION = 0.5;
+
+/**
+ * Look for signs of tester mistakes in a computeDistances() result.
+ *
+ * input: { sortedLapTimes, rows, terminationRow, lapLengthM } as returned by computeDistances().
+ *
+ * Returns a list of warnings { code, minute, lap, params, message }, in minute order then lap order:
+ *   "clamped"             the position put the total below the previous minute, so it was held
+ *   "boundary-corrected"  a lap tapped just after the mark was counted in this minute
+ *   "position-conflict"   the note disagrees with where the lap taps put the patient
+ *   "implausible-minute"  more distance in a minute than walking allows
+ *   "implausible-lap"     a lap split faster than walking allows (often a double tap)
+ * minute is null for the stop row after an early termination; lap is null unless the warning
+ * is about one lap. message is in English; params holds its numbers (metres and seconds,
+ * unrounded) so the page can word the warning in the interface language from the code.
+ */
+function checkDataQuality({ sortedLapTimes, rows, terminationRow = null, lapLengthM }) {
+  const warnings = [];
+  const measured = terminationRow ? [...rows, terminationRow] : rows;
+  const fmt = (n) => String(Math.round(n * 10) / 10);
+
+  measured.forEach((row, i) => {
+    const where = row.minute === null ? "At the stop" : `Minute ${row.minute}`;
+    const add = (code, params, message) =>
+      warnings.push({ code, minute: row.minute, lap: null, params, message });
+
+    if (row.clamped) {
+      add(
+        "clamped",
+        { rawTotalM: row.rawTotalDistanceM, totalM: row.totalDistanceM },
+        `${where}: the position gives ${fmt(row.rawTotalDistanceM)} m, less than the ` +
+          `${fmt(row.totalDistanceM)} m before it, so the distance was held. ` +
+          "Check the direction and for a missed lap."
+      );
+    }
+
+    if (row.boundaryCorrected) {
+      add(
+        "boundary-corrected",
+        { lap: row.lapsCompleted, toleranceS: LAP_BOUNDARY_TOLERANCE_S },
+        `${where}: lap ${row.lapsCompleted} was tapped up to ${LAP_BOUNDARY_TOLERANCE_S} s after the ` +
+          "mark and counted here because the note shows the start line."
+      );
+    }
+
+    // Where should the patient be within the lap at this moment, going by the lap taps?
+    // Only checkable between two taps, and not where the boundary correction already applied.
+    const lapStartS = row.lapsCounted > 0 ? sortedLapTimes[row.lapsCounted - 1] : 0;
+    const lapEndS = sortedLapTimes[row.lapsCounted];
+    if (!row.boundaryCorrected && lapEndS !== undefined && lapEndS > lapStartS) {
+      const expectedM = ((row.referenceTimeS - lapStartS) / (lapEndS - lapStartS)) * lapLengthM;
+      if (Math.abs(expectedM - row.offsetM) > lapLengthM * POSITION_CONFLICT_LAP_FRACTION) {
+        add(
+          "position-conflict",
+          { offsetM: row.offsetM, expectedM },
+          `${where}: the note puts the patient ${fmt(row.offsetM)} m into the lap, but the lap ` +
+            `times suggest about ${fmt(expectedM)} m. Check the direction and the lap taps.`
+        );
+      }
+    }
+
+    const durationS = row.timeS - (i > 0 ? measured[i - 1].timeS : 0);
+    if (durationS > 0 && row.distanceThisMinuteM / durationS > MAX_PLAUSIBLE_WALK_SPEED_MPS) {
+      add(
+        "implausible-minute",
+        { distanceM: row.distanceThisMinuteM, durationS, maxSpeedMps: MAX_PLAUSIBLE_WALK_SPEED_MPS },
+        `${where}: ${fmt(row.distanceThisMinuteM)} m in ${fmt(durationS)} s is faster than walking ` +
+          `(over ${MAX_PLAUSIBLE_WALK_SPEED_MPS} m/s). Check for an extra lap or a wrong position.`
+      );
+    }
+  });
+
+  sortedLapTimes.forEach((endS, i) => {
+    const splitS = endS - (i > 0 ? sortedLapTimes[i - 1] : 0);
+    if (splitS > 0 && lapLengthM / splitS > MAX_PLAUSIBLE_WALK_SPEED_MPS) {
+      warnings.push({
+        code: "implausible-lap",
+        minute: null,
+        lap: i + 1,
+        params: { lapLengthM, splitS, maxSpeedMps: MAX_PLAUSIBLE_WALK_SPEED_MPS },
+        message:
+          `Lap ${i + 1}: ${lapLengthM} m in ${fmt(splitS)} s is faster than walking ` +
+          `(over ${MAX_PLAUSIBLE_WALK_SPEED_MPS} m/s). It may be a double tap.`
+      });
+    }
+  });
+
+  return warnings;
+}
+
+/* =========================
+   Calculation trace
+   ========================= */
+
+/**
+ * Step-by-step account of how each row of a computeDistances() result was derived, for
+ * auditing a result. track is the track the result was computed for.
+ *
+ * Returns [{ minute, steps }] in row order, with the stop row (minute: null) last after an
+ * early termination. steps is a list of { code, params, text }, in this order:
+ *   reference time, laps counted by getLapsCompletedByTime(), the boundary correction (applied
+ *   or why not), the offset from positionToOffsetWithinLap(), the raw total, the
+ *   non-decreasing adjustment, and the resulting distance for the minute.
+ * text is a plain English sentence; code and params (unrounded numbers) let the page word
+ * the step in the interface language.
+ */
+function explainCalculation({ sortedLapTimes, rows, terminationRow = null, lapLengthM, track }) {
+  const measured = terminationRow ? [...rows, terminationRow] : rows;
+  const fmt = (n) => String(Math.round(n * 100) / 100);
+  const isLoop = track.layout === "loop";
+
+  return measured.map((row, i) => {
+    const steps = [];
+    const step = (code, params, text) => steps.push({ code, params, text });
+    const prevTotalM = i > 0 ? measured[i - 1].totalDistanceM : 0;
+    const unit = track.unit === "ft" ? "ft" : "m";
+    const where = isLoop ? `${row.position} ${unit}` : `${row.position} ${unit} ${row.direction}`;
+    const note = { position: row.position, unit, direction: isLoop ? null : row.direction };
+
+    // 1) Reference time
+    if (row.referenceTimeS > row.timeS) {
+      step(
+        "reference-captured",
+        { referenceS: row.referenceTimeS, afterS: row.referenceTimeS - row.timeS, markS: row.timeS },
+        `Reference time ${fmt(row.referenceTimeS)} s: the position was captured ` +
+          `${fmt(row.referenceTimeS - row.timeS)} s after the mark at ${fmt(row.timeS)} s.`
+      );
+    } else {
+      step(
+        row.minute === null ? "reference-stop" : "reference-mark",
+        { referenceS: row.timeS },
+        `Reference time ${fmt(row.timeS)} s: ` +
+          (row.minute === null ? "the time the test was stopped." : "the minute mark.")
+      );
+    }
+
+    // 2) Laps counted
+    const lastTapS = row.lapsCounted > 0 ? sortedLapTimes[row.lapsCounted - 1] : null;
+    step(
+      lastTapS === null ? "laps-counted" : "laps-counted-last",
+      { laps: row.lapsCounted, referenceS: row.referenceTimeS, lastTapS },
+      `getLapsCompletedByTime() counts ${row.lapsCounted} lap(s) tapped at or before ` +
+        `${fmt(row.referenceTimeS)} s` +
+        (lastTapS === null ? "." : ` (last tap at ${fmt(lastTapS)} s).`)
+    );
+
+    // 3) Boundary correction
+    const nextTapS = sortedLapTimes[row.lapsCounted];
+    if (row.boundaryCorrected) {
+      step(
+        "boundary-applied",
+        {
+          ...note,
+          nextLap: row.lapsCounted + 1,
+          afterS: nextTapS - row.referenceTimeS,
+          toleranceS: LAP_BOUNDARY_TOLERANCE_S,
+          laps: row.lapsCompleted
+        },
+        `Boundary correction applied: the note shows ${where} (at the start line heading out) ` +
+          `and lap ${row.lapsCounted + 1} was tapped ${fmt(nextTapS - row.referenceTimeS)} s ` +
+          `later, within ${LAP_BOUNDARY_TOLERANCE_S} s, so it counts here: ` +
+          `${row.lapsCompleted} lap(s).`
+      );
+    } else if (row.position !== 0 || row.direction !== "out") {
+      step(
+        "boundary-not-at-start",
+        note,
+        `Boundary correction not applied: it only applies at 0 heading out (the note shows ${where}).`
+      );
+    } else if (nextTapS === undefined) {
+      step(
+        "boundary-no-next-tap",
+        {},
+        "Boundary correction not applied: no lap was tapped after the reference time."
+      );
+    } else {
+      step(
+        "boundary-too-late",
+        { nextTapS, afterS: nextTapS - row.referenceTimeS, toleranceS: LAP_BOUNDARY_TOLERANCE_S },
+        `Boundary correction not applied: the next lap tap, at ${fmt(nextTapS)} s, is ` +
+          `${fmt(nextTapS - row.referenceTimeS)} s later, more than ${LAP_BOUNDARY_TOLERANCE_S} s.`
+      );
+    }
+
+    // 4) Offset within the lap
+    let method;
+    let offsetHow;
+    if (isLoop) {
+      method = "loop";
+      offsetHow = "on a loop the marking is the offset";
+    } else if (row.direction === "out") {
+      method = "out";
+      offsetHow = "heading out, the offset is the position";
+    } else if (row.position === 0) {
+      method = "start-line";
+      offsetHow = "back at 0 is the start line, not a full lap";
+    } else {
+      method = "back";
+      offsetHow = `heading back, the offset is ${fmt(lapLengthM)} - ${fmt(row.positionM)}`;
+    }
+    if (unit === "ft") offsetHow = `${row.position} ft = ${fmt(row.positionM)} m; ${offsetHow}`;
+    step(
+      "offset",
+      { ...note, method, offsetM: row.offsetM, lapLengthM, positionM: row.positionM },
+      `positionToOffsetWithinLap(${where}) = ${fmt(row.offsetM)} m (${offsetHow}).`
+    );
+
+    // 5) Raw total
+    step(
+      "raw-total",
+      { laps: row.lapsCompleted, lapLengthM, offsetM: row.offsetM, rawTotalM: row.rawTotalDistanceM },
+      `Raw total: ${row.lapsCompleted} x ${fmt(lapLengthM)} m + ${fmt(row.offsetM)} m = ` +
+        `${fmt(row.rawTotalDistanceM)} m.`
+    );
+
+    // 6) Non-decreasing adjustment
+    if (row.clamped) {
+      step(
+        "clamped",
+        { rawTotalM: row.rawTotalDistanceM, previousTotalM: prevTotalM, totalM: row.totalDistanceM },
+        `Non-decreasing adjustment: ${fmt(row.rawTotalDistanceM)} m is below the previous total ` +
+          `of ${fmt(prevTotalM)} m, so the total is held at ${fmt(row.totalDistanceM)} m.`
+      );
+    } else {
+      step(
+        "no-adjustment",
+        { previousTotalM: prevTotalM },
+        `No adjustment: not below the previous total of ${fmt(prevTotalM)} m.`
+      );
+    }
+
+    // 7) Distance for the minute
+    step(
+      "distance",
+      {
+        totalM: row.totalDistanceM,
+        previousTotalM: prevTotalM,
+        distanceM: row.distanceThisMinuteM,
+        laps: row.lapsThisMinute
+      },
+      `Distance: ${fmt(row.totalDistanceM)} - ${fmt(prevTotalM)} = ${fmt(row.distanceThisMinuteM)} m ` +
+        `(${fmt(row.lapsThisMinute)} laps).`
+    );
+
+    return { minute: row.minute, steps };
+  });
+}
+
+// Node (test suite) entry point; in the browser these are plain globals.
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    LAP_BOUNDARY_TOLERANCE_S,
+    METRES_PER_FOOT,
+    getMarkingUnitFactor,
+    getLapLengthForTrack,
+    getMaxPositionForTrack,
+    parseTimeFlexibleToSeconds,
+    parseLapTimeToSeconds,
+    parseImportedTime,
+    parseLapImport,
+    getLapsCompletedByTime,
+    positionToOffsetWithinLap,
+    validateMinuteInputs,
+    computeDistances,
+    summarizeRestStops,
+    SLOWDOWN_THRESHOLD_PERCENT,
+    computePaceAnalytics,
+    MAX_PLAUSIBLE_WALK_SPEED_MPS,
+    checkDataQuality,
+    explainCalculation
+  };
+}
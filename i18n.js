@@ -0,0 +1,1613 @@
+/*
+  i18n.js
+
+  Interface text in English, Spanish and French.
+
+  MESSAGES holds one catalog per language, keyed by message id. index.html marks its static
+  text with data-i18n="<id>" and script.js looks up everything it writes at run time, so a
+  language only needs its catalog here. A message missing from a catalog falls back to English.
+
+  Exports (CSV and JSON) are not translated: their field names and values are for
+  spreadsheets and analysis scripts, not for reading.
+
+  Like distance-engine.js this file has no DOM access: it is loaded with a plain <script> tag
+  before script.js, and the Node test suite loads it through module.exports at the bottom.
+*/
+
+const DEFAULT_LANGUAGE = "en";
+
+// Language code => name of the language in that language, for the language switcher.
+const LANGUAGES = {
+  en: "English",
+  es: "Español",
+  fr: "Français"
+};
+
+// Locale used for number formatting (and as the speech language when no voice matches).
+const LANGUAGE_LOCALES = {
+  en: "en-US",
+  es: "es-ES",
+  fr: "fr-FR"
+};
+
+const MESSAGES = {
+  en: {
+    // Page
+    "app.title": "{title} Calculator",
+    "app.documentTitle": "{title} Calculator + Stopwatch",
+    "app.intro":
+      "This tool uses cumulative lap times from a shuttle corridor or loop track plus sticky-note positions " +
+      "at each minute to calculate distance walked in each minute and total distance over the test.",
+    "language.label": "Interface language",
+
+    // Session and update banners
+    "resume.resume": "Resume previous session",
+    "resume.discard": "Start new session",
+    "update.ready": "A new version of the app has been downloaded and is ready to use offline.",
+    "update.reload": "Reload to update",
+    "update.later": "Later",
+    "update.stopFirst": "Finish or stop the test before updating.",
+    "resume.found": "A previous session was found ({details}).",
+    "resume.savedAt": "saved {time}",
+    "resume.laps.one": "{count} lap",
+    "resume.laps.other": "{count} laps",
+    "resume.group": "group test, {count} walkers",
+    "resume.running": "stopwatch was running",
+    "offline.ready": "Saved for offline use: this page now opens without a connection.",
+    "offline.available": "Available offline.",
+    "offline.error": "Offline use is not available ({message}).",
+
+    // Test and track setup
+    "setup.title": "Test and track setup",
+    "setup.protocol": "Protocol",
+    "setup.duration": "Duration (min)",
+    "setup.layout": "Layout",
+    "setup.units": "Units",
+    "protocol.name": "{minutes}-minute walk test",
+    "protocol.title": "{minutes}-Minute Walk Test",
+    "protocol.custom": "Custom duration",
+    "protocol.stopsAt": "Stopwatch stops at {time}.",
+    "protocol.nonStandard": "Predicted distance and the MCID apply to the 6-minute test only.",
+    "protocol.durationError":
+      "Custom duration must be a whole number of minutes between {min} and {max}. " +
+      "Still using {current} minutes.",
+    "layout.shuttle": "Shuttle (out and back)",
+    "layout.loop": "Continuous loop",
+    "units.metric": "Metres",
+    "units.imperial": "Feet",
+    "track.corridorLength": "Corridor length ({unit})",
+    "track.loopLength": "Loop length ({unit})",
+    "track.lapLoop": "1 lap = {lap} (continuous loop)",
+    "track.lapShuttle": "1 lap = {lap} ({length} out + {length} back)",
+    "track.lengthError": "Track length must be a whole number between {min} and {max} {unit}. Still using {lap}.",
+    "track.helpLoop":
+      "For each minute 1 to {minutes}, enter the floor marking at that minute " +
+      "(0 to {max} {unit} around the loop, measured from the start line).",
+    "track.helpShuttle":
+      "For each minute 1 to {minutes}, enter the floor marking at that minute (0 to {length} {unit}) " +
+      "and whether the subject was walking out (0 to {length} {unit}) or back ({length} to 0 {unit}).",
+
+    // Audio cues
+    "audio.title": "Audio cues",
+    "audio.beep": "Beep at each minute",
+    "audio.speech": "Speak standard encouragement",
+    "audio.volume": "Volume",
+    "audio.language": "Language",
+    "audio.voice": "Voice",
+    "audio.defaultVoice": "Default voice",
+    "audio.test": "Test audio",
+    "audio.nothingOn": "Turn on beeps or spoken encouragement first.",
+    "audio.noSpeech": "Speech is not available in this browser.",
+
+    // Spoken prompts (ATS 6MWT guideline wording in English)
+    "cue.doingWell": "You are doing well.",
+    "cue.goodWork": "Keep up the good work.",
+    "cue.minutesLeft": "You have {count} minutes to go.",
+    "cue.twoMinutesLeft": "You have only 2 minutes left.",
+    "cue.oneMinuteLeft": "You have only 1 minute to go.",
+    "cue.halfway": "You are halfway done.",
+    "cue.finalWarning":
+      "In a moment I'm going to tell you to stop. When I do, just stop right where you are and I will come to you.",
+    "cue.stop": "Stop!",
+
+    // Keyboard, clicker and lap button
+    "keys.title": "Keyboard, clicker and lap button",
+    "keys.enabled": "Keyboard and clicker shortcuts",
+    "keys.debounce": "Ignore repeat lap taps within (s)",
+    "keys.action": "Action",
+    "keys.keys": "Keys",
+    "keys.giant": "Giant lap button",
+    "keys.reset": "Restore default keys",
+    "keys.action.lap": "Lap",
+    "keys.action.startStop": "Start / stop",
+    "keys.action.undoLap": "Undo lap",
+    "keys.none": "none",
+    "keys.space": "Space",
+    "keys.add": "Add key",
+    "keys.pressKey": "Press a key…",
+    "keys.clear": "Clear",
+    "keys.capture": "Press the key or clicker button for \"{action}\" (Escape cancels).",
+    "keys.bound": "{key} now triggers \"{action}\".",
+    "keys.moved": "{key} now triggers \"{action}\" (removed from \"{previous}\").",
+    "keys.restored": "Default keys restored.",
+    "keys.debounceError": "Repeat-tap time must be 0 to {max} s; using {default} s.",
+    "giant.label": "LAP",
+    "giant.laps.one": "{count} lap",
+    "giant.laps.other": "{count} laps",
+    "giant.exit": "Exit giant button",
+    "giant.lap": "Lap {lap} at {time}",
+    "giant.notRunning": "Start the stopwatch to record laps.",
+
+    // Stopwatch and laps
+    "stopwatch.title": "Stopwatch and lap recorder",
+    "stopwatch.titleManual": "Lap recorder",
+    "stopwatch.manual": "Manual",
+    "stopwatch.start": "Start",
+    "stopwatch.stop": "Stop",
+    "stopwatch.finished": "Finished",
+    "stopwatch.lap": "Lap",
+    "stopwatch.restStart": "Rest start",
+    "stopwatch.restEnd": "Rest end",
+    "stopwatch.undoLap": "Undo lap",
+    "stopwatch.addLap": "Add missed lap",
+    "stopwatch.endEarly": "End test early",
+    "stopwatch.reset": "Reset",
+    "stopwatch.captureToggle": "Prompt for the patient's position at each minute",
+    "stopwatch.groupToggle": "Group test: time several walkers on this clock",
+    "stopwatch.manualHint":
+      "Enter cumulative lap times from your stopwatch (ss/m:ss/mm:ss). Press Enter/Done to add the next row.",
+    "screen.unsupported": "This browser cannot keep the screen on: turn off auto-lock for the test.",
+    "screen.on": "Screen kept on while the stopwatch runs.",
+    "screen.error": "Could not keep the screen on ({message}): turn off auto-lock for the test.",
+    "hidden.warning":
+      "The page was hidden during the test from {start} to {end} ({seconds} s). The clock kept time, but " +
+      "check that no lap taps or position prompts were missed.",
+    "hidden.reloaded":
+      "The page was closed or reloaded during the test from {start} to {end}. The clock kept time, but " +
+      "check that no lap taps or position prompts were missed.",
+    "laps.number": "Lap #",
+    "laps.time": "Time (mm:ss.s)",
+    "laps.timeManual": "Time (mm:ss)",
+    "laps.edit": "Edit",
+    "laps.newTime": "Time of the missed lap",
+    "laps.rest": "Rest {number}",
+    "laps.corrected": "Corrected after recording",
+    "laps.editLap": "Edit lap {lap}",
+    "laps.insertBefore": "Insert a missed lap before lap {lap}",
+    "laps.deleteLap": "Delete lap {lap}",
+    "laps.timeFor": "Time for lap {lap}",
+    "lapError.debounce": "Lap ignored: less than {seconds} s after the previous lap (repeat taps are ignored).",
+    "lapError.notIncreasing": "Lap ignored: lap time must be greater than previous lap time.",
+    "lapError.notChanged": "Lap not changed: {reason}",
+    "lapError.timeFormat": "Lap not changed: enter a time as ss.s, m:ss or m:ss.s.",
+    "lapError.range": "Lap {lap} must be between 00:00.1 and {max}.",
+    "lapError.order": "Lap {lap} must be later than lap {previous}: times must be strictly increasing.",
+    "lapError.afterClock": "{time} is later than the clock ({clock}).",
+    "manualError.blankRow": "Manual entry error: you left a blank row before lap {lap}.",
+    "manualError.format": "Manual entry error on lap {lap}: please enter a time as ss, m:ss, or mm:ss.",
+    "manualError.order": "Manual entry error on lap {lap}: times must be strictly increasing.",
+
+    // Screen reader labels and announcements
+    "a11y.timer": "Elapsed time",
+    "a11y.started": "Stopwatch running",
+    "a11y.stopped": "Stopwatch stopped at {time}",
+    "a11y.finished": "Test finished at {time}",
+    "a11y.lap": "Lap {lap} at {time}",
+    "a11y.walkerLap": "{name}: lap {lap} at {time}",
+    "a11y.lapUndone": "Lap {lap} removed",
+    "a11y.walkerLapUndone": "{name}: lap {lap} removed",
+    "a11y.results": "Results calculated. {total}",
+    "a11y.position": "Position at minute {minute}",
+    "a11y.dirBack": "Minute {minute}: back",
+    "a11y.finalDirBack": "Final position: back",
+
+    // Lap time import (manual mode)
+    "import.open": "Import lap times…",
+    "import.title": "Import lap times",
+    "import.help":
+      "One lap per line, as seconds, mm:ss, mm:ss.ss or hh:mm:ss. On lines with several times (lap, split, total), " +
+      "cumulative imports use the last and split imports the first. A heading line is skipped, and times are rounded " +
+      "to the second like typed laps.",
+    "import.paste": "Paste lap times",
+    "import.file": "Or load a CSV or TXT file",
+    "import.kind": "The times are",
+    "import.cumulative": "Cumulative (time since the start)",
+    "import.split": "Splits (each lap's own time)",
+    "import.decimalComma": "Decimal comma: a line \"45,5\" is 45.5 s, not lap 45 at 5 s",
+    "import.col.line": "Line",
+    "import.col.text": "Text",
+    "import.col.lap": "Lap",
+    "import.col.time": "Time (mm:ss)",
+    "import.col.status": "Status",
+    "import.ok": "OK",
+    "import.skipped": "Skipped (heading)",
+    "import.error.no-time": "No time found",
+    "import.error.invalid-time": "Not a valid time",
+    "import.error.zero-time": "A lap must end after 0:00",
+    "import.error.not-increasing": "Not later than the previous lap",
+    "import.error.after-end": "After the end of the test ({time})",
+    "import.empty": "Paste lap times or load a file to see a preview.",
+    "import.ready.one": "{count} lap ready to import.",
+    "import.ready.other": "{count} laps ready to import.",
+    "import.errors.one": "{count} line needs fixing before the laps can be imported.",
+    "import.errors.other": "{count} lines need fixing before the laps can be imported.",
+    "import.apply": "Import laps",
+    "import.cancel": "Cancel",
+    "import.fileError": "Could not read the file: {message}",
+    "import.confirmReplace.one": "Replace the lap time already entered?",
+    "import.confirmReplace.other": "Replace the {count} lap times already entered?",
+    "import.done.one": "{count} lap imported",
+    "import.done.other": "{count} laps imported",
+
+    // Positions and directions
+    "positions.title": "Sticky-note positions (each minute)",
+    "positions.minute": "Minute",
+    "positions.position": "Position ({unit})",
+    "positions.direction": "Direction",
+    "positions.keyboardHelp":
+      "Keyboard: Left and Right arrows move between a minute's position and direction, Up and Down arrows " +
+      "move between minutes on a direction button, and Enter on a position goes to the next minute.",
+    "direction.out": "out",
+    "direction.back": "back",
+    "position.where.minute": "minute {minute}",
+    "position.where.stop": "the stop position",
+    "position.missing": "Please enter a position (0 to {max} {unit}) for {where}.",
+    "position.invalid": "Position must be between 0 and {max} for {where}.",
+    "position.direction": "Direction must be 'out' or 'back' for {where}.",
+    "position.stopTime": "Enter the time the test was stopped.",
+    "capture.title": "Minute {minute}: where is the patient?",
+    "capture.skip": "Skip",
+    "capture.capturedAt": "Captured live at {time}",
+
+    // Early termination
+    "termination.toggle": "Test ended early",
+    "termination.time": "Stopped at (m:ss.s)",
+    "termination.reason": "Reason",
+    "termination.position": "Final position ({unit})",
+    "termination.details": "Details",
+    "termination.timeError": "Enter the stop time between 00:00.1 and {max} (m:ss.s).",
+    "termination.reasonError": "Choose why the test was stopped early.",
+    "reason.desaturation": "SpO2 desaturation",
+    "reason.chest-pain": "Chest pain",
+    "reason.dyspnea": "Intolerable dyspnea",
+    "reason.leg-cramps": "Leg cramps",
+    "reason.staggering": "Staggering",
+    "reason.diaphoresis": "Diaphoresis",
+    "reason.pallor": "Pale or ashen appearance",
+    "reason.patient-request": "Patient request",
+    "reason.other": "Other (see details)",
+
+    // Rest stops
+    "rest.range": "{start} to {end} ({seconds} s)",
+    "rest.open": "{start} to … (resting)",
+    "rest.minute": "minute {minute}",
+    "rest.minutes": "minutes {start}–{end}",
+
+    // Test details, vitals and demographics
+    "details.title": "Test details",
+    "details.patientId": "Patient ID",
+    "details.testId": "Test ID",
+    "details.tester": "Tester",
+    "details.notes": "Notes",
+    "vitals.title": "Vitals and Borg scores",
+    "vitals.help": "Optional. Enter what was measured; changes are reported with the results.",
+    "vitals.measure": "Measure",
+    "vitals.before": "Before",
+    "vitals.after": "After",
+    "vitals.spo2": "SpO2 (%)",
+    "vitals.spo2Nadir": "Lowest SpO2 during test (%)",
+    "vitals.hr": "Heart rate (bpm)",
+    "vitals.hrRecovery1": "Heart rate 1 min after (bpm)",
+    "vitals.sbp": "Systolic BP (mmHg)",
+    "vitals.dbp": "Diastolic BP (mmHg)",
+    "vitals.dyspnea": "Borg dyspnea (0–10)",
+    "vitals.fatigue": "Borg fatigue (0–10)",
+    "vitals.o2Flow": "Supplemental O2 (L/min)",
+    "vitals.rangeBefore": "{field} before the test must be between {min} and {max}.",
+    "vitals.rangeAfter": "{field} after the test must be between {min} and {max}.",
+    "vitals.bpBefore": "Diastolic BP before the test must be lower than systolic BP.",
+    "vitals.bpAfter": "Diastolic BP after the test must be lower than systolic BP.",
+    "demographics.title": "Patient demographics (optional)",
+    "demographics.help": "Used only for predicted distance. Leave blank to report measured distance only.",
+    "demographics.age": "Age (years)",
+    "demographics.sex": "Sex",
+    "demographics.male": "Male",
+    "demographics.female": "Female",
+    "demographics.height": "Height (cm)",
+    "demographics.weight": "Weight (kg)",
+    "demographics.equation": "Reference equation",
+    "demographics.chooseEquation": "Please choose a reference equation.",
+    "demographics.sexRequired": "Sex is required for {equation}.",
+    "demographics.required.age": "Age is required for {equation}.",
+    "demographics.required.heightCm": "Height is required for {equation}.",
+    "demographics.required.weightKg": "Weight is required for {equation}.",
+    "demographics.range.age": "Age must be between {min} and {max} years.",
+    "demographics.range.heightCm": "Height must be between {min} and {max} cm.",
+    "demographics.range.weightKg": "Weight must be between {min} and {max} kg.",
+
+    // Group test
+    "group.title": "Walkers",
+    "group.help":
+      "Tap a walker's lap button (or press their number key) each time they complete a lap. " +
+      "Lap corrections, rest stops, early termination, live capture and exports are for single-walker tests.",
+    "group.add": "Add walker",
+    "group.walker": "Walker {number}",
+    "group.walkerName": "Name of walker {number}",
+    "group.remove": "Remove",
+    "group.lapButton": "Lap: {name}",
+    "group.noLaps": "No laps yet.",
+    "group.laps.one": "{count} lap, last at {time}:",
+    "group.laps.other": "{count} laps, last at {time}:",
+    "group.confirmRemove.one": "Remove {name} and their lap?",
+    "group.confirmRemove.other": "Remove {name} and their {count} laps?",
+
+    // Calculation and results
+    "calc.calculate": "Calculate",
+    "calc.clearAll": "Clear all",
+    "calc.clearResults": "Clear results",
+    "results.title": "Results",
+    "results.placeholder": "Per-minute results will appear here.",
+    "results.explain": "Explain calculation (step-by-step trace of each minute)",
+    "results.exportCsv": "Export CSV",
+    "results.exportJson": "Export JSON",
+    "results.print": "Print report",
+    "results.saveHistory": "Save to history",
+    "results.fixManualLaps": "Error: fix manual lap times before calculating.",
+    "results.fixTermination": "Error: fix the early termination details before calculating.",
+    "results.inputError": "Error: {problem} for {where}.",
+    "results.problem.missing-position": "missing position",
+    "results.problem.invalid-position": "invalid position",
+    "results.problem.invalid-direction": "invalid direction",
+    "results.problem.invalid-termination-time": "invalid stop time",
+    "results.terminated": "TEST TERMINATED EARLY at {time}: {reason}",
+    "results.heading": "Per-minute distances ({protocol})",
+    "results.col.minute": "Min",
+    "results.col.time": "Time(s)",
+    "results.col.thisMinute": "{unit} this min",
+    "results.col.laps": "laps this min",
+    "results.col.total": "total {unit}",
+    "results.col.check": "Check",
+    "results.row.end": "end",
+    "results.row.notCompleted": "not completed",
+    "results.captured.one": "Captured live: minute {minutes} (laps counted up to the capture time)",
+    "results.captured.other": "Captured live: minutes {minutes} (laps counted up to the capture time)",
+    "results.warnings": "Data-quality warnings ({count}):",
+    "results.noWarnings": "Data-quality checks: no problems found.",
+    "results.totalDistance": "Total distance",
+    "results.totalLaps": "Total laps: {laps}",
+    "results.distanceLine": "{label} ({unit}): {value}",
+    "results.distanceLineWithMetres": "{label} ({unit}): {value} ({metres} m)",
+    "results.lapCorrections": "Lap corrections: {count} ({taps} taps recorded, {laps} laps used)",
+    "results.restNone": "Rest stops: none",
+    "results.rest": "Rest stops: {count} (total rest {seconds} s)",
+    "results.restStop": "Stop {number}: {range}, {minutes}",
+    "results.pageHidden":
+      "Page hidden during the test: {count} time(s), {seconds} s in total (check for missed lap taps)",
+    "results.predictedNot6": "Predicted distance not calculated: the reference equations are for the 6-minute test.",
+    "results.predictedError": "Predicted distance not calculated (see patient demographics).",
+    "results.equation": "Reference equation: {label}",
+    "results.predicted": "Predicted distance",
+    "results.lln": "Lower limit of normal",
+    "results.llnNotPublished": "Lower limit of normal: not published for this equation",
+    "results.percentPredicted": "% predicted: {percent}%",
+    "results.percentPredictedNa": "% predicted: n/a",
+    "results.belowLln": "Measured distance is below the lower limit of normal.",
+    "results.vitalsError": "Vitals not reported (see vitals and Borg scores).",
+    "results.vitals": "Vitals",
+    "results.change": "Change",
+    "results.spo2Nadir": "Lowest SpO2 during test: {value}%",
+    "results.spo2NadirDrop": "Lowest SpO2 during test: {value}% (drop of {drop} from baseline)",
+    "results.desaturation": "Exercise desaturation: SpO2 fell {points} or more points.",
+    "results.hrRecovery": "Heart-rate recovery at 1 min: {bpm} bpm",
+    "results.group": "Group test: {count} walkers ({protocol})",
+    "results.group.walker": "Walker",
+    "results.group.total": "Total {unit}",
+    "results.group.laps": "Laps",
+    "results.group.perMinute": "{unit}/min",
+    "results.group.warnings": "Warnings",
+    "results.group.notCalculated": "not calculated (see below)",
+    "results.group.minuteMatrix": "Distance per minute ({unit}):",
+    "results.group.error": "Error: {message}",
+
+    // Data-quality warnings and calculation steps, by the engine's code
+    "warning.minute": "Minute {minute}",
+    "warning.atStop": "At the stop",
+    "warning.clamped":
+      "{where}: the position gives {rawTotalM} m, less than the {totalM} m before it, so the distance was " +
+      "held. Check the direction and for a missed lap.",
+    "warning.boundary-corrected":
+      "{where}: lap {lap} was tapped up to {toleranceS} s after the mark and counted here because the note " +
+      "shows the start line.",
+    "warning.position-conflict":
+      "{where}: the note puts the patient {offsetM} m into the lap, but the lap times suggest about " +
+      "{expectedM} m. Check the direction and the lap taps.",
+    "warning.implausible-minute":
+      "{where}: {distanceM} m in {durationS} s is faster than walking (over {maxSpeedMps} m/s). Check for " +
+      "an extra lap or a wrong position.",
+    "warning.implausible-lap":
+      "Lap {lap}: {lapLengthM} m in {splitS} s is faster than walking (over {maxSpeedMps} m/s). It may be a " +
+      "double tap.",
+    "explain.minute": "Minute {minute}",
+    "explain.stopRow": "Stop row",
+    "explain.reference-captured":
+      "Reference time {referenceS} s: the position was captured {afterS} s after the mark at {markS} s.",
+    "explain.reference-mark": "Reference time {referenceS} s: the minute mark.",
+    "explain.reference-stop": "Reference time {referenceS} s: the time the test was stopped.",
+    "explain.laps-counted": "getLapsCompletedByTime() counts {laps} lap(s) tapped at or before {referenceS} s.",
+    "explain.laps-counted-last":
+      "getLapsCompletedByTime() counts {laps} lap(s) tapped at or before {referenceS} s (last tap at {lastTapS} s).",
+    "explain.boundary-applied":
+      "Boundary correction applied: the note shows {where} (at the start line heading out) and lap " +
+      "{nextLap} was tapped {afterS} s later, within {toleranceS} s, so it counts here: {laps} lap(s).",
+    "explain.boundary-not-at-start":
+      "Boundary correction not applied: it only applies at 0 heading out (the note shows {where}).",
+    "explain.boundary-no-next-tap": "Boundary correction not applied: no lap was tapped after the reference time.",
+    "explain.boundary-too-late":
+      "Boundary correction not applied: the next lap tap, at {nextTapS} s, is {afterS} s later, more than " +
+      "{toleranceS} s.",
+    "explain.offset": "positionToOffsetWithinLap({where}) = {offsetM} m ({how}).",
+    "explain.offset.loop": "on a loop the marking is the offset",
+    "explain.offset.out": "heading out, the offset is the position",
+    "explain.offset.start-line": "back at 0 is the start line, not a full lap",
+    "explain.offset.back": "heading back, the offset is {lapLengthM} - {positionM}",
+    "explain.offset.feet": "{position} ft = {positionM} m; {how}",
+    "explain.raw-total": "Raw total: {laps} x {lapLengthM} m + {offsetM} m = {rawTotalM} m.",
+    "explain.clamped":
+      "Non-decreasing adjustment: {rawTotalM} m is below the previous total of {previousTotalM} m, so the " +
+      "total is held at {totalM} m.",
+    "explain.no-adjustment": "No adjustment: not below the previous total of {previousTotalM} m.",
+    "explain.distance": "Distance: {totalM} - {previousTotalM} = {distanceM} m ({laps} laps).",
+
+    // Pace, history and the floating prompts
+    "analytics.title": "Pace and speed",
+    "analytics.minuteChart": "Speed per minute (m/s)",
+    "analytics.lapChart": "Lap split times (s)",
+    "analytics.split": "Split (s)",
+    "analytics.noData": "No data.",
+    "analytics.stop": "Stop",
+    "analytics.meanSpeed": "Mean speed {speed}; per-minute range {min}–{max} m/s.",
+    "analytics.splits": "Lap splits {min}–{max} s, mean {mean} s.",
+    "analytics.splitsCv": "Lap splits {min}–{max} s, mean {mean} s (pace variability CV {cv}%).",
+    "analytics.noSplits": "No laps recorded, so no lap splits.",
+    "analytics.slowdown": "First two minutes {first} m/s, last two {last} m/s ({change}%).",
+    "analytics.slowed":
+      "First two minutes {first} m/s, last two {last} m/s ({change}%): slowed down by {threshold}% or more.",
+    "analytics.noSlowdown": "Slowdown needs at least four full minutes to compare.",
+    "analytics.minuteChartTitle": "Walking speed per minute in metres per second",
+    "analytics.lapChartTitle": "Split time of each lap in seconds",
+    "history.title": "Test history (this device)",
+    "history.mcid": "MCID (m)",
+    "history.date": "Date",
+    "history.distance": "Distance (m)",
+    "history.bestOfDay": "Best of day",
+    "history.none": "No saved {protocol}s for this Patient ID yet.",
+    "history.needId": "Enter a Patient ID in Test details before saving.",
+    "history.enterId": "Enter a Patient ID in Test details to see saved tests.",
+    "history.saved": "Saved to history for {patientId}.",
+    "history.saveError": "Could not save to history: {message}",
+    "history.deleteError": "Could not delete the test: {message}",
+    "history.unavailable": "Test history is not available in this browser.",
+    "history.delete": "Delete",
+    "history.confirmDelete": "Delete this saved test from the history on this device?",
+    "history.count": "{tests} saved test(s) over {visits} visit(s).",
+    "history.comparison":
+      "Latest visit best {latest} m ({latestDate}) vs previous {previous} m ({previousDate}): {change} m.",
+    "history.improvement": "Change of at least the MCID ({mcid} m): clinically important improvement.",
+    "history.decline": "Change of at least the MCID ({mcid} m): clinically important decline.",
+    "history.belowMcid": "Change is smaller than the MCID ({mcid} m).",
+
+    // Printable report
+    "report.title": "{protocol} Report",
+    "report.testDate": "Test date/time",
+    "report.protocol": "Protocol",
+    "report.lapEntry": "Lap entry",
+    "report.manual": "Manual (typed lap times)",
+    "report.stopwatch": "Stopwatch",
+    "report.terminated": "Test terminated early at {time}. Reason: {reason}.",
+    "report.terminatedDetails": "Test terminated early at {time}. Reason: {reason} ({details}).",
+    "report.track": "Track configuration",
+    "report.layout": "Layout",
+    "report.corridorLength": "Corridor length",
+    "report.loopLength": "Loop length",
+    "report.lapLength": "Lap length",
+    "report.minutes": "Per-minute distances",
+    "report.col.time": "Time (s)",
+    "report.stop": "Stop",
+    "report.warnings": "Data-quality warnings ({count})",
+    "report.totals": "Totals",
+    "report.totalLaps": "Total laps",
+    "report.meanSpeed": "Mean speed",
+    "report.slowdown": "First vs last two minutes",
+    "report.llnNotPublished": "not published for this equation",
+    "report.percentPredicted": "% predicted",
+    "report.na": "n/a",
+    "report.laps": "Cumulative lap times ({count})",
+    "report.noLaps": "No laps recorded.",
+    "report.lapEdits": "Lap list corrected after recording ({count} change(s)). Original taps: {taps}.",
+    "report.none": "none",
+    "report.rest": "Rest stops",
+    "report.noRest": "No rest stops.",
+    "report.restCount": "Number of stops",
+    "report.restTotal": "Total rest time",
+    "report.col.stop": "Stop",
+    "report.col.start": "Start",
+    "report.col.end": "End",
+    "report.col.duration": "Duration (s)",
+    "report.spo2Drop": "SpO2 drop to nadir",
+    "report.points": "{points} points",
+    "report.pointsDesaturation": "{points} points (desaturation)",
+    "report.hrRecovery": "Heart-rate recovery at 1 min",
+    "report.signature": "Tester signature",
+    "report.generated": "Report generated {time}"
+  },
+
+  es: {
+    "app.title": "Calculadora de la {title}",
+    "app.documentTitle": "Calculadora y cronómetro de la {title}",
+    "app.intro":
+      "Esta herramienta usa los tiempos de vuelta acumulados en un pasillo de ida y vuelta o un circuito, " +
+      "junto con la posición anotada en cada minuto, para calcular la distancia recorrida en cada minuto " +
+      "y la distancia total de la prueba.",
+    "language.label": "Idioma de la interfaz",
+
+    "resume.resume": "Reanudar la sesión anterior",
+    "resume.discard": "Empezar una sesión nueva",
+    "update.ready": "Se ha descargado una nueva versión de la aplicación, lista para usarse sin conexión.",
+    "update.reload": "Recargar para actualizar",
+    "update.later": "Más tarde",
+    "update.stopFirst": "Termine o detenga la prueba antes de actualizar.",
+    "resume.found": "Se encontró una sesión anterior ({details}).",
+    "resume.savedAt": "guardada el {time}",
+    "resume.laps.one": "{count} vuelta",
+    "resume.laps.other": "{count} vueltas",
+    "resume.group": "prueba en grupo, {count} pacientes",
+    "resume.running": "el cronómetro estaba en marcha",
+    "offline.ready": "Guardada para usarse sin conexión: esta página ya se abre sin conexión.",
+    "offline.available": "Disponible sin conexión.",
+    "offline.error": "El uso sin conexión no está disponible ({message}).",
+
+    "setup.title": "Prueba y pista",
+    "setup.protocol": "Protocolo",
+    "setup.duration": "Duración (min)",
+    "setup.layout": "Trazado",
+    "setup.units": "Unidades",
+    "protocol.name": "prueba de marcha de {minutes} minutos",
+    "protocol.title": "Prueba de Marcha de {minutes} Minutos",
+    "protocol.custom": "Duración personalizada",
+    "protocol.stopsAt": "El cronómetro se detiene en {time}.",
+    "protocol.nonStandard": "La distancia prevista y la DMCI solo se aplican a la prueba de 6 minutos.",
+    "protocol.durationError":
+      "La duración personalizada debe ser un número entero de minutos entre {min} y {max}. " +
+      "Se sigue usando {current} minutos.",
+    "layout.shuttle": "Ida y vuelta",
+    "layout.loop": "Circuito continuo",
+    "units.metric": "Metros",
+    "units.imperial": "Pies",
+    "track.corridorLength": "Longitud del pasillo ({unit})",
+    "track.loopLength": "Longitud del circuito ({unit})",
+    "track.lapLoop": "1 vuelta = {lap} (circuito continuo)",
+    "track.lapShuttle": "1 vuelta = {lap} ({length} de ida + {length} de vuelta)",
+    "track.lengthError":
+      "La longitud de la pista debe ser un número entero entre {min} y {max} {unit}. Se sigue usando {lap}.",
+    "track.helpLoop":
+      "Para cada minuto del 1 al {minutes}, indique la marca del suelo en ese minuto " +
+      "(de 0 a {max} {unit} alrededor del circuito, medidos desde la línea de salida).",
+    "track.helpShuttle":
+      "Para cada minuto del 1 al {minutes}, indique la marca del suelo en ese minuto (de 0 a {length} {unit}) " +
+      "y si el paciente iba de ida (de 0 a {length} {unit}) o de vuelta (de {length} a 0 {unit}).",
+
+    "audio.title": "Avisos sonoros",
+    "audio.beep": "Pitido en cada minuto",
+    "audio.speech": "Decir las frases de ánimo estándar",
+    "audio.volume": "Volumen",
+    "audio.language": "Idioma",
+    "audio.voice": "Voz",
+    "audio.defaultVoice": "Voz predeterminada",
+    "audio.test": "Probar sonido",
+    "audio.nothingOn": "Active primero los pitidos o las frases de ánimo.",
+    "audio.noSpeech": "La voz no está disponible en este navegador.",
+
+    "cue.doingWell": "Lo está haciendo muy bien.",
+    "cue.goodWork": "Siga así, buen trabajo.",
+    "cue.minutesLeft": "Le quedan {count} minutos.",
+    "cue.twoMinutesLeft": "Solo le quedan 2 minutos.",
+    "cue.oneMinuteLeft": "Solo le queda 1 minuto.",
+    "cue.halfway": "Ya ha hecho la mitad.",
+    "cue.finalWarning":
+      "Dentro de un momento le diré que se detenga. Cuando se lo diga, deténgase donde esté y yo iré hacia usted.",
+    "cue.stop": "¡Deténgase!",
+
+    "keys.title": "Teclado, mando y botón de vuelta",
+    "keys.enabled": "Atajos de teclado y mando",
+    "keys.debounce": "Ignorar toques repetidos en (s)",
+    "keys.action": "Acción",
+    "keys.keys": "Teclas",
+    "keys.giant": "Botón de vuelta gigante",
+    "keys.reset": "Restaurar las teclas predeterminadas",
+    "keys.action.lap": "Vuelta",
+    "keys.action.startStop": "Iniciar / detener",
+    "keys.action.undoLap": "Deshacer vuelta",
+    "keys.none": "ninguna",
+    "keys.space": "Espacio",
+    "keys.add": "Añadir tecla",
+    "keys.pressKey": "Pulse una tecla…",
+    "keys.clear": "Borrar",
+    "keys.capture": "Pulse la tecla o el botón del mando para «{action}» (Escape cancela).",
+    "keys.bound": "{key} ahora activa «{action}».",
+    "keys.moved": "{key} ahora activa «{action}» (se quitó de «{previous}»).",
+    "keys.restored": "Teclas predeterminadas restauradas.",
+    "keys.debounceError": "El tiempo entre toques repetidos debe estar entre 0 y {max} s; se usan {default} s.",
+    "giant.label": "VUELTA",
+    "giant.laps.one": "{count} vuelta",
+    "giant.laps.other": "{count} vueltas",
+    "giant.exit": "Salir del botón gigante",
+    "giant.lap": "Vuelta {lap} a los {time}",
+    "giant.notRunning": "Inicie el cronómetro para registrar vueltas.",
+
+    "stopwatch.title": "Cronómetro y registro de vueltas",
+    "stopwatch.titleManual": "Registro de vueltas",
+    "stopwatch.manual": "Manual",
+    "stopwatch.start": "Iniciar",
+    "stopwatch.stop": "Detener",
+    "stopwatch.finished": "Terminado",
+    "stopwatch.lap": "Vuelta",
+    "stopwatch.restStart": "Inicio de descanso",
+    "stopwatch.restEnd": "Fin de descanso",
+    "stopwatch.undoLap": "Deshacer vuelta",
+    "stopwatch.addLap": "Añadir vuelta olvidada",
+    "stopwatch.endEarly": "Terminar la prueba antes",
+    "stopwatch.reset": "Reiniciar",
+    "stopwatch.captureToggle": "Preguntar la posición del paciente en cada minuto",
+    "stopwatch.groupToggle": "Prueba en grupo: cronometrar a varios pacientes con este reloj",
+    "stopwatch.manualHint":
+      "Introduzca los tiempos de vuelta acumulados de su cronómetro (ss/m:ss/mm:ss). " +
+      "Pulse Intro/Hecho para añadir la siguiente fila.",
+    "screen.unsupported":
+      "Este navegador no puede mantener la pantalla encendida: desactive el bloqueo automático durante la prueba.",
+    "screen.on": "La pantalla se mantiene encendida mientras el cronómetro está en marcha.",
+    "screen.error":
+      "No se pudo mantener la pantalla encendida ({message}): desactive el bloqueo automático durante la prueba.",
+    "hidden.warning":
+      "La página estuvo oculta durante la prueba de {start} a {end} ({seconds} s). El reloj siguió " +
+      "contando, pero compruebe que no se perdió ninguna vuelta ni ninguna pregunta de posición.",
+    "hidden.reloaded":
+      "La página se cerró o se recargó durante la prueba de {start} a {end}. El reloj siguió contando, pero " +
+      "compruebe que no se perdió ninguna vuelta ni ninguna pregunta de posición.",
+    "laps.number": "Vuelta n.º",
+    "laps.time": "Tiempo (mm:ss.s)",
+    "laps.timeManual": "Tiempo (mm:ss)",
+    "laps.edit": "Editar",
+    "laps.newTime": "Tiempo de la vuelta olvidada",
+    "laps.rest": "Descanso {number}",
+    "laps.corrected": "Corregida después del registro",
+    "laps.editLap": "Editar la vuelta {lap}",
+    "laps.insertBefore": "Insertar una vuelta olvidada antes de la vuelta {lap}",
+    "laps.deleteLap": "Eliminar la vuelta {lap}",
+    "laps.timeFor": "Tiempo de la vuelta {lap}",
+    "lapError.debounce":
+      "Vuelta ignorada: menos de {seconds} s después de la vuelta anterior (los toques repetidos se ignoran).",
+    "lapError.notIncreasing": "Vuelta ignorada: el tiempo debe ser mayor que el de la vuelta anterior.",
+    "lapError.notChanged": "Vuelta sin cambios: {reason}",
+    "lapError.timeFormat": "Vuelta sin cambios: introduzca un tiempo como ss.s, m:ss o m:ss.s.",
+    "lapError.range": "La vuelta {lap} debe estar entre 00:00.1 y {max}.",
+    "lapError.order":
+      "La vuelta {lap} debe ser posterior a la vuelta {previous}: los tiempos deben ser estrictamente crecientes.",
+    "lapError.afterClock": "{time} es posterior al reloj ({clock}).",
+    "manualError.blankRow": "Error de entrada manual: ha dejado una fila vacía antes de la vuelta {lap}.",
+    "manualError.format": "Error de entrada manual en la vuelta {lap}: introduzca un tiempo como ss, m:ss o mm:ss.",
+    "manualError.order": "Error de entrada manual en la vuelta {lap}: los tiempos deben ser estrictamente crecientes.",
+
+    "a11y.timer": "Tiempo transcurrido",
+    "a11y.started": "Cronómetro en marcha",
+    "a11y.stopped": "Cronómetro detenido en {time}",
+    "a11y.finished": "Prueba terminada en {time}",
+    "a11y.lap": "Vuelta {lap} en {time}",
+    "a11y.walkerLap": "{name}: vuelta {lap} en {time}",
+    "a11y.lapUndone": "Vuelta {lap} eliminada",
+    "a11y.walkerLapUndone": "{name}: vuelta {lap} eliminada",
+    "a11y.results": "Resultados calculados. {total}",
+    "a11y.position": "Posición en el minuto {minute}",
+    "a11y.dirBack": "Minuto {minute}: vuelta",
+    "a11y.finalDirBack": "Posición final: vuelta",
+
+    "import.open": "Importar tiempos de vuelta…",
+    "import.title": "Importar tiempos de vuelta",
+    "import.help":
+      "Una vuelta por línea, en segundos, mm:ss, mm:ss.ss o hh:mm:ss. En las líneas con varios tiempos (vuelta, parcial, total), " +
+      "la importación acumulada usa el último y la de parciales el primero. Se omite una línea de encabezado y los tiempos " +
+      "se redondean al segundo, como las vueltas escritas.",
+    "import.paste": "Pegar tiempos de vuelta",
+    "import.file": "O cargar un archivo CSV o TXT",
+    "import.kind": "Los tiempos son",
+    "import.cumulative": "Acumulados (tiempo desde el inicio)",
+    "import.split": "Parciales (tiempo de cada vuelta)",
+    "import.decimalComma": "Coma decimal: una línea «45,5» son 45,5 s, no la vuelta 45 a los 5 s",
+    "import.col.line": "Línea",
+    "import.col.text": "Texto",
+    "import.col.lap": "Vuelta",
+    "import.col.time": "Tiempo (mm:ss)",
+    "import.col.status": "Estado",
+    "import.ok": "Correcto",
+    "import.skipped": "Omitida (encabezado)",
+    "import.error.no-time": "No hay ningún tiempo",
+    "import.error.invalid-time": "Tiempo no válido",
+    "import.error.zero-time": "Una vuelta debe terminar después de 0:00",
+    "import.error.not-increasing": "No es posterior a la vuelta anterior",
+    "import.error.after-end": "Después del final de la prueba ({time})",
+    "import.empty": "Pegue tiempos de vuelta o cargue un archivo para ver una vista previa.",
+    "import.ready.one": "{count} vuelta lista para importar.",
+    "import.ready.other": "{count} vueltas listas para importar.",
+    "import.errors.one": "{count} línea debe corregirse antes de importar las vueltas.",
+    "import.errors.other": "{count} líneas deben corregirse antes de importar las vueltas.",
+    "import.apply": "Importar vueltas",
+    "import.cancel": "Cancelar",
+    "import.fileError": "No se pudo leer el archivo: {message}",
+    "import.confirmReplace.one": "¿Reemplazar el tiempo de vuelta ya introducido?",
+    "import.confirmReplace.other": "¿Reemplazar los {count} tiempos de vuelta ya introducidos?",
+    "import.done.one": "{count} vuelta importada",
+    "import.done.other": "{count} vueltas importadas",
+
+    "positions.title": "Posiciones anotadas (cada minuto)",
+    "positions.minute": "Minuto",
+    "positions.position": "Posición ({unit})",
+    "positions.direction": "Sentido",
+    "positions.keyboardHelp":
+      "Teclado: las flechas izquierda y derecha pasan de la posición al sentido de un minuto, las flechas " +
+      "arriba y abajo pasan de un minuto a otro en un botón de sentido e Intro en una posición va al minuto siguiente.",
+    "direction.out": "ida",
+    "direction.back": "vuelta",
+    "position.where.minute": "el minuto {minute}",
+    "position.where.stop": "la posición final",
+    "position.missing": "Introduzca una posición (de 0 a {max} {unit}) para {where}.",
+    "position.invalid": "La posición debe estar entre 0 y {max} para {where}.",
+    "position.direction": "El sentido debe ser «ida» o «vuelta» para {where}.",
+    "position.stopTime": "Introduzca el momento en que se detuvo la prueba.",
+    "capture.title": "Minuto {minute}: ¿dónde está el paciente?",
+    "capture.skip": "Omitir",
+    "capture.capturedAt": "Registrada en directo a los {time}",
+
+    "termination.toggle": "La prueba terminó antes",
+    "termination.time": "Detenida en (m:ss.s)",
+    "termination.reason": "Motivo",
+    "termination.position": "Posición final ({unit})",
+    "termination.details": "Detalles",
+    "termination.timeError": "Introduzca el momento de la detención entre 00:00.1 y {max} (m:ss.s).",
+    "termination.reasonError": "Elija por qué se detuvo la prueba antes.",
+    "reason.desaturation": "Desaturación de SpO2",
+    "reason.chest-pain": "Dolor torácico",
+    "reason.dyspnea": "Disnea intolerable",
+    "reason.leg-cramps": "Calambres en las piernas",
+    "reason.staggering": "Tambaleo",
+    "reason.diaphoresis": "Diaforesis",
+    "reason.pallor": "Palidez o aspecto cenizo",
+    "reason.patient-request": "A petición del paciente",
+    "reason.other": "Otro (ver detalles)",
+
+    "rest.range": "{start} a {end} ({seconds} s)",
+    "rest.open": "{start} a … (descansando)",
+    "rest.minute": "minuto {minute}",
+    "rest.minutes": "minutos {start}–{end}",
+
+    "details.title": "Datos de la prueba",
+    "details.patientId": "ID del paciente",
+    "details.testId": "ID de la prueba",
+    "details.tester": "Evaluador",
+    "details.notes": "Notas",
+    "vitals.title": "Constantes vitales y escala de Borg",
+    "vitals.help": "Opcional. Introduzca lo que se midió; los cambios se muestran con los resultados.",
+    "vitals.measure": "Medida",
+    "vitals.before": "Antes",
+    "vitals.after": "Después",
+    "vitals.spo2": "SpO2 (%)",
+    "vitals.spo2Nadir": "SpO2 mínima durante la prueba (%)",
+    "vitals.hr": "Frecuencia cardiaca (lpm)",
+    "vitals.hrRecovery1": "Frecuencia cardiaca 1 min después (lpm)",
+    "vitals.sbp": "PA sistólica (mmHg)",
+    "vitals.dbp": "PA diastólica (mmHg)",
+    "vitals.dyspnea": "Borg disnea (0–10)",
+    "vitals.fatigue": "Borg fatiga (0–10)",
+    "vitals.o2Flow": "O2 suplementario (L/min)",
+    "vitals.rangeBefore": "{field} antes de la prueba debe estar entre {min} y {max}.",
+    "vitals.rangeAfter": "{field} después de la prueba debe estar entre {min} y {max}.",
+    "vitals.bpBefore": "La PA diastólica antes de la prueba debe ser menor que la sistólica.",
+    "vitals.bpAfter": "La PA diastólica después de la prueba debe ser menor que la sistólica.",
+    "demographics.title": "Datos del paciente (opcional)",
+    "demographics.help":
+      "Solo se usan para la distancia prevista. Déjelos en blanco para mostrar solo la distancia medida.",
+    "demographics.age": "Edad (años)",
+    "demographics.sex": "Sexo",
+    "demographics.male": "Hombre",
+    "demographics.female": "Mujer",
+    "demographics.height": "Talla (cm)",
+    "demographics.weight": "Peso (kg)",
+    "demographics.equation": "Ecuación de referencia",
+    "demographics.chooseEquation": "Elija una ecuación de referencia.",
+    "demographics.sexRequired": "El sexo es obligatorio para {equation}.",
+    "demographics.required.age": "La edad es obligatoria para {equation}.",
+    "demographics.required.heightCm": "La talla es obligatoria para {equation}.",
+    "demographics.required.weightKg": "El peso es obligatorio para {equation}.",
+    "demographics.range.age": "La edad debe estar entre {min} y {max} años.",
+    "demographics.range.heightCm": "La talla debe estar entre {min} y {max} cm.",
+    "demographics.range.weightKg": "El peso debe estar entre {min} y {max} kg.",
+
+    "group.title": "Pacientes",
+    "group.help":
+      "Toque el botón de vuelta de cada paciente (o pulse su tecla numérica) cada vez que complete una vuelta. " +
+      "Las correcciones de vueltas, los descansos, la terminación anticipada, la captura en directo " +
+      "y las exportaciones son para pruebas de un solo paciente.",
+    "group.add": "Añadir paciente",
+    "group.walker": "Paciente {number}",
+    "group.walkerName": "Nombre del paciente {number}",
+    "group.remove": "Quitar",
+    "group.lapButton": "Vuelta: {name}",
+    "group.noLaps": "Todavía no hay vueltas.",
+    "group.laps.one": "{count} vuelta, la última a los {time}:",
+    "group.laps.other": "{count} vueltas, la última a los {time}:",
+    "group.confirmRemove.one": "¿Quitar a {name} y su vuelta?",
+    "group.confirmRemove.other": "¿Quitar a {name} y sus {count} vueltas?",
+
+    "calc.calculate": "Calcular",
+    "calc.clearAll": "Borrar todo",
+    "calc.clearResults": "Borrar resultados",
+    "results.title": "Resultados",
+    "results.placeholder": "Los resultados por minuto aparecerán aquí.",
+    "results.explain": "Explicar el cálculo (traza paso a paso de cada minuto)",
+    "results.exportCsv": "Exportar CSV",
+    "results.exportJson": "Exportar JSON",
+    "results.print": "Imprimir informe",
+    "results.saveHistory": "Guardar en el historial",
+    "results.fixManualLaps": "Error: corrija los tiempos de vuelta manuales antes de calcular.",
+    "results.fixTermination": "Error: corrija los datos de la terminación anticipada antes de calcular.",
+    "results.inputError": "Error: {problem} para {where}.",
+    "results.problem.missing-position": "falta la posición",
+    "results.problem.invalid-position": "posición no válida",
+    "results.problem.invalid-direction": "sentido no válido",
+    "results.problem.invalid-termination-time": "momento de detención no válido",
+    "results.terminated": "PRUEBA TERMINADA ANTES DE TIEMPO a los {time}: {reason}",
+    "results.heading": "Distancias por minuto ({protocol})",
+    "results.col.minute": "Min",
+    "results.col.time": "Tpo.(s)",
+    "results.col.thisMinute": "{unit} este min",
+    "results.col.laps": "vueltas min",
+    "results.col.total": "total {unit}",
+    "results.col.check": "Revisar",
+    "results.row.end": "fin",
+    "results.row.notCompleted": "no completado",
+    "results.captured.one": "Capturado en directo: minuto {minutes} (vueltas contadas hasta el momento de la captura)",
+    "results.captured.other":
+      "Capturado en directo: minutos {minutes} (vueltas contadas hasta el momento de la captura)",
+    "results.warnings": "Avisos de calidad de datos ({count}):",
+    "results.noWarnings": "Comprobaciones de calidad de datos: no se encontraron problemas.",
+    "results.totalDistance": "Distancia total",
+    "results.totalLaps": "Vueltas totales: {laps}",
+    "results.distanceLine": "{label} ({unit}): {value}",
+    "results.distanceLineWithMetres": "{label} ({unit}): {value} ({metres} m)",
+    "results.lapCorrections": "Correcciones de vueltas: {count} ({taps} toques registrados, {laps} vueltas usadas)",
+    "results.restNone": "Descansos: ninguno",
+    "results.rest": "Descansos: {count} (descanso total {seconds} s)",
+    "results.restStop": "Descanso {number}: {range}, {minutes}",
+    "results.pageHidden":
+      "Página oculta durante la prueba: {count} vez/veces, {seconds} s en total (compruebe si faltan vueltas)",
+    "results.predictedNot6":
+      "Distancia prevista no calculada: las ecuaciones de referencia son para la prueba de 6 minutos.",
+    "results.predictedError": "Distancia prevista no calculada (ver datos del paciente).",
+    "results.equation": "Ecuación de referencia: {label}",
+    "results.predicted": "Distancia prevista",
+    "results.lln": "Límite inferior de la normalidad",
+    "results.llnNotPublished": "Límite inferior de la normalidad: no publicado para esta ecuación",
+    "results.percentPredicted": "% del previsto: {percent}%",
+    "results.percentPredictedNa": "% del previsto: n/d",
+    "results.belowLln": "La distancia medida está por debajo del límite inferior de la normalidad.",
+    "results.vitalsError": "Constantes no incluidas (ver constantes vitales y escala de Borg).",
+    "results.vitals": "Constantes",
+    "results.change": "Cambio",
+    "results.spo2Nadir": "SpO2 mínima durante la prueba: {value}%",
+    "results.spo2NadirDrop": "SpO2 mínima durante la prueba: {value}% (descenso de {drop} respecto al basal)",
+    "results.desaturation": "Desaturación con el esfuerzo: la SpO2 bajó {points} puntos o más.",
+    "results.hrRecovery": "Recuperación de la frecuencia cardiaca al minuto: {bpm} lpm",
+    "results.group": "Prueba en grupo: {count} pacientes ({protocol})",
+    "results.group.walker": "Paciente",
+    "results.group.total": "Total {unit}",
+    "results.group.laps": "Vueltas",
+    "results.group.perMinute": "{unit}/min",
+    "results.group.warnings": "Avisos",
+    "results.group.notCalculated": "no calculado (ver abajo)",
+    "results.group.minuteMatrix": "Distancia por minuto ({unit}):",
+    "results.group.error": "Error: {message}",
+    "warning.minute": "Minuto {minute}",
+    "warning.atStop": "En la parada",
+    "warning.clamped":
+      "{where}: la posición da {rawTotalM} m, menos que los {totalM} m anteriores, así que se mantuvo la " +
+      "distancia. Compruebe el sentido y si falta una vuelta.",
+    "warning.boundary-corrected":
+      "{where}: la vuelta {lap} se marcó hasta {toleranceS} s después de la marca y se contó aquí porque la " +
+      "nota indica la línea de salida.",
+    "warning.position-conflict":
+      "{where}: la nota sitúa al paciente a {offsetM} m dentro de la vuelta, pero los tiempos de vuelta " +
+      "indican unos {expectedM} m. Compruebe el sentido y las vueltas marcadas.",
+    "warning.implausible-minute":
+      "{where}: {distanceM} m en {durationS} s es más rápido que caminar (más de {maxSpeedMps} m/s). " +
+      "Compruebe si sobra una vuelta o si la posición es errónea.",
+    "warning.implausible-lap":
+      "Vuelta {lap}: {lapLengthM} m en {splitS} s es más rápido que caminar (más de {maxSpeedMps} m/s). " +
+      "Puede ser un toque doble.",
+    "explain.minute": "Minuto {minute}",
+    "explain.stopRow": "Fila de parada",
+    "explain.reference-captured":
+      "Tiempo de referencia {referenceS} s: la posición se registró {afterS} s después de la marca de {markS} s.",
+    "explain.reference-mark": "Tiempo de referencia {referenceS} s: la marca del minuto.",
+    "explain.reference-stop": "Tiempo de referencia {referenceS} s: el momento en que se detuvo la prueba.",
+    "explain.laps-counted": "getLapsCompletedByTime() cuenta {laps} vuelta(s) marcada(s) hasta los {referenceS} s.",
+    "explain.laps-counted-last":
+      "getLapsCompletedByTime() cuenta {laps} vuelta(s) marcada(s) hasta los {referenceS} s (la última a " +
+      "los {lastTapS} s).",
+    "explain.boundary-applied":
+      "Corrección de límite aplicada: la nota indica {where} (en la línea de salida, de ida) y la vuelta " +
+      "{nextLap} se marcó {afterS} s después, dentro de {toleranceS} s, así que cuenta aquí: {laps} " +
+      "vuelta(s).",
+    "explain.boundary-not-at-start":
+      "Corrección de límite no aplicada: solo se aplica en 0 de ida (la nota indica {where}).",
+    "explain.boundary-no-next-tap":
+      "Corrección de límite no aplicada: no se marcó ninguna vuelta después del tiempo de referencia.",
+    "explain.boundary-too-late":
+      "Corrección de límite no aplicada: la siguiente vuelta, a los {nextTapS} s, llega {afterS} s después, " +
+      "más de {toleranceS} s.",
+    "explain.offset": "positionToOffsetWithinLap({where}) = {offsetM} m ({how}).",
+    "explain.offset.loop": "en un circuito la marca es el desplazamiento",
+    "explain.offset.out": "de ida, el desplazamiento es la posición",
+    "explain.offset.start-line": "de vuelta en 0 es la línea de salida, no una vuelta completa",
+    "explain.offset.back": "de vuelta, el desplazamiento es {lapLengthM} - {positionM}",
+    "explain.offset.feet": "{position} ft = {positionM} m; {how}",
+    "explain.raw-total": "Total bruto: {laps} x {lapLengthM} m + {offsetM} m = {rawTotalM} m.",
+    "explain.clamped":
+      "Ajuste no decreciente: {rawTotalM} m es menor que el total anterior de {previousTotalM} m, así que " +
+      "el total se mantiene en {totalM} m.",
+    "explain.no-adjustment": "Sin ajuste: no es menor que el total anterior de {previousTotalM} m.",
+    "explain.distance": "Distancia: {totalM} - {previousTotalM} = {distanceM} m ({laps} vueltas).",
+
+    "analytics.title": "Ritmo y velocidad",
+    "analytics.minuteChart": "Velocidad por minuto (m/s)",
+    "analytics.lapChart": "Tiempos parciales por vuelta (s)",
+    "analytics.split": "Parcial (s)",
+    "analytics.noData": "Sin datos.",
+    "analytics.stop": "Parada",
+    "analytics.meanSpeed": "Velocidad media {speed}; rango por minuto {min}–{max} m/s.",
+    "analytics.splits": "Parciales por vuelta {min}–{max} s, media {mean} s.",
+    "analytics.splitsCv": "Parciales por vuelta {min}–{max} s, media {mean} s (variabilidad del ritmo CV {cv}%).",
+    "analytics.noSplits": "No hay vueltas registradas, así que no hay parciales.",
+    "analytics.slowdown": "Dos primeros minutos {first} m/s, dos últimos {last} m/s ({change}%).",
+    "analytics.slowed":
+      "Dos primeros minutos {first} m/s, dos últimos {last} m/s ({change}%): bajó el ritmo un {threshold}% o más.",
+    "analytics.noSlowdown": "Para comparar la bajada de ritmo hacen falta al menos cuatro minutos completos.",
+    "analytics.minuteChartTitle": "Velocidad de marcha por minuto en metros por segundo",
+    "analytics.lapChartTitle": "Tiempo parcial de cada vuelta en segundos",
+    "history.title": "Historial de pruebas (este dispositivo)",
+    "history.mcid": "DMCI (m)",
+    "history.date": "Fecha",
+    "history.distance": "Distancia (m)",
+    "history.bestOfDay": "Mejor del día",
+    "history.none": "Todavía no hay ninguna {protocol} guardada para este ID de paciente.",
+    "history.needId": "Introduzca un ID de paciente en Datos de la prueba antes de guardar.",
+    "history.enterId": "Introduzca un ID de paciente en Datos de la prueba para ver las pruebas guardadas.",
+    "history.saved": "Guardada en el historial de {patientId}.",
+    "history.saveError": "No se pudo guardar en el historial: {message}",
+    "history.deleteError": "No se pudo eliminar la prueba: {message}",
+    "history.unavailable": "El historial de pruebas no está disponible en este navegador.",
+    "history.delete": "Eliminar",
+    "history.confirmDelete": "¿Eliminar esta prueba guardada del historial de este dispositivo?",
+    "history.count": "{tests} prueba(s) guardada(s) en {visits} visita(s).",
+    "history.comparison":
+      "Mejor de la última visita {latest} m ({latestDate}) frente a la anterior {previous} m " +
+      "({previousDate}): {change} m.",
+    "history.improvement": "Cambio de al menos la DMCI ({mcid} m): mejoría clínicamente importante.",
+    "history.decline": "Cambio de al menos la DMCI ({mcid} m): empeoramiento clínicamente importante.",
+    "history.belowMcid": "El cambio es menor que la DMCI ({mcid} m).",
+    "report.title": "Informe de la {protocol}",
+    "report.testDate": "Fecha y hora de la prueba",
+    "report.protocol": "Protocolo",
+    "report.lapEntry": "Registro de vueltas",
+    "report.manual": "Manual (tiempos escritos)",
+    "report.stopwatch": "Cronómetro",
+    "report.terminated": "Prueba terminada antes a los {time}. Motivo: {reason}.",
+    "report.terminatedDetails": "Prueba terminada antes a los {time}. Motivo: {reason} ({details}).",
+    "report.track": "Configuración de la pista",
+    "report.layout": "Trazado",
+    "report.corridorLength": "Longitud del pasillo",
+    "report.loopLength": "Longitud del circuito",
+    "report.lapLength": "Longitud de la vuelta",
+    "report.minutes": "Distancias por minuto",
+    "report.col.time": "Tiempo (s)",
+    "report.stop": "Parada",
+    "report.warnings": "Avisos de calidad de los datos ({count})",
+    "report.totals": "Totales",
+    "report.totalLaps": "Vueltas totales",
+    "report.meanSpeed": "Velocidad media",
+    "report.slowdown": "Dos primeros frente a dos últimos minutos",
+    "report.llnNotPublished": "no publicado para esta ecuación",
+    "report.percentPredicted": "% del teórico",
+    "report.na": "n/d",
+    "report.laps": "Tiempos de vuelta acumulados ({count})",
+    "report.noLaps": "No hay vueltas registradas.",
+    "report.lapEdits":
+      "Lista de vueltas corregida después del registro ({count} cambio(s)). Toques originales: {taps}.",
+    "report.none": "ninguno",
+    "report.rest": "Descansos",
+    "report.noRest": "Sin descansos.",
+    "report.restCount": "Número de descansos",
+    "report.restTotal": "Tiempo total de descanso",
+    "report.col.stop": "Descanso",
+    "report.col.start": "Inicio",
+    "report.col.end": "Fin",
+    "report.col.duration": "Duración (s)",
+    "report.spo2Drop": "Descenso de SpO2 hasta el mínimo",
+    "report.points": "{points} puntos",
+    "report.pointsDesaturation": "{points} puntos (desaturación)",
+    "report.hrRecovery": "Recuperación de la frecuencia cardiaca al minuto",
+    "report.signature": "Firma del evaluador",
+    "report.generated": "Informe generado el {time}"
+  },
+
+  fr: {
+    "app.title": "Calculateur du {title}",
+    "app.documentTitle": "Calculateur et chronomètre du {title}",
+    "app.intro":
+      "Cet outil utilise les temps de tour cumulés sur un couloir aller-retour ou une boucle, ainsi que la " +
+      "position notée à chaque minute, pour calculer la distance parcourue à chaque minute et la distance " +
+      "totale du test.",
+    "language.label": "Langue de l'interface",
+
+    "resume.resume": "Reprendre la session précédente",
+    "resume.discard": "Commencer une nouvelle session",
+    "update.ready": "Une nouvelle version de l'application a été téléchargée et peut être utilisée hors ligne.",
+    "update.reload": "Recharger pour mettre à jour",
+    "update.later": "Plus tard",
+    "update.stopFirst": "Terminez ou arrêtez le test avant de mettre à jour.",
+    "resume.found": "Une session précédente a été trouvée ({details}).",
+    "resume.savedAt": "enregistrée le {time}",
+    "resume.laps.one": "{count} tour",
+    "resume.laps.other": "{count} tours",
+    "resume.group": "test en groupe, {count} patients",
+    "resume.running": "le chronomètre tournait",
+    "offline.ready": "Enregistrée pour une utilisation hors ligne : cette page s'ouvre désormais sans connexion.",
+    "offline.available": "Disponible hors ligne.",
+    "offline.error": "L'utilisation hors ligne n'est pas disponible ({message}).",
+
+    "setup.title": "Test et parcours",
+    "setup.protocol": "Protocole",
+    "setup.duration": "Durée (min)",
+    "setup.layout": "Parcours",
+    "setup.units": "Unités",
+    "protocol.name": "test de marche de {minutes} minutes",
+    "protocol.title": "Test de Marche de {minutes} Minutes",
+    "protocol.custom": "Durée personnalisée",
+    "protocol.stopsAt": "Le chronomètre s'arrête à {time}.",
+    "protocol.nonStandard": "La distance prédite et la DMCI ne s'appliquent qu'au test de 6 minutes.",
+    "protocol.durationError":
+      "La durée personnalisée doit être un nombre entier de minutes entre {min} et {max}. " +
+      "{current} minutes restent utilisées.",
+    "layout.shuttle": "Aller-retour",
+    "layout.loop": "Boucle continue",
+    "units.metric": "Mètres",
+    "units.imperial": "Pieds",
+    "track.corridorLength": "Longueur du couloir ({unit})",
+    "track.loopLength": "Longueur de la boucle ({unit})",
+    "track.lapLoop": "1 tour = {lap} (boucle continue)",
+    "track.lapShuttle": "1 tour = {lap} ({length} aller + {length} retour)",
+    "track.lengthError":
+      "La longueur du parcours doit être un nombre entier entre {min} et {max} {unit}. {lap} reste utilisé.",
+    "track.helpLoop":
+      "Pour chaque minute de 1 à {minutes}, indiquez le repère au sol à cette minute " +
+      "(de 0 à {max} {unit} le long de la boucle, depuis la ligne de départ).",
+    "track.helpShuttle":
+      "Pour chaque minute de 1 à {minutes}, indiquez le repère au sol à cette minute (de 0 à {length} {unit}) " +
+      "et si le patient était à l'aller (de 0 à {length} {unit}) ou au retour (de {length} à 0 {unit}).",
+
+    "audio.title": "Signaux sonores",
+    "audio.beep": "Bip à chaque minute",
+    "audio.speech": "Dire les encouragements standard",
+    "audio.volume": "Volume",
+    "audio.language": "Langue",
+    "audio.voice": "Voix",
+    "audio.defaultVoice": "Voix par défaut",
+    "audio.test": "Tester le son",
+    "audio.nothingOn": "Activez d'abord les bips ou les encouragements.",
+    "audio.noSpeech": "La synthèse vocale n'est pas disponible dans ce navigateur.",
+
+    "cue.doingWell": "Vous vous débrouillez bien.",
+    "cue.goodWork": "Continuez, c'est très bien.",
+    "cue.minutesLeft": "Il vous reste {count} minutes.",
+    "cue.twoMinutesLeft": "Il ne vous reste plus que 2 minutes.",
+    "cue.oneMinuteLeft": "Il ne vous reste plus qu'une minute.",
+    "cue.halfway": "Vous êtes à mi-parcours.",
+    "cue.finalWarning":
+      "Dans un instant, je vais vous dire de vous arrêter. À ce moment-là, arrêtez-vous là où vous êtes " +
+      "et je viendrai vers vous.",
+    "cue.stop": "Arrêtez-vous !",
+
+    "keys.title": "Clavier, télécommande et bouton de tour",
+    "keys.enabled": "Raccourcis clavier et télécommande",
+    "keys.debounce": "Ignorer les appuis répétés pendant (s)",
+    "keys.action": "Action",
+    "keys.keys": "Touches",
+    "keys.giant": "Bouton de tour géant",
+    "keys.reset": "Rétablir les touches par défaut",
+    "keys.action.lap": "Tour",
+    "keys.action.startStop": "Démarrer / arrêter",
+    "keys.action.undoLap": "Annuler le tour",
+    "keys.none": "aucune",
+    "keys.space": "Espace",
+    "keys.add": "Ajouter une touche",
+    "keys.pressKey": "Appuyez sur une touche…",
+    "keys.clear": "Effacer",
+    "keys.capture": "Appuyez sur la touche ou le bouton de la télécommande pour « {action} » (Échap annule).",
+    "keys.bound": "{key} déclenche maintenant « {action} ».",
+    "keys.moved": "{key} déclenche maintenant « {action} » (retirée de « {previous} »).",
+    "keys.restored": "Touches par défaut rétablies.",
+    "keys.debounceError": "Le délai entre appuis répétés doit être compris entre 0 et {max} s ; {default} s utilisées.",
+    "giant.label": "TOUR",
+    "giant.laps.one": "{count} tour",
+    "giant.laps.other": "{count} tours",
+    "giant.exit": "Quitter le bouton géant",
+    "giant.lap": "Tour {lap} à {time}",
+    "giant.notRunning": "Démarrez le chronomètre pour enregistrer des tours.",
+
+    "stopwatch.title": "Chronomètre et relevé des tours",
+    "stopwatch.titleManual": "Relevé des tours",
+    "stopwatch.manual": "Manuel",
+    "stopwatch.start": "Démarrer",
+    "stopwatch.stop": "Arrêter",
+    "stopwatch.finished": "Terminé",
+    "stopwatch.lap": "Tour",
+    "stopwatch.restStart": "Début de pause",
+    "stopwatch.restEnd": "Fin de pause",
+    "stopwatch.undoLap": "Annuler le tour",
+    "stopwatch.addLap": "Ajouter un tour oublié",
+    "stopwatch.endEarly": "Arrêter le test",
+    "stopwatch.reset": "Réinitialiser",
+    "stopwatch.captureToggle": "Demander la position du patient à chaque minute",
+    "stopwatch.groupToggle": "Test en groupe : chronométrer plusieurs patients avec cette horloge",
+    "stopwatch.manualHint":
+      "Saisissez les temps de tour cumulés de votre chronomètre (ss/m:ss/mm:ss). " +
+      "Appuyez sur Entrée/OK pour ajouter la ligne suivante.",
+    "screen.unsupported":
+      "Ce navigateur ne peut pas garder l'écran allumé : désactivez le verrouillage automatique pendant le test.",
+    "screen.on": "L'écran reste allumé pendant que le chronomètre tourne.",
+    "screen.error":
+      "Impossible de garder l'écran allumé ({message}) : désactivez le verrouillage automatique pendant le test.",
+    "hidden.warning":
+      "La page a été masquée pendant le test de {start} à {end} ({seconds} s). Le chronomètre a continué, " +
+      "mais vérifiez qu'aucun tour ni aucune demande de position n'a été manqué.",
+    "hidden.reloaded":
+      "La page a été fermée ou rechargée pendant le test de {start} à {end}. Le chronomètre a continué, " +
+      "mais vérifiez qu'aucun tour ni aucune demande de position n'a été manqué.",
+    "laps.number": "Tour n°",
+    "laps.time": "Temps (mm:ss.s)",
+    "laps.timeManual": "Temps (mm:ss)",
+    "laps.edit": "Modifier",
+    "laps.newTime": "Temps du tour oublié",
+    "laps.rest": "Repos {number}",
+    "laps.corrected": "Corrigé après l'enregistrement",
+    "laps.editLap": "Modifier le tour {lap}",
+    "laps.insertBefore": "Insérer un tour oublié avant le tour {lap}",
+    "laps.deleteLap": "Supprimer le tour {lap}",
+    "laps.timeFor": "Temps du tour {lap}",
+    "lapError.debounce": "Tour ignoré : moins de {seconds} s après le tour précédent (les appuis répétés sont ignorés).",
+    "lapError.notIncreasing": "Tour ignoré : le temps doit être supérieur à celui du tour précédent.",
+    "lapError.notChanged": "Tour non modifié : {reason}",
+    "lapError.timeFormat": "Tour non modifié : saisissez un temps au format ss.s, m:ss ou m:ss.s.",
+    "lapError.range": "Le tour {lap} doit être entre 00:00.1 et {max}.",
+    "lapError.order":
+      "Le tour {lap} doit être postérieur au tour {previous} : les temps doivent être strictement croissants.",
+    "lapError.afterClock": "{time} est après le chrono ({clock}).",
+    "manualError.blankRow": "Erreur de saisie manuelle : une ligne est vide avant le tour {lap}.",
+    "manualError.format": "Erreur de saisie manuelle au tour {lap} : saisissez un temps au format ss, m:ss ou mm:ss.",
+    "manualError.order": "Erreur de saisie manuelle au tour {lap} : les temps doivent être strictement croissants.",
+
+    "a11y.timer": "Temps écoulé",
+    "a11y.started": "Chronomètre lancé",
+    "a11y.stopped": "Chronomètre arrêté à {time}",
+    "a11y.finished": "Test terminé à {time}",
+    "a11y.lap": "Tour {lap} à {time}",
+    "a11y.walkerLap": "{name} : tour {lap} à {time}",
+    "a11y.lapUndone": "Tour {lap} supprimé",
+    "a11y.walkerLapUndone": "{name} : tour {lap} supprimé",
+    "a11y.results": "Résultats calculés. {total}",
+    "a11y.position": "Position à la minute {minute}",
+    "a11y.dirBack": "Minute {minute} : retour",
+    "a11y.finalDirBack": "Position finale : retour",
+
+    "import.open": "Importer des temps de tour…",
+    "import.title": "Importer des temps de tour",
+    "import.help":
+      "Un tour par ligne, en secondes, mm:ss, mm:ss.ss ou hh:mm:ss. Sur les lignes à plusieurs temps (tour, intermédiaire, total), " +
+      "l'import cumulé prend le dernier et l'import par tour le premier. Une ligne d'en-tête est ignorée et les temps " +
+      "sont arrondis à la seconde, comme les tours saisis.",
+    "import.paste": "Coller les temps de tour",
+    "import.file": "Ou charger un fichier CSV ou TXT",
+    "import.kind": "Les temps sont",
+    "import.cumulative": "Cumulés (temps depuis le départ)",
+    "import.split": "Par tour (temps de chaque tour)",
+    "import.decimalComma": "Virgule décimale : une ligne « 45,5 » vaut 45,5 s, et non le tour 45 à 5 s",
+    "import.col.line": "Ligne",
+    "import.col.text": "Texte",
+    "import.col.lap": "Tour",
+    "import.col.time": "Temps (mm:ss)",
+    "import.col.status": "État",
+    "import.ok": "OK",
+    "import.skipped": "Ignorée (en-tête)",
+    "import.error.no-time": "Aucun temps trouvé",
+    "import.error.invalid-time": "Temps non valide",
+    "import.error.zero-time": "Un tour doit finir après 0:00",
+    "import.error.not-increasing": "Pas après le tour précédent",
+    "import.error.after-end": "Après la fin du test ({time})",
+    "import.empty": "Collez des temps de tour ou chargez un fichier pour voir l'aperçu.",
+    "import.ready.one": "{count} tour prêt à importer.",
+    "import.ready.other": "{count} tours prêts à importer.",
+    "import.errors.one": "{count} ligne doit être corrigée avant l'import des tours.",
+    "import.errors.other": "{count} lignes doivent être corrigées avant l'import des tours.",
+    "import.apply": "Importer les tours",
+    "import.cancel": "Annuler",
+    "import.fileError": "Impossible de lire le fichier : {message}",
+    "import.confirmReplace.one": "Remplacer le temps de tour déjà saisi ?",
+    "import.confirmReplace.other": "Remplacer les {count} temps de tour déjà saisis ?",
+    "import.done.one": "{count} tour importé",
+    "import.done.other": "{count} tours importés",
+
+    "positions.title": "Positions notées (chaque minute)",
+    "positions.minute": "Minute",
+    "positions.position": "Position ({unit})",
+    "positions.direction": "Sens",
+    "positions.keyboardHelp":
+      "Clavier : les flèches gauche et droite passent de la position au sens d'une minute, les flèches " +
+      "haut et bas passent d'une minute à l'autre sur un bouton de sens et Entrée sur une position va à la minute suivante.",
+    "direction.out": "aller",
+    "direction.back": "retour",
+    "position.where.minute": "la minute {minute}",
+    "position.where.stop": "la position finale",
+    "position.missing": "Saisissez une position (de 0 à {max} {unit}) pour {where}.",
+    "position.invalid": "La position doit être entre 0 et {max} pour {where}.",
+    "position.direction": "Le sens doit être « aller » ou « retour » pour {where}.",
+    "position.stopTime": "Saisissez le moment où le test a été arrêté.",
+    "capture.title": "Minute {minute} : où est le patient ?",
+    "capture.skip": "Passer",
+    "capture.capturedAt": "Relevée en direct à {time}",
+
+    "termination.toggle": "Le test a été arrêté avant la fin",
+    "termination.time": "Arrêté à (m:ss.s)",
+    "termination.reason": "Motif",
+    "termination.position": "Position finale ({unit})",
+    "termination.details": "Détails",
+    "termination.timeError": "Saisissez le moment de l'arrêt entre 00:00.1 et {max} (m:ss.s).",
+    "termination.reasonError": "Choisissez pourquoi le test a été arrêté avant la fin.",
+    "reason.desaturation": "Désaturation en SpO2",
+    "reason.chest-pain": "Douleur thoracique",
+    "reason.dyspnea": "Dyspnée intolérable",
+    "reason.leg-cramps": "Crampes dans les jambes",
+    "reason.staggering": "Démarche titubante",
+    "reason.diaphoresis": "Sueurs",
+    "reason.pallor": "Pâleur ou teint grisâtre",
+    "reason.patient-request": "À la demande du patient",
+    "reason.other": "Autre (voir détails)",
+
+    "rest.range": "{start} à {end} ({seconds} s)",
+    "rest.open": "{start} à … (en pause)",
+    "rest.minute": "minute {minute}",
+    "rest.minutes": "minutes {start}–{end}",
+
+    "details.title": "Détails du test",
+    "details.patientId": "ID patient",
+    "details.testId": "ID du test",
+    "details.tester": "Examinateur",
+    "details.notes": "Notes",
+    "vitals.title": "Constantes et échelle de Borg",
+    "vitals.help": "Facultatif. Saisissez ce qui a été mesuré ; les variations sont indiquées avec les résultats.",
+    "vitals.measure": "Mesure",
+    "vitals.before": "Avant",
+    "vitals.after": "Après",
+    "vitals.spo2": "SpO2 (%)",
+    "vitals.spo2Nadir": "SpO2 la plus basse pendant le test (%)",
+    "vitals.hr": "Fréquence cardiaque (bpm)",
+    "vitals.hrRecovery1": "Fréquence cardiaque 1 min après (bpm)",
+    "vitals.sbp": "PA systolique (mmHg)",
+    "vitals.dbp": "PA diastolique (mmHg)",
+    "vitals.dyspnea": "Borg dyspnée (0–10)",
+    "vitals.fatigue": "Borg fatigue (0–10)",
+    "vitals.o2Flow": "O2 d'appoint (L/min)",
+    "vitals.rangeBefore": "{field} avant le test doit être compris entre {min} et {max}.",
+    "vitals.rangeAfter": "{field} après le test doit être compris entre {min} et {max}.",
+    "vitals.bpBefore": "La PA diastolique avant le test doit être inférieure à la PA systolique.",
+    "vitals.bpAfter": "La PA diastolique après le test doit être inférieure à la PA systolique.",
+    "demographics.title": "Données du patient (facultatif)",
+    "demographics.help":
+      "Utilisées uniquement pour la distance prédite. Laissez vide pour n'indiquer que la distance mesurée.",
+    "demographics.age": "Âge (ans)",
+    "demographics.sex": "Sexe",
+    "demographics.male": "Homme",
+    "demographics.female": "Femme",
+    "demographics.height": "Taille (cm)",
+    "demographics.weight": "Poids (kg)",
+    "demographics.equation": "Équation de référence",
+    "demographics.chooseEquation": "Choisissez une équation de référence.",
+    "demographics.sexRequired": "Le sexe est obligatoire pour {equation}.",
+    "demographics.required.age": "L'âge est obligatoire pour {equation}.",
+    "demographics.required.heightCm": "La taille est obligatoire pour {equation}.",
+    "demographics.required.weightKg": "Le poids est obligatoire pour {equation}.",
+    "demographics.range.age": "L'âge doit être compris entre {min} et {max} ans.",
+    "demographics.range.heightCm": "La taille doit être comprise entre {min} et {max} cm.",
+    "demographics.range.weightKg": "Le poids doit être compris entre {min} et {max} kg.",
+
+    "group.title": "Patients",
+    "group.help":
+      "Touchez le bouton de tour d'un patient (ou appuyez sur sa touche numérique) à chaque tour terminé. " +
+      "Les corrections de tours, les pauses, l'arrêt anticipé, la saisie en direct et les exports " +
+      "concernent les tests à un seul patient.",
+    "group.add": "Ajouter un patient",
+    "group.walker": "Patient {number}",
+    "group.walkerName": "Nom du patient {number}",
+    "group.remove": "Retirer",
+    "group.lapButton": "Tour : {name}",
+    "group.noLaps": "Aucun tour pour l'instant.",
+    "group.laps.one": "{count} tour, le dernier à {time} :",
+    "group.laps.other": "{count} tours, le dernier à {time} :",
+    "group.confirmRemove.one": "Retirer {name} et son tour ?",
+    "group.confirmRemove.other": "Retirer {name} et ses {count} tours ?",
+
+    "calc.calculate": "Calculer",
+    "calc.clearAll": "Tout effacer",
+    "calc.clearResults": "Effacer les résultats",
+    "results.title": "Résultats",
+    "results.placeholder": "Les résultats par minute s'afficheront ici.",
+    "results.explain": "Expliquer le calcul (trace pas à pas de chaque minute)",
+    "results.exportCsv": "Exporter en CSV",
+    "results.exportJson": "Exporter en JSON",
+    "results.print": "Imprimer le rapport",
+    "results.saveHistory": "Enregistrer dans l'historique",
+    "results.fixManualLaps": "Erreur : corrigez les temps de tour manuels avant de calculer.",
+    "results.fixTermination": "Erreur : corrigez les détails de l'arrêt anticipé avant de calculer.",
+    "results.inputError": "Erreur : {problem} pour {where}.",
+    "results.problem.missing-position": "position manquante",
+    "results.problem.invalid-position": "position non valide",
+    "results.problem.invalid-direction": "sens non valide",
+    "results.problem.invalid-termination-time": "moment d'arrêt non valide",
+    "results.terminated": "TEST ARRÊTÉ AVANT LA FIN à {time} : {reason}",
+    "results.heading": "Distances par minute ({protocol})",
+    "results.col.minute": "Min",
+    "results.col.time": "Temps(s)",
+    "results.col.thisMinute": "{unit} cette min",
+    "results.col.laps": "tours min",
+    "results.col.total": "total {unit}",
+    "results.col.check": "Vérifier",
+    "results.row.end": "fin",
+    "results.row.notCompleted": "non effectuée",
+    "results.captured.one": "Saisie en direct : minute {minutes} (tours comptés jusqu'au moment de la saisie)",
+    "results.captured.other": "Saisie en direct : minutes {minutes} (tours comptés jusqu'au moment de la saisie)",
+    "results.warnings": "Alertes de qualité des données ({count}) :",
+    "results.noWarnings": "Contrôles de qualité des données : aucun problème trouvé.",
+    "results.totalDistance": "Distance totale",
+    "results.totalLaps": "Tours au total : {laps}",
+    "results.distanceLine": "{label} ({unit}) : {value}",
+    "results.distanceLineWithMetres": "{label} ({unit}) : {value} ({metres} m)",
+    "results.lapCorrections": "Corrections de tours : {count} ({taps} appuis enregistrés, {laps} tours utilisés)",
+    "results.restNone": "Pauses : aucune",
+    "results.rest": "Pauses : {count} (pause totale {seconds} s)",
+    "results.restStop": "Pause {number} : {range}, {minutes}",
+    "results.pageHidden":
+      "Page masquée pendant le test : {count} fois, {seconds} s au total (vérifiez qu'aucun tour n'a été oublié)",
+    "results.predictedNot6":
+      "Distance prédite non calculée : les équations de référence concernent le test de 6 minutes.",
+    "results.predictedError": "Distance prédite non calculée (voir les données du patient).",
+    "results.equation": "Équation de référence : {label}",
+    "results.predicted": "Distance prédite",
+    "results.lln": "Limite inférieure de la normale",
+    "results.llnNotPublished": "Limite inférieure de la normale : non publiée pour cette équation",
+    "results.percentPredicted": "% de la valeur prédite : {percent} %",
+    "results.percentPredictedNa": "% de la valeur prédite : n.d.",
+    "results.belowLln": "La distance mesurée est inférieure à la limite inférieure de la normale.",
+    "results.vitalsError": "Constantes non indiquées (voir constantes et échelle de Borg).",
+    "results.vitals": "Constantes",
+    "results.change": "Variation",
+    "results.spo2Nadir": "SpO2 la plus basse pendant le test : {value} %",
+    "results.spo2NadirDrop": "SpO2 la plus basse pendant le test : {value} % (baisse de {drop} par rapport au repos)",
+    "results.desaturation": "Désaturation à l'effort : la SpO2 a baissé de {points} points ou plus.",
+    "results.hrRecovery": "Récupération de la fréquence cardiaque à 1 min : {bpm} bpm",
+    "results.group": "Test en groupe : {count} patients ({protocol})",
+    "results.group.walker": "Patient",
+    "results.group.total": "Total {unit}",
+    "results.group.laps": "Tours",
+    "results.group.perMinute": "{unit}/min",
+    "results.group.warnings": "Alertes",
+    "results.group.notCalculated": "non calculé (voir ci-dessous)",
+    "results.group.minuteMatrix": "Distance par minute ({unit}) :",
+    "results.group.error": "Erreur : {message}",
+    "warning.minute": "Minute {minute}",
+    "warning.atStop": "À l'arrêt",
+    "warning.clamped":
+      "{where} : la position donne {rawTotalM} m, moins que les {totalM} m précédents, donc la distance a " +
+      "été maintenue. Vérifiez le sens et s'il manque un tour.",
+    "warning.boundary-corrected":
+      "{where} : le tour {lap} a été enregistré jusqu'à {toleranceS} s après le repère et compté ici car la " +
+      "note indique la ligne de départ.",
+    "warning.position-conflict":
+      "{where} : la note place le patient à {offsetM} m dans le tour, mais les temps de tour indiquent " +
+      "environ {expectedM} m. Vérifiez le sens et les tours enregistrés.",
+    "warning.implausible-minute":
+      "{where} : {distanceM} m en {durationS} s, c'est plus rapide que la marche (plus de {maxSpeedMps} " +
+      "m/s). Vérifiez s'il y a un tour en trop ou une position erronée.",
+    "warning.implausible-lap":
+      "Tour {lap} : {lapLengthM} m en {splitS} s, c'est plus rapide que la marche (plus de {maxSpeedMps} " +
+      "m/s). Il peut s'agir d'un double appui.",
+    "explain.minute": "Minute {minute}",
+    "explain.stopRow": "Ligne d'arrêt",
+    "explain.reference-captured":
+      "Temps de référence {referenceS} s : la position a été relevée {afterS} s après le repère de {markS} s.",
+    "explain.reference-mark": "Temps de référence {referenceS} s : le repère de la minute.",
+    "explain.reference-stop": "Temps de référence {referenceS} s : le moment où le test a été arrêté.",
+    "explain.laps-counted": "getLapsCompletedByTime() compte {laps} tour(s) enregistré(s) jusqu'à {referenceS} s.",
+    "explain.laps-counted-last":
+      "getLapsCompletedByTime() compte {laps} tour(s) enregistré(s) jusqu'à {referenceS} s (le dernier à " +
+      "{lastTapS} s).",
+    "explain.boundary-applied":
+      "Correction de limite appliquée : la note indique {where} (sur la ligne de départ, à l'aller) et le " +
+      "tour {nextLap} a été enregistré {afterS} s plus tard, dans les {toleranceS} s, donc il compte ici : " +
+      "{laps} tour(s).",
+    "explain.boundary-not-at-start":
+      "Correction de limite non appliquée : elle ne s'applique qu'à 0 à l'aller (la note indique {where}).",
+    "explain.boundary-no-next-tap":
+      "Correction de limite non appliquée : aucun tour n'a été enregistré après le temps de référence.",
+    "explain.boundary-too-late":
+      "Correction de limite non appliquée : le tour suivant, à {nextTapS} s, arrive {afterS} s plus tard, " +
+      "plus de {toleranceS} s.",
+    "explain.offset": "positionToOffsetWithinLap({where}) = {offsetM} m ({how}).",
+    "explain.offset.loop": "sur une boucle, le marquage est le décalage",
+    "explain.offset.out": "à l'aller, le décalage est la position",
+    "explain.offset.start-line": "au retour, 0 est la ligne de départ, pas un tour complet",
+    "explain.offset.back": "au retour, le décalage est {lapLengthM} - {positionM}",
+    "explain.offset.feet": "{position} ft = {positionM} m ; {how}",
+    "explain.raw-total": "Total brut : {laps} x {lapLengthM} m + {offsetM} m = {rawTotalM} m.",
+    "explain.clamped":
+      "Ajustement non décroissant : {rawTotalM} m est inférieur au total précédent de {previousTotalM} m, " +
+      "donc le total reste à {totalM} m.",
+    "explain.no-adjustment": "Pas d'ajustement : pas inférieur au total précédent de {previousTotalM} m.",
+    "explain.distance": "Distance : {totalM} - {previousTotalM} = {distanceM} m ({laps} tours).",
+
+    "analytics.title": "Allure et vitesse",
+    "analytics.minuteChart": "Vitesse par minute (m/s)",
+    "analytics.lapChart": "Temps intermédiaires par tour (s)",
+    "analytics.split": "Intermédiaire (s)",
+    "analytics.noData": "Aucune donnée.",
+    "analytics.stop": "Arrêt",
+    "analytics.meanSpeed": "Vitesse moyenne {speed} ; plage par minute {min}–{max} m/s.",
+    "analytics.splits": "Temps intermédiaires {min}–{max} s, moyenne {mean} s.",
+    "analytics.splitsCv":
+      "Temps intermédiaires {min}–{max} s, moyenne {mean} s (variabilité de l'allure CV {cv} %).",
+    "analytics.noSplits": "Aucun tour enregistré, donc pas de temps intermédiaires.",
+    "analytics.slowdown": "Deux premières minutes {first} m/s, deux dernières {last} m/s ({change} %).",
+    "analytics.slowed":
+      "Deux premières minutes {first} m/s, deux dernières {last} m/s ({change} %) : ralentissement de " +
+      "{threshold} % ou plus.",
+    "analytics.noSlowdown": "Le ralentissement nécessite au moins quatre minutes complètes pour comparer.",
+    "analytics.minuteChartTitle": "Vitesse de marche par minute en mètres par seconde",
+    "analytics.lapChartTitle": "Temps intermédiaire de chaque tour en secondes",
+    "history.title": "Historique des tests (cet appareil)",
+    "history.mcid": "DMCI (m)",
+    "history.date": "Date",
+    "history.distance": "Distance (m)",
+    "history.bestOfDay": "Meilleur du jour",
+    "history.none": "Aucun {protocol} enregistré pour cet ID patient.",
+    "history.needId": "Saisissez un ID patient dans Détails du test avant d'enregistrer.",
+    "history.enterId": "Saisissez un ID patient dans Détails du test pour voir les tests enregistrés.",
+    "history.saved": "Enregistré dans l'historique de {patientId}.",
+    "history.saveError": "Impossible d'enregistrer dans l'historique : {message}",
+    "history.deleteError": "Impossible de supprimer le test : {message}",
+    "history.unavailable": "L'historique des tests n'est pas disponible dans ce navigateur.",
+    "history.delete": "Supprimer",
+    "history.confirmDelete": "Supprimer ce test enregistré de l'historique de cet appareil ?",
+    "history.count": "{tests} test(s) enregistré(s) sur {visits} visite(s).",
+    "history.comparison":
+      "Meilleur de la dernière visite {latest} m ({latestDate}) contre le précédent {previous} m " +
+      "({previousDate}) : {change} m.",
+    "history.improvement": "Variation d'au moins la DMCI ({mcid} m) : amélioration cliniquement importante.",
+    "history.decline": "Variation d'au moins la DMCI ({mcid} m) : dégradation cliniquement importante.",
+    "history.belowMcid": "La variation est inférieure à la DMCI ({mcid} m).",
+    "report.title": "Rapport du {protocol}",
+    "report.testDate": "Date et heure du test",
+    "report.protocol": "Protocole",
+    "report.lapEntry": "Saisie des tours",
+    "report.manual": "Manuelle (temps saisis)",
+    "report.stopwatch": "Chronomètre",
+    "report.terminated": "Test arrêté prématurément à {time}. Motif : {reason}.",
+    "report.terminatedDetails": "Test arrêté prématurément à {time}. Motif : {reason} ({details}).",
+    "report.track": "Configuration du parcours",
+    "report.layout": "Tracé",
+    "report.corridorLength": "Longueur du couloir",
+    "report.loopLength": "Longueur de la boucle",
+    "report.lapLength": "Longueur du tour",
+    "report.minutes": "Distances par minute",
+    "report.col.time": "Temps (s)",
+    "report.stop": "Arrêt",
+    "report.warnings": "Alertes de qualité des données ({count})",
+    "report.totals": "Totaux",
+    "report.totalLaps": "Tours au total",
+    "report.meanSpeed": "Vitesse moyenne",
+    "report.slowdown": "Deux premières contre deux dernières minutes",
+    "report.llnNotPublished": "non publiée pour cette équation",
+    "report.percentPredicted": "% de la valeur prédite",
+    "report.na": "n/d",
+    "report.laps": "Temps de tour cumulés ({count})",
+    "report.noLaps": "Aucun tour enregistré.",
+    "report.lapEdits":
+      "Liste des tours corrigée après l'enregistrement ({count} modification(s)). Appuis d'origine : {taps}.",
+    "report.none": "aucun",
+    "report.rest": "Pauses",
+    "report.noRest": "Aucune pause.",
+    "report.restCount": "Nombre de pauses",
+    "report.restTotal": "Temps de repos total",
+    "report.col.stop": "Pause",
+    "report.col.start": "Début",
+    "report.col.end": "Fin",
+    "report.col.duration": "Durée (s)",
+    "report.spo2Drop": "Baisse de SpO2 jusqu'au nadir",
+    "report.points": "{points} points",
+    "report.pointsDesaturation": "{points} points (désaturation)",
+    "report.hrRecovery": "Récupération de la fréquence cardiaque à 1 min",
+    "report.signature": "Signature de l'évaluateur",
+    "report.generated": "Rapport généré le {time}"
+  }
+};
+
+/** A supported language code for `lang` ("es-MX" => "es"), or the default language. */
+function resolveLanguage(lang) {
+  const code = String(lang || "").toLowerCase().split("-")[0];
+  return Object.prototype.hasOwnProperty.call(MESSAGES, code) ? code : DEFAULT_LANGUAGE;
+}
+
+/**
+ * The message `key` in `lang` with its {placeholders} filled from `params`.
+ * Falls back to English, then to the key itself so a missing message is visible, not blank.
+ */
+function translate(lang, key, params = {}) {
+  const catalog = MESSAGES[resolveLanguage(lang)];
+  let message = catalog[key];
+  if (message === undefined) message = MESSAGES[DEFAULT_LANGUAGE][key];
+  if (message === undefined) return key;
+  return message.replace(/\{(\w+)\}/g, (match, name) =>
+    Object.prototype.hasOwnProperty.call(params, name) ? String(params[name]) : match
+  );
+}
+
+/**
+ * translate() for a message that depends on a count: looks up `${key}.one` or `${key}.other`
+ * by the language's plural rule (French counts 0 as singular), with `count` as a parameter.
+ */
+function translatePlural(lang, key, count, params = {}) {
+  const locale = LANGUAGE_LOCALES[resolveLanguage(lang)];
+  const form = new Intl.PluralRules(locale).select(count) === "one" ? "one" : "other";
+  return translate(lang, `${key}.${form}`, { count, ...params });
+}
+
+/**
+ * A number formatted for `lang` with a fixed number of decimals ("12.50" or "12,50"),
+ * or between minDecimals and maxDecimals when they differ. No thousands separators,
+ * so the results box columns line up the same in every language.
+ */
+function formatNumber(lang, value, maxDecimals, minDecimals = maxDecimals) {
+  return new Intl.NumberFormat(LANGUAGE_LOCALES[resolveLanguage(lang)], {
+    minimumFractionDigits: minDecimals,
+    maximumFractionDigits: maxDecimals,
+    useGrouping: false
+  }).format(value);
+}
+
+// Node (test suite) entry point; in the browser these are plain globals.
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    DEFAULT_LANGUAGE,
+    LANGUAGES,
+    LANGUAGE_LOCALES,
+    MESSAGES,
+    resolveLanguage,
+    translate,
+    translatePlural,
+    formatNumber
+  };
+}
@@ -8,6 +8,7 @@
   - Lap times are stored as numbers in an array (lapTimes) instead of raw text.
   - The calculator uses lapTimes directly, but the math is the same.
   - Input validation for positions and directions is preserved from the original.
+  - The distance math itself lives in distance-engine.js (no DOM) so it can be tested under Node.
 */
 
 /* =========================
@@ -18,19 +19,71 @@
 let elapsedMs = 0;              // total elapsed time in milliseconds
 let stopwatchRunning = false;   // simple boolean, replaces checking timerInterval
 let stopwatchStartTime = null;  // performance.now() at last start
+let runBaseMs = 0;              // elapsedMs at last start; elapsed = runBaseMs + (now - stopwatchStartTime)
 let animationFrameId = null;    // id from requestAnimationFrame
+let backgroundTickId = null;    // id from setInterval, keeps cues and the end on time while frames are paused
+let testStartedAt = null;       // Date of the first Start since the last reset (for the report)
 
 // Lap data is now stored as numbers in seconds.
 // In Original_index.html the user typed lap times into a textarea and they were parsed from text.
 let lapTimes = [];
 
+// Every stopwatch tap exactly as recorded, and a log of corrections made to lapTimes afterwards.
+// lapTimes is what calculations use; these two keep the original record for audit.
+let originalLapTaps = [];
+let lapEdits = [];
+
+// Rest stops (ATS allows the patient to stop while the clock keeps running).
+// Stored in seconds on the test clock; endS is null while the patient is still resting.
+let restStops = [];
+
 // DOM elements for the stopwatch and lap table
 const toggleButton = document.getElementById("toggleButton");
 const lapButton = document.getElementById("lapButton");
+const restButton = document.getElementById("restButton");
+const undoLapButton = document.getElementById("undoLapButton");
+const addLapButton = document.getElementById("addLapButton");
+const endEarlyButton = document.getElementById("endEarlyButton");
+const lapEditHeaderEl = document.getElementById("lapEditHeader");
 const resetButton = document.getElementById("resetButton");
 const timerDisplayEl = document.getElementById("timerDisplay");
+const timingWarningEl = document.getElementById("timingWarning");
+const wakeLockStatusEl = document.getElementById("wakeLockStatus");
 const lapTableBody = document.getElementById("lapTableBody");
 
+// Group test (several walkers on one clock)
+const groupModeToggle = document.getElementById("groupModeToggle");
+const groupCardEl = document.getElementById("groupCard");
+const walkerPanelsEl = document.getElementById("walkerPanels");
+const addWalkerButton = document.getElementById("addWalkerButton");
+const groupErrorDiv = document.getElementById("groupError");
+
+// Keyboard and clicker shortcuts, lap debounce and the giant lap button
+const keyShortcutsEnabledInput = document.getElementById("keyShortcutsEnabled");
+const lapDebounceInput = document.getElementById("lapDebounce");
+const keyBindingTableBody = document.getElementById("keyBindingTableBody");
+const keyBindingStatusEl = document.getElementById("keyBindingStatus");
+const keyBindingErrorDiv = document.getElementById("keyBindingError");
+const resetKeyBindingsButton = document.getElementById("resetKeyBindingsButton");
+const giantLapModeButton = document.getElementById("giantLapModeButton");
+const giantLapOverlayEl = document.getElementById("giantLapOverlay");
+const giantLapButton = document.getElementById("giantLapButton");
+const giantLapTimeEl = document.getElementById("giantLapTime");
+const giantLapCountEl = document.getElementById("giantLapCount");
+const giantLapStatusEl = document.getElementById("giantLapStatus");
+const giantLapExitButton = document.getElementById("giantLapExitButton");
+
+// Live position capture (overlay prompt at each minute mark)
+const liveCaptureToggle = document.getElementById("liveCaptureToggle");
+const captureOverlayEl = document.getElementById("captureOverlay");
+const captureTitleEl = document.getElementById("captureTitle");
+const captureDirRowEl = document.getElementById("captureDirRow");
+const captureDirOutButton = document.getElementById("captureDirOut");
+const captureDirBackButton = document.getElementById("captureDirBack");
+const capturePositionsEl = document.getElementById("capturePositions");
+const captureLapButton = document.getElementById("captureLapButton");
+const captureSkipButton = document.getElementById("captureSkipButton");
+
 // Manual mode (switch-style toggle)
 const manualModeToggle = document.getElementById("manualModeToggle");
 const stopwatchControlsEl = document.getElementById("stopwatchControls");
@@ -40,6 +93,19 @@ const stopwatchTitleEl = document.getElementById("stopwatchTitle");
 const manualRowControlsEl = document.getElementById("manualRowControls");
 const addRowButton = document.getElementById("addRowButton");
 
+// Lap time import dialog (manual mode)
+const importLapsButton = document.getElementById("importLapsButton");
+const lapImportOverlayEl = document.getElementById("lapImportOverlay");
+const lapImportTextInput = document.getElementById("lapImportText");
+const lapImportFileInput = document.getElementById("lapImportFile");
+const lapImportKindSelect = document.getElementById("lapImportKind");
+const lapImportDecimalCommaInput = document.getElementById("lapImportDecimalComma");
+const lapImportSummaryEl = document.getElementById("lapImportSummary");
+const lapImportPreviewBody = document.getElementById("lapImportPreviewBody");
+const lapImportErrorDiv = document.getElementById("lapImportError");
+const lapImportApplyButton = document.getElementById("lapImportApplyButton");
+const lapImportCancelButton = document.getElementById("lapImportCancelButton");
+
 let isManualMode = false;
 // Manual mode keeps its own editable values so re-rendering the table
 // (e.g., when adding rows) does NOT wipe what the user already typed.
@@ -54,6 +120,108 @@ const lapErrorDiv = document.getElementById("lapError");
 const minuteErrorDiv = document.getElementById("minuteError");
 const resultsBox = document.getElementById("resultsBox");
 
+// Patient demographics (optional, used for predicted distance only)
+const patientAgeInput = document.getElementById("patientAge");
+const patientSexSelect = document.getElementById("patientSex");
+const patientHeightInput = document.getElementById("patientHeight");
+const patientWeightInput = document.getElementById("patientWeight");
+const referenceEquationSelect = document.getElementById("referenceEquation");
+const demographicsErrorDiv = document.getElementById("demographicsError");
+
+// Vitals and Borg scores (rows are generated from VITAL_FIELDS)
+const vitalsTableBody = document.getElementById("vitalsTableBody");
+const vitalsErrorDiv = document.getElementById("vitalsError");
+
+// Test protocol (duration) and the per-minute position rows it generates
+const appTitleEl = document.getElementById("appTitle");
+const testProtocolSelect = document.getElementById("testProtocol");
+const customDurationField = document.getElementById("customDurationField");
+const customDurationInput = document.getElementById("customDuration");
+const protocolSummaryEl = document.getElementById("protocolSummary");
+const positionTableBody = document.getElementById("positionTableBody");
+
+// Early termination (stop time, reason and final position)
+const terminatedEarlyInput = document.getElementById("terminatedEarly");
+const terminationPanelEl = document.getElementById("terminationPanel");
+const terminationTimeInput = document.getElementById("terminationTime");
+const terminationReasonSelect = document.getElementById("terminationReason");
+const terminationPosSelect = document.getElementById("terminationPos");
+const terminationDirButton = document.getElementById("terminationDir");
+const terminationDirFieldEl = document.getElementById("terminationDirField");
+const terminationDetailsInput = document.getElementById("terminationDetails");
+
+// Track setup (corridor length and shuttle vs. loop)
+const trackLayoutSelect = document.getElementById("trackLayout");
+const trackLengthInput = document.getElementById("trackLength");
+const trackLengthLabelEl = document.getElementById("trackLengthLabel");
+const positionHeaderEl = document.getElementById("positionHeader");
+const terminationPosLabelEl = document.getElementById("terminationPosLabel");
+const unitSystemSelect = document.getElementById("unitSystem");
+const trackSummaryEl = document.getElementById("trackSummary");
+const trackErrorDiv = document.getElementById("trackError");
+const positionHelpEl = document.getElementById("positionHelp");
+const positionTableEl = document.getElementById("positionTable");
+
+// Session recovery banner
+const resumeBannerEl = document.getElementById("resumeBanner");
+const resumeInfoEl = document.getElementById("resumeInfo");
+const resumeSessionButton = document.getElementById("resumeSessionButton");
+const discardSessionButton = document.getElementById("discardSessionButton");
+
+// Offline app (service worker) status and update banner
+const offlineStatusEl = document.getElementById("offlineStatus");
+const updateBannerEl = document.getElementById("updateBanner");
+const reloadAppButton = document.getElementById("reloadAppButton");
+const dismissUpdateButton = document.getElementById("dismissUpdateButton");
+const updateErrorDiv = document.getElementById("updateError");
+
+// Audio cues (beeps and spoken encouragement)
+const beepEnabledInput = document.getElementById("beepEnabled");
+const speechEnabledInput = document.getElementById("speechEnabled");
+const cueVolumeInput = document.getElementById("cueVolume");
+const speechLanguageSelect = document.getElementById("speechLanguage");
+const speechVoiceSelect = document.getElementById("speechVoice");
+const testCueButton = document.getElementById("testCueButton");
+const audioCueErrorDiv = document.getElementById("audioCueError");
+
+// Export and print buttons (enabled after a successful calculation)
+const exportCsvButton = document.getElementById("exportCsvButton");
+const exportJsonButton = document.getElementById("exportJsonButton");
+const printReportButton = document.getElementById("printReportButton");
+const printReportEl = document.getElementById("printReport");
+
+// Explain mode: step-by-step trace of the last calculation
+const explainToggle = document.getElementById("explainToggle");
+const explainBox = document.getElementById("explainBox");
+
+// Pace and speed panel (filled from the last calculation)
+const analyticsCardEl = document.getElementById("analyticsCard");
+const analyticsSummaryEl = document.getElementById("analyticsSummary");
+const minuteSpeedChartEl = document.getElementById("minuteSpeedChart");
+const lapSplitChartEl = document.getElementById("lapSplitChart");
+const minuteSpeedTableBody = document.getElementById("minuteSpeedTableBody");
+const lapSplitTableBody = document.getElementById("lapSplitTableBody");
+
+// Test history (IndexedDB)
+const saveHistoryButton = document.getElementById("saveHistoryButton");
+const historySaveStatusEl = document.getElementById("historySaveStatus");
+const mcidInput = document.getElementById("mcidInput");
+const historySummaryEl = document.getElementById("historySummary");
+const historyTableBody = document.getElementById("historyTableBody");
+const historyErrorDiv = document.getElementById("historyError");
+
+// Interface language switcher
+const uiLanguageSelect = document.getElementById("uiLanguage");
+
+// Polite live region for screen readers (laps, clock state, results)
+const liveAnnouncerEl = document.getElementById("liveAnnouncer");
+
+// Test details (identifiers and notes for the printed report)
+const patientIdInput = document.getElementById("patientId");
+const testIdInput = document.getElementById("testId");
+const testerNameInput = document.getElementById("testerName");
+const testNotesInput = document.getElementById("testNotes");
+
 /**
  * Format a number of seconds as mm:ss.s
  * This is the same display style used in your earlier stopwatch mockup.
@@ -83,41 +251,6 @@ function formatTimeMMSS(seconds) {
   return `${mm}:${ss}`;
 }
 
-function parseTimeFlexibleToSeconds(str) {
-  const raw = String(str || "").trim();
-  if (!raw) return null;
-
-  // Accept manual entries as:
-  //   ss      -> 00:ss
-  //   m:ss    -> 0m:ss
-  //   mm:ss   -> mm:ss
-  // Also tolerate whitespace and single-digit seconds (e.g. 1:4 -> 01:04).
-  const compact = raw.replace(/\s+/g, "");
-
-  // Seconds only, e.g. "37"
-  if (/^\d+$/.test(compact)) {
-    return parseInt(compact, 10);
-  }
-
-  // One colon only, e.g. "1:23" or "01:23"
-  const parts = compact.split(":");
-  if (parts.length !== 2) return null;
-
-  const [minutesPart, secondsPart] = parts;
-  if (minutesPart === "" || secondsPart === "") return null;
-  if (!/^\d+$/.test(minutesPart) || !/^\d+$/.test(secondsPart)) return null;
-
-  let minutes = parseInt(minutesPart, 10);
-  let seconds = parseInt(secondsPart, 10);
-  if (Number.isNaN(minutes) || Number.isNaN(seconds)) return null;
-
-  // Carry seconds overflow into minutes so values like 2:75 still normalize cleanly.
-  minutes += Math.floor(seconds / 60);
-  seconds = seconds % 60;
-
-  return minutes * 60 + seconds;
-}
-
 
 /**
  * Parse mm:ss into total seconds (integer). Returns null on invalid input.
@@ -133,62 +266,99 @@ function parseTimeMMSS(str) {
 }
 
 function setLapHeaderForMode() {
+  // Manual rows are edited in place, so the Edit column is only for stopwatch laps.
+  if (lapEditHeaderEl) lapEditHeaderEl.classList.toggle("hidden", isManualMode);
   if (!lapTimeHeaderEl) return;
-  lapTimeHeaderEl.textContent = isManualMode ? "Time (mm:ss)" : "Time (mm:ss.s)";
+  lapTimeHeaderEl.textContent = t(isManualMode ? "laps.timeManual" : "laps.time");
 }
 
 /**
- * Update the on-screen timer display from the current elapsedMs value.
+ * Show the Start/Stop button as "start", "stop" or "finished" (the test is over until Reset).
+ * The state is kept on the button so it does not depend on the label's language.
+ */
+function setToggleButtonState(state) {
+  toggleButton.dataset.state = state;
+  toggleButton.textContent = t(`stopwatch.${state}`);
+}
+
+/**
+ * Elapsed test time right now, measured from the monotonic start timestamp rather than
+ * summed frame by frame, so it stays correct while frames are throttled or paused
+ * (screen dimmed, tab hidden). Never past the end of the test.
  */
 function getCurrentElapsedMs() {
   if (!stopwatchRunning) return elapsedMs;
   if (stopwatchStartTime === null) return elapsedMs;
-  return elapsedMs + (performance.now() - stopwatchStartTime);
+  return Math.min(runBaseMs + (performance.now() - stopwatchStartTime), getTestDurationMs());
 }
 
+/**
+ * Update the on-screen timer display from the current elapsedMs value.
+ */
 function updateTimerDisplay() {
   const sec = elapsedMs / 1000;
   timerDisplayEl.textContent = formatTimeSeconds(sec);
+  updateGiantLapButton();
+  updateWalkerLapButtons();
+}
+
+/** Cancel the animation frame and the background interval, whichever are scheduled. */
+function cancelStopwatchLoops() {
+  if (animationFrameId !== null) {
+    cancelAnimationFrame(animationFrameId);
+    animationFrameId = null;
+  }
+  if (backgroundTickId !== null) {
+    clearInterval(backgroundTickId);
+    backgroundTickId = null;
+  }
 }
 
 /**
- * Internal animation loop for the stopwatch.
- * In your first refactor this used setInterval with 100 ms.
- * requestAnimationFrame gives smoother and more accurate updates.
+ * Bring the running stopwatch up to date: display, cues, capture prompts and the stop at
+ * the end of the test. Returns false once the stopwatch is no longer running.
  */
-function tick(timestamp) {
-  if (!stopwatchRunning) return;
-
-  // timestamp comes from requestAnimationFrame and is comparable to performance.now()
-  if (stopwatchStartTime === null) stopwatchStartTime = timestamp;
+function advanceStopwatch() {
+  if (!stopwatchRunning) return false;
 
-  const delta = timestamp - stopwatchStartTime;
-  stopwatchStartTime = timestamp;
+  elapsedMs = getCurrentElapsedMs();
 
-  elapsedMs += delta;
-
-  // Clamp at 6 minutes (360000 ms) so drift can’t push over.
-  const maxMs = 6 * 60 * 1000;
+  const maxMs = getTestDurationMs();
   if (elapsedMs >= maxMs) {
     elapsedMs = maxMs;
     stopwatchRunning = false;
+    cancelStopwatchLoops();
+    releaseWakeLock();
     updateTimerDisplay();
+    playDueCues(elapsedMs);
+    promptDueCaptures(elapsedMs);
 
-    if (animationFrameId !== null) {
-      cancelAnimationFrame(animationFrameId);
-      animationFrameId = null;
-    }
-
-    toggleButton.textContent = "Finished";
+    setToggleButtonState("finished");
     toggleButton.disabled = true;
     lapButton.disabled = true;
-    return;
+    closeOpenRestStop(maxMs / 1000);
+    updateEndEarlyButton();
+    announce(t("a11y.finished", { time: formatTimeSeconds(maxMs / 1000) }));
+    return false;
   }
 
   updateTimerDisplay();
-  animationFrameId = requestAnimationFrame(tick);
+  playDueCues(elapsedMs);
+  promptDueCaptures(elapsedMs);
+  return true;
 }
 
+/**
+ * Internal animation loop for the stopwatch.
+ * requestAnimationFrame keeps the display smooth; browsers pause it for hidden pages,
+ * so a slower interval (BACKGROUND_TICK_MS) also runs to keep cues and the end on time.
+ */
+function tick() {
+  if (advanceStopwatch()) animationFrameId = requestAnimationFrame(tick);
+}
+
+const BACKGROUND_TICK_MS = 1000;
+
 /**
  * Start the stopwatch.
  * This is called when the toggleButton goes from "Start" to "Stop".
@@ -196,16 +366,27 @@ function tick(timestamp) {
 function startTimer() {
   if (stopwatchRunning) return;
 
-  // Reset the frame reference so the first tick starts cleanly
+  // Anchor this run to a monotonic timestamp; elapsed time is always measured from here.
   stopwatchRunning = true;
-  stopwatchStartTime = null;
+  runBaseMs = elapsedMs;
+  stopwatchStartTime = performance.now();
+  if (testStartedAt === null) testStartedAt = new Date();
+
+  // Browsers only allow audio that was started from a user gesture; Start is one.
+  unlockAudio();
 
-  toggleButton.textContent = "Stop";
+  setToggleButtonState("stop");
   lapButton.disabled = false;
   resetButton.disabled = false;
+  updateRestButton();
+  updateEndEarlyButton();
+  updateProtocolLock();
+  announce(t("a11y.started"));
 
-  // Kick off the animation loop
+  // Kick off the animation loop and its background fallback
   animationFrameId = requestAnimationFrame(tick);
+  backgroundTickId = setInterval(advanceStopwatch, BACKGROUND_TICK_MS);
+  requestWakeLock();
 }
 
 
@@ -216,29 +397,23 @@ function startTimer() {
 function stopTimer() {
   if (!stopwatchRunning) return;
 
+  // Take the exact time before stopping (already clamped at the protocol duration)
+  elapsedMs = getCurrentElapsedMs();
   stopwatchRunning = false;
+  stopwatchStartTime = null;
 
-  // Cancel any scheduled animation frame
-  if (animationFrameId !== null) {
-    cancelAnimationFrame(animationFrameId);
-    animationFrameId = null;
-  }
-
-  // If we stop between frames, add the partial delta up to now
-  if (stopwatchStartTime !== null) {
-    const now = performance.now();
-    elapsedMs += (now - stopwatchStartTime);
-    stopwatchStartTime = now;
-  }
-
-  // Clamp at 6 minutes
-  const maxMs = 6 * 60 * 1000;
-  if (elapsedMs > maxMs) elapsedMs = maxMs;
+  cancelStopwatchLoops();
+  releaseWakeLock();
 
   updateTimerDisplay();
 
-  toggleButton.textContent = "Start";
+  setToggleButtonState("start");
   lapButton.disabled = true;
+
+  // The clock is no longer running, so a rest in progress ends here.
+  closeOpenRestStop(elapsedMs / 1000);
+  updateEndEarlyButton();
+  announce(t("a11y.stopped", { time: formatTimeSeconds(elapsedMs / 1000) }));
 }
 
 
@@ -251,24 +426,47 @@ function resetTimer() {
   if (stopwatchRunning) {
     stopwatchRunning = false;
   }
-  if (animationFrameId !== null) {
-    cancelAnimationFrame(animationFrameId);
-    animationFrameId = null;
-  }
+  cancelStopwatchLoops();
+  releaseWakeLock();
 
   elapsedMs = 0;
+  runBaseMs = 0;
   stopwatchStartTime = null;
+  testStartedAt = null;
+  cuesPlayedUpToMs = 0;
+
+  // Hidden periods belong to the clock being reset too.
+  pageHiddenPeriods = [];
+  showTimingWarning("");
+
+  // Capture times belong to the clock being reset; the positions themselves stay.
+  clearMinuteCaptures();
+  capturePromptedUpToMs = 0;
+  closeCapturePrompt();
   updateTimerDisplay();
+  updateProtocolLock();
 
   // Reset UI state for buttons
-  toggleButton.textContent = "Start";
+  setToggleButtonState("start");
   toggleButton.disabled = false;
   lapButton.disabled = true;
   resetButton.disabled = true;
 
-  // Clear lap data and table
+  // Clear lap data, rest stops and table
   lapTimes = [];
+  originalLapTaps = [];
+  lapEdits = [];
+  addingLap = false;
+  restStops = [];
+  updateRestButton();
   renderLapTable();
+  // Group walkers keep their names and positions, like the single-walker table.
+  groupWalkers.forEach((walker) => {
+    walker.lapTimes = [];
+  });
+  renderWalkerPanels();
+  // The stop time belongs to the clock being reset.
+  clearTermination();
   // Clear manual mode state/inputs
   if (manualModeToggle) {
     manualModeToggle.checked = false;
@@ -306,6 +504,10 @@ function recordLap() {
   if (isManualMode) {
     return;
   }
+  // Group tests record laps per walker (recordWalkerLap).
+  if (isGroupMode) {
+    return;
+  }
   if (!stopwatchRunning) {
     return;
   }
@@ -313,194 +515,1743 @@ function recordLap() {
   const currentMs = getCurrentElapsedMs();
   const currentSec = currentMs / 1000;
 
+  // Debounce: a second tap this soon after the last lap is a bounce or a double tap,
+  // not a lap (the setting is in the keyboard and clicker card).
+  const debounceS = getLapDebounceS();
+  if (lapTimes.length > 0 && currentSec - lapTimes[lapTimes.length - 1] < debounceS) {
+    lapErrorDiv.textContent = t("lapError.debounce", { seconds: formatNum(debounceS, 1, 0) });
+    return;
+  }
+
   // Enforce strictly increasing lap times.
   // If the user accidentally taps Lap twice quickly at almost the same time,
   // we do not want to record a duplicate or smaller lap time.
   if (lapTimes.length > 0 && currentSec <= lapTimes[lapTimes.length - 1]) {
-    lapErrorDiv.textContent =
-      "Lap ignored: lap time must be greater than previous lap time.";
+    lapErrorDiv.textContent = t("lapError.notIncreasing");
     return;
   }
 
   lapTimes.push(currentSec);
+  originalLapTaps.push(currentSec);
   lapErrorDiv.textContent = "";
 
   renderLapTable();
+  announce(t("a11y.lap", { lap: lapTimes.length, time: formatTimeSeconds(currentSec) }));
 }
 
-/**
- * Render the lap times into the lap table on the left.
- */
-function renderLapTable() {
-  lapTableBody.innerHTML = "";
-  setLapHeaderForMode();
+/* =========================
+   Screen wake lock and page visibility
+   ========================= */
 
-  if (!isManualMode) {
-    // Stopwatch mode: render recorded laps
-    lapTimes.forEach((t, index) => {
-      const tr = document.createElement("tr");
-      const tdLap = document.createElement("td");
-      const tdTime = document.createElement("td");
+// Screen wake lock held while the stopwatch runs; the browser drops it when the page is hidden.
+let wakeLock = null;
 
-      tdLap.textContent = index + 1;
-      tdTime.textContent = formatTimeSeconds(t);
+// Stretches of the test clock during which the page was hidden: [{ startS, endS }],
+// endS null while still hidden. Timing is unaffected, but laps and cues may have been missed.
+let pageHiddenPeriods = [];
 
-      tr.appendChild(tdLap);
-      tr.appendChild(tdTime);
-      lapTableBody.appendChild(tr);
-    });
+function setWakeLockStatus(text) {
+  if (wakeLockStatusEl) wakeLockStatusEl.textContent = text;
+}
+
+/** Keep the screen on while the test runs, where the browser supports it. */
+async function requestWakeLock() {
+  if (!navigator.wakeLock) {
+    setWakeLockStatus(t("screen.unsupported"));
     return;
   }
+  if (wakeLock) return;
 
-  // Manual mode: render editable rows.
-  // IMPORTANT: Use manualLapValues (not lapTimes) so re-rendering doesn't wipe typed input.
-  // Always keep at least 1 blank row at the end.
-  manualRowCount = Math.max(1, manualLapValues.length);
-  if (manualLapValues.length === 0) manualLapValues = [""];
-  if (manualLapValues[manualLapValues.length - 1].trim() !== "") {
-    manualLapValues.push("");
+  try {
+    const lock = await navigator.wakeLock.request("screen");
+    // The stopwatch may have stopped while the request was pending.
+    if (!stopwatchRunning) {
+      lock.release().catch(() => {});
+      return;
+    }
+    wakeLock = lock;
+    wakeLock.addEventListener("release", () => {
+      if (wakeLock === lock) wakeLock = null;
+    });
+    setWakeLockStatus(t("screen.on"));
+  } catch (err) {
+    setWakeLockStatus(t("screen.error", { message: err.message }));
   }
-  const rowCount = manualLapValues.length;
-
-  for (let i = 0; i < rowCount; i++) {
-    const tr = document.createElement("tr");
-    const tdLap = document.createElement("td");
-    const tdTime = document.createElement("td");
-
-    tdLap.textContent = i + 1;
-
-    const input = document.createElement("input");
-    input.type = "text";
-    input.inputMode = "text";            // full keyboard (needs ':')
-    input.autocapitalize = "off";
-    input.autocomplete = "off";
-    input.spellcheck = false;
-    input.enterKeyHint = "next";
-    input.placeholder = "mm:ss";
-    input.className = "manual-time-input";
-    input.value = manualLapValues[i] || "";
-    input.dataset.index = String(i);
+}
 
-    // Keep manualLapValues up-to-date as the user types.
-    input.addEventListener("input", () => {
-      manualLapValues[i] = input.value;
-    });
+function releaseWakeLock() {
+  if (!wakeLock) return;
+  const lock = wakeLock;
+  wakeLock = null;
+  lock.release().catch(() => {});
+  setWakeLockStatus("");
+}
 
-    // Normalize on blur (don’t nag while typing)
-    input.addEventListener("blur", () => {
-      const v = input.value.trim();
-      if (!v) return;
+function showTimingWarning(text) {
+  if (!timingWarningEl) return;
+  timingWarningEl.textContent = text;
+  timingWarningEl.classList.toggle("hidden", !text);
+}
 
-      const sec = parseTimeFlexibleToSeconds(v);
-      if (sec === null) return; // leave as-is; calculate() will catch it if needed
-      const normalized = formatTimeMMSS(sec);
-      input.value = normalized;
-      manualLapValues[i] = normalized;
+/** Total seconds of closed hidden periods. */
+function totalHiddenS(periods) {
+  return periods
+    .filter((period) => period.endS !== null)
+    .reduce((sum, period) => sum + (period.endS - period.startS), 0);
+}
 
-      // If they just finished the last non-blank row, auto-add a new blank row.
-      if (i === manualLapValues.length - 2) {
-        maybeAddManualRowFromIndex(i);
-      }
-    });
+/**
+ * Page hidden during an active test: note when. Visible again: close the period, warn the
+ * tester, catch the stopwatch up at once and take the wake lock back.
+ */
+function handleVisibilityChange() {
+  const nowS = getCurrentElapsedMs() / 1000;
 
-    // Enter/Done -> add a row if needed, then focus next
-    input.addEventListener("keydown", (e) => {
-      if (e.key !== "Enter") return;
-      e.preventDefault();
-      maybeAddManualRowFromIndex(i);
-    });
+  if (document.visibilityState === "hidden") {
+    if (stopwatchRunning) pageHiddenPeriods.push({ startS: nowS, endS: null });
+    return;
+  }
 
-    tdTime.appendChild(input);
-    tr.appendChild(tdLap);
-    tr.appendChild(tdTime);
-    lapTableBody.appendChild(tr);
+  const open = pageHiddenPeriods[pageHiddenPeriods.length - 1];
+  if (open && open.endS === null) {
+    open.endS = Math.max(nowS, open.startS);
+    showTimingWarning(
+      t("hidden.warning", {
+        start: formatTimeSeconds(open.startS),
+        end: formatTimeSeconds(open.endS),
+        seconds: formatNum(open.endS - open.startS, 1)
+      })
+    );
   }
-}
 
+  if (advanceStopwatch()) requestWakeLock();
+}
 
 /* =========================
-   Manual mode helpers (table-based cumulative lap times)
+   Lap corrections (stopwatch mode)
    ========================= */
-// (table-based cumulative lap times)
-// =========================
-
-function syncLapTimesFromManualTable() {
-  // This function used to live-validate on each keystroke.
-  // We keep the name so other code doesn’t break, but we validate on Calculate instead.
-  return true;
-}
 
-function maybeAddManualRowFromIndex(index) {
-  if (!isManualMode) return;
+// Lap number (1-based) whose time is being edited inline, or null.
+let editingLapNumber = null;
+// True while the "add missed lap" row is open at the bottom of the lap table.
+let addingLap = false;
 
-  const inputs = Array.from(lapTableBody.querySelectorAll("input.manual-time-input"));
-  const isLast = index >= inputs.length - 1;
+function logLapEdit(action, lapNumber, fromS, toS) {
+  lapEdits.push({ action, lapNumber, fromS, toS, at: new Date().toISOString() });
+}
 
-  // Only add a row if the current row has something parseable.
-  // Also normalize the entry to keep formatting consistent (e.g., 37 -> 00:37, 1:15 -> 01:15).
-  const v = (inputs[index]?.value || "").trim();
-  const sec = parseTimeFlexibleToSeconds(v);
-  if (!sec && sec !== 0) {
-    // still move focus forward if possible
-    if (inputs[index + 1]) inputs[index + 1].focus();
-    return;
+/**
+ * Check that a corrected lap list is usable: strictly increasing, after 0:00
+ * and within the test. Returns an error message, or null when it is fine.
+ */
+function validateLapList(list) {
+  const maxS = testDurationMin * 60;
+  for (let i = 0; i < list.length; i++) {
+    if (!(list[i] > 0) || list[i] > maxS) {
+      return t("lapError.range", { lap: i + 1, max: formatTimeSeconds(maxS) });
+    }
+    if (i > 0 && list[i] <= list[i - 1]) {
+      return t("lapError.order", { lap: i + 1, previous: i });
+    }
   }
+  return null;
+}
 
-  // Normalize the currently-entered value in-place.
-  const normalized = formatTimeMMSS(sec);
-  inputs[index].value = normalized;
-  manualLapValues[index] = normalized;
+/** Apply a corrected lap list if it is valid; otherwise report why and keep the old one. */
+function applyLapCorrection(nextList, action, lapNumber, fromS, toS) {
+  const error = validateLapList(nextList);
+  if (error) {
+    lapErrorDiv.textContent = t("lapError.notChanged", { reason: error });
+    return false;
+  }
+  lapTimes = nextList;
+  logLapEdit(action, lapNumber, fromS, toS);
+  lapErrorDiv.textContent = "";
+  editingLapNumber = null;
+  addingLap = false;
+  renderLapTable();
+  return true;
+}
 
-  if (isLast) {
-    // Persist (defensive) then add a new blank row.
-    manualLapValues[index] = normalized;
-    manualLapValues.push("");
-    manualRowCount = manualLapValues.length;
+function deleteLap(index) {
+  const next = lapTimes.filter((_, i) => i !== index);
+  applyLapCorrection(next, "delete", index + 1, lapTimes[index], null);
+}
 
+/**
+ * Insert a missed lap before lap `index` (0-based), halfway between its neighbours.
+ * The new lap then opens for editing so a known time can be typed over the estimate.
+ */
+function insertLapBefore(index) {
+  const before = index > 0 ? lapTimes[index - 1] : 0;
+  const after = lapTimes[index];
+  // Round to a tenth so the estimate displays the same way it is stored.
+  const estimate = Math.round(((before + after) / 2) * 10) / 10;
+  const next = [...lapTimes.slice(0, index), estimate, ...lapTimes.slice(index)];
+  if (applyLapCorrection(next, "insert", index + 1, null, estimate)) {
+    editingLapNumber = index + 1;
     renderLapTable();
-
-    // focus the next row that was just added
-    const newInputs = Array.from(lapTableBody.querySelectorAll("input.manual-time-input"));
-    if (newInputs[index + 1]) newInputs[index + 1].focus();
-    return;
   }
+}
 
-  if (inputs[index + 1]) inputs[index + 1].focus();
+/** Returns false when the typed time was rejected (the input stays open to fix it). */
+function editLapTime(index, text) {
+  const sec = parseLapTimeToSeconds(text);
+  if (sec === null) {
+    lapErrorDiv.textContent = t("lapError.timeFormat");
+    return false;
+  }
+  if (sec === lapTimes[index]) {
+    editingLapNumber = null;
+    lapErrorDiv.textContent = "";
+    renderLapTable();
+    return true;
+  }
+  const next = [...lapTimes];
+  next[index] = sec;
+  return applyLapCorrection(next, "edit", index + 1, lapTimes[index], sec);
 }
 
 /**
- * Read manual times from the table and return an array of seconds.
- * - trailing blank rows are ignored
- * - blank row in the middle is an error
- * - times must be strictly increasing
- * If showErrors is true, writes a message into lapErrorDiv.
+ * Add a lap that was never tapped at a typed time, in order among the recorded laps.
+ * Covers a missed final lap and a test with no laps yet. Returns false when rejected.
  */
-function readManualLapTimes(showErrors) {
-  const inputs = Array.from(lapTableBody.querySelectorAll("input.manual-time-input"));
-  const secs = [];
-  let seenBlank = false;
+function addMissedLap(text) {
+  const sec = parseLapTimeToSeconds(text);
+  if (sec === null) {
+    lapErrorDiv.textContent = t("lapError.timeFormat");
+    return false;
+  }
+  // A lap cannot be later than the clock has run.
+  const clockS = getCurrentElapsedMs() / 1000;
+  if (sec > clockS) {
+    lapErrorDiv.textContent = t("lapError.notChanged", {
+      reason: t("lapError.afterClock", { time: formatTimeSeconds(sec), clock: formatTimeSeconds(clockS) })
+    });
+    return false;
+  }
+  const later = lapTimes.findIndex((lapS) => lapS > sec);
+  const index = later === -1 ? lapTimes.length : later;
+  const next = [...lapTimes.slice(0, index), sec, ...lapTimes.slice(index)];
+  return applyLapCorrection(next, "insert", index + 1, null, sec);
+}
 
-  for (let i = 0; i < inputs.length; i++) {
-    const raw = (inputs[i].value || "").trim();
+/** Remove the most recent lap (the usual fix for a double tap). */
+function undoLastLap() {
+  if (isManualMode || lapTimes.length === 0) return;
+  const lapNumber = lapTimes.length;
+  const last = lapTimes[lapNumber - 1];
+  if (applyLapCorrection(lapTimes.slice(0, -1), "undo", lapNumber, last, null)) {
+    announce(t("a11y.lapUndone", { lap: lapNumber }));
+  }
+}
 
-    if (!raw) {
-      // once blank, everything after must also be blank
-      seenBlank = true;
-      continue;
+function updateUndoLapButton() {
+  if (undoLapButton) undoLapButton.disabled = isManualMode || lapTimes.length === 0;
+  if (addLapButton) addLapButton.disabled = isManualMode || addingLap;
+}
+
+/** True when lap `index` no longer matches a tap as it was recorded. */
+function isCorrectedLap(index) {
+  return !originalLapTaps.includes(lapTimes[index]);
+}
+
+/** Build the Edit cell for one stopwatch lap row. */
+function buildLapActionsCell(index) {
+  const td = document.createElement("td");
+  const actions = document.createElement("div");
+  actions.className = "lap-actions";
+
+  const addAction = (label, title, handler) => {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = "secondary";
+    button.textContent = label;
+    button.title = title;
+    button.setAttribute("aria-label", title);
+    button.addEventListener("click", handler);
+    actions.appendChild(button);
+  };
+
+  const lap = index + 1;
+  addAction("✎", t("laps.editLap", { lap }), () => {
+    editingLapNumber = lap;
+    renderLapTable();
+  });
+  addAction("+", t("laps.insertBefore", { lap }), () => insertLapBefore(index));
+  addAction("✕", t("laps.deleteLap", { lap }), () => deleteLap(index));
+
+  td.appendChild(actions);
+  return td;
+}
+
+/** Inline time input for the lap being edited; Enter saves, Escape cancels. */
+function buildLapEditInput(index) {
+  const input = document.createElement("input");
+  input.type = "text";
+  input.className = "lap-time-input";
+  input.autocomplete = "off";
+  input.spellcheck = false;
+  input.value = formatTimeSeconds(lapTimes[index]);
+  input.setAttribute("aria-label", t("laps.timeFor", { lap: index + 1 }));
+
+  let done = false;
+  const finish = (save) => {
+    if (done) return;
+    done = true;
+    if (save) {
+      done = editLapTime(index, input.value);
+    } else {
+      editingLapNumber = null;
+      renderLapTable();
     }
-    if (seenBlank) {
-      if (showErrors) {
-        lapErrorDiv.textContent = `Manual entry error: you left a blank row before lap ${i + 1}.`;
-      }
-      return null;
+  };
+
+  input.addEventListener("keydown", (e) => {
+    if (e.key === "Enter") {
+      e.preventDefault();
+      finish(true);
+    } else if (e.key === "Escape") {
+      finish(false);
     }
+  });
+  input.addEventListener("blur", () => finish(true));
+  return input;
+}
 
-    const sec = parseTimeFlexibleToSeconds(raw);
-    if (sec === null) {
-      if (showErrors) {
-        lapErrorDiv.textContent = `Manual entry error on lap ${i + 1}: please enter a time as ss, m:ss, or mm:ss.`;
-      }
-      return null;
+/** Time input for the "add missed lap" row; Enter adds the lap, Escape closes the row. */
+function buildNewLapInput() {
+  const input = document.createElement("input");
+  input.type = "text";
+  input.className = "lap-time-input";
+  input.autocomplete = "off";
+  input.spellcheck = false;
+  input.placeholder = "m:ss.s";
+  input.setAttribute("aria-label", t("laps.newTime"));
+
+  let done = false;
+  const finish = (save) => {
+    if (done) return;
+    done = true;
+    // Leaving the row empty just closes it.
+    if (save && input.value.trim() !== "") {
+      done = addMissedLap(input.value);
+    } else {
+      addingLap = false;
+      lapErrorDiv.textContent = "";
+      renderLapTable();
+    }
+  };
+
+  input.addEventListener("keydown", (e) => {
+    if (e.key === "Enter") {
+      e.preventDefault();
+      finish(true);
+    } else if (e.key === "Escape") {
+      finish(false);
+    }
+  });
+  input.addEventListener("blur", () => finish(true));
+  return input;
+}
+
+/* =========================
+   Keyboard, clicker and giant lap button
+   ========================= */
+
+const KEY_PREFS_KEY = "sixMinuteWalk.keyPrefs";
+const DEFAULT_LAP_DEBOUNCE_S = 2;
+const MAX_LAP_DEBOUNCE_S = 10;
+
+// Actions that can be bound to keys, named by the "keys.action.<id>" messages. Presentation
+// clickers usually send PageDown/PageUp or the arrow keys; media remotes send the Media* keys.
+const KEY_ACTIONS = [
+  { id: "lap", defaults: [" ", "PageDown", "ArrowRight", "MediaTrackNext"] },
+  { id: "startStop", defaults: ["s", "MediaPlayPause"] },
+  { id: "undoLap", defaults: ["z", "PageUp", "ArrowLeft", "MediaTrackPrevious"] }
+];
+
+// Bound keys per action id, as normalized KeyboardEvent.key values.
+let keyBindings = defaultKeyBindings();
+let keyCaptureAction = null; // action waiting for its next key press, or null
+
+function defaultKeyBindings() {
+  const bindings = {};
+  KEY_ACTIONS.forEach((action) => {
+    bindings[action.id] = [...action.defaults];
+  });
+  return bindings;
+}
+
+/** Letters are matched case-insensitively so Caps Lock and Shift do not matter. */
+function normalizeKey(key) {
+  if (key === "Spacebar") return " ";
+  return key.length === 1 ? key.toLowerCase() : key;
+}
+
+function describeKey(key) {
+  if (key === " ") return t("keys.space");
+  return key.length === 1 ? key.toUpperCase() : key;
+}
+
+/** Seconds within which a repeat lap tap is ignored; the default when the field is invalid. */
+function getLapDebounceS() {
+  if (!lapDebounceInput) return DEFAULT_LAP_DEBOUNCE_S;
+  const value = Number(lapDebounceInput.value);
+  if (lapDebounceInput.value === "" || !Number.isFinite(value) || value < 0 || value > MAX_LAP_DEBOUNCE_S) {
+    return DEFAULT_LAP_DEBOUNCE_S;
+  }
+  return value;
+}
+
+function validateLapDebounce() {
+  if (!keyBindingErrorDiv || !lapDebounceInput) return;
+  const value = Number(lapDebounceInput.value);
+  const ok =
+    lapDebounceInput.value !== "" && Number.isFinite(value) && value >= 0 && value <= MAX_LAP_DEBOUNCE_S;
+  keyBindingErrorDiv.textContent = ok
+    ? ""
+    : t("keys.debounceError", {
+        max: formatNum(MAX_LAP_DEBOUNCE_S, 1, 0),
+        default: formatNum(DEFAULT_LAP_DEBOUNCE_S, 1, 0)
+      });
+}
+
+/** Key bindings and the debounce are a device preference, like the audio settings. */
+function saveKeyPrefs() {
+  try {
+    localStorage.setItem(
+      KEY_PREFS_KEY,
+      JSON.stringify({
+        enabled: !!(keyShortcutsEnabledInput && keyShortcutsEnabledInput.checked),
+        debounceS: getLapDebounceS(),
+        bindings: keyBindings
+      })
+    );
+  } catch (err) {
+    // ignore
+  }
+}
+
+function loadKeyPrefs() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(KEY_PREFS_KEY) || "null");
+    if (!saved) return;
+    if (keyShortcutsEnabledInput) keyShortcutsEnabledInput.checked = saved.enabled !== false;
+    if (lapDebounceInput && typeof saved.debounceS === "number") {
+      lapDebounceInput.value = String(saved.debounceS);
+    }
+    if (saved.bindings) {
+      KEY_ACTIONS.forEach((action) => {
+        if (Array.isArray(saved.bindings[action.id])) keyBindings[action.id] = [...saved.bindings[action.id]];
+      });
+    }
+  } catch (err) {
+    // ignore
+  }
+}
+
+function setKeyBindingStatus(text) {
+  if (keyBindingStatusEl) keyBindingStatusEl.textContent = text;
+}
+
+/** One row per action: its keys, plus buttons to add a key or clear them. */
+function renderKeyBindings() {
+  if (!keyBindingTableBody) return;
+  keyBindingTableBody.innerHTML = "";
+
+  KEY_ACTIONS.forEach((action) => {
+    const tr = document.createElement("tr");
+
+    const labelTd = document.createElement("td");
+    labelTd.textContent = t(`keys.action.${action.id}`);
+    tr.appendChild(labelTd);
+
+    const keysTd = document.createElement("td");
+    if (keyBindings[action.id].length) {
+      keyBindings[action.id].forEach((key) => {
+        const kbd = document.createElement("kbd");
+        kbd.textContent = describeKey(key);
+        keysTd.appendChild(kbd);
+      });
+    } else {
+      keysTd.textContent = t("keys.none");
+    }
+    tr.appendChild(keysTd);
+
+    const actionsTd = document.createElement("td");
+    const addButton = document.createElement("button");
+    addButton.type = "button";
+    addButton.className = "secondary";
+    addButton.textContent = t(keyCaptureAction === action.id ? "keys.pressKey" : "keys.add");
+    addButton.addEventListener("click", () => startKeyCapture(action.id));
+    actionsTd.appendChild(addButton);
+
+    const clearButton = document.createElement("button");
+    clearButton.type = "button";
+    clearButton.className = "secondary";
+    clearButton.textContent = t("keys.clear");
+    clearButton.disabled = keyBindings[action.id].length === 0;
+    clearButton.addEventListener("click", () => {
+      keyBindings[action.id] = [];
+      keyCaptureAction = null;
+      setKeyBindingStatus("");
+      saveKeyPrefs();
+      renderKeyBindings();
+    });
+    actionsTd.appendChild(clearButton);
+    tr.appendChild(actionsTd);
+
+    keyBindingTableBody.appendChild(tr);
+  });
+}
+
+function startKeyCapture(actionId) {
+  keyCaptureAction = actionId;
+  setKeyBindingStatus(t("keys.capture", { action: t(`keys.action.${actionId}`) }));
+  renderKeyBindings();
+}
+
+/** Bind the captured key to the waiting action; a key can only belong to one action. */
+function finishKeyCapture(key) {
+  const action = KEY_ACTIONS.find((a) => a.id === keyCaptureAction);
+  keyCaptureAction = null;
+
+  if (key === "Escape") {
+    setKeyBindingStatus("");
+  } else {
+    let movedFrom = null;
+    KEY_ACTIONS.forEach((other) => {
+      if (other.id !== action.id && keyBindings[other.id].includes(key)) {
+        keyBindings[other.id] = keyBindings[other.id].filter((k) => k !== key);
+        movedFrom = other.id;
+      }
+    });
+    if (!keyBindings[action.id].includes(key)) keyBindings[action.id].push(key);
+    setKeyBindingStatus(
+      t(movedFrom ? "keys.moved" : "keys.bound", {
+        key: describeKey(key),
+        action: t(`keys.action.${action.id}`),
+        previous: movedFrom && t(`keys.action.${movedFrom}`)
+      })
+    );
+    saveKeyPrefs();
+  }
+  renderKeyBindings();
+}
+
+function restoreDefaultKeyBindings() {
+  keyBindings = defaultKeyBindings();
+  keyCaptureAction = null;
+  setKeyBindingStatus(t("keys.restored"));
+  saveKeyPrefs();
+  renderKeyBindings();
+}
+
+/**
+ * Keys typed into a text field or select belong to that field, not to the shortcuts.
+ * Sliders and radio groups count too: they use the arrow keys bound to Lap and Undo lap.
+ */
+function isTypingTarget(el) {
+  if (!el || !el.tagName) return false;
+  if (el.isContentEditable) return true;
+  if (el.tagName === "TEXTAREA" || el.tagName === "SELECT") return true;
+  if (el.tagName !== "INPUT") return false;
+  return !["checkbox", "button", "submit"].includes(el.type);
+}
+
+/** Keys pressed in a position grid move through it and press its buttons (handleMinuteGridKey). */
+function isInPositionGrid(el) {
+  return !!(el && el.closest && el.closest(".position-grid"));
+}
+
+/** Record a lap from the keyboard or the giant button and report the outcome there too. */
+function tapLap() {
+  const before = lapTimes.length;
+  recordLap();
+  if (lapTimes.length > before) {
+    setGiantLapStatus(
+      t("giant.lap", { lap: lapTimes.length, time: formatTimeSeconds(lapTimes[lapTimes.length - 1]) })
+    );
+  } else if (lapErrorDiv.textContent) {
+    setGiantLapStatus(lapErrorDiv.textContent);
+  }
+}
+
+function handleShortcutKey(event) {
+  if (event.defaultPrevented || event.ctrlKey || event.metaKey || event.altKey) return;
+  const key = normalizeKey(event.key);
+
+  if (keyCaptureAction) {
+    event.preventDefault();
+    finishKeyCapture(key);
+    return;
+  }
+
+  if (key === "Escape" && giantLapOverlayEl && !giantLapOverlayEl.classList.contains("hidden")) {
+    closeGiantLapMode();
+    return;
+  }
+
+  if (!keyShortcutsEnabledInput || !keyShortcutsEnabledInput.checked) return;
+  if (isManualMode || isTypingTarget(event.target) || isInPositionGrid(event.target)) return;
+
+  // In a group test the number keys tap the lap of that walker.
+  if (isGroupMode && /^[1-9]$/.test(key) && Number(key) <= groupWalkers.length) {
+    event.preventDefault();
+    if (!event.repeat) recordWalkerLap(Number(key) - 1);
+    saveSession();
+    return;
+  }
+
+  const action = KEY_ACTIONS.find((a) => keyBindings[a.id].includes(key));
+  if (!action) return;
+  // Stop the key from also pressing a focused button or scrolling the page.
+  event.preventDefault();
+  // A held key (or a clicker that auto-repeats) acts once.
+  if (event.repeat) return;
+
+  if (action.id === "lap") {
+    tapLap();
+  } else if (action.id === "startStop") {
+    if (!toggleButton.disabled) toggleTimer();
+  } else if (action.id === "undoLap") {
+    undoLastLap();
+  }
+  // Key presses are not among the events that save the session.
+  saveSession();
+}
+
+function setGiantLapStatus(text) {
+  if (giantLapStatusEl) giantLapStatusEl.textContent = text;
+}
+
+/** Keep the giant button's clock, lap count and enabled state in step with the stopwatch. */
+function updateGiantLapButton() {
+  if (!giantLapOverlayEl || giantLapOverlayEl.classList.contains("hidden")) return;
+  if (giantLapTimeEl) giantLapTimeEl.textContent = formatTimeSeconds(elapsedMs / 1000);
+  if (giantLapCountEl) giantLapCountEl.textContent = tCount("giant.laps", lapTimes.length);
+  if (giantLapButton) giantLapButton.disabled = !stopwatchRunning || isManualMode || isGroupMode;
+}
+
+function openGiantLapMode() {
+  if (!giantLapOverlayEl) return;
+  giantLapOverlayEl.classList.remove("hidden");
+  setGiantLapStatus(stopwatchRunning ? "" : t("giant.notRunning"));
+  updateGiantLapButton();
+}
+
+function closeGiantLapMode() {
+  if (giantLapOverlayEl) giantLapOverlayEl.classList.add("hidden");
+}
+
+/* =========================
+   Minute-mark audio cues
+   ========================= */
+
+// Standardized encouragement from the ATS 6MWT guideline (2002): each minute alternates
+// "You are doing well." and "Keep up the good work." with the time left. The phrases, the final
+// warning and "Stop!" are in the message catalog (i18n.js) so they are spoken in the interface language.
+
+// Warning comes this long before the end of the test.
+const FINAL_WARNING_BEFORE_END_S = 15;
+
+const AUDIO_SETTINGS_KEY = "sixMinuteWalk.audioSettings";
+
+// Stopwatch time (ms) up to which cues have already been played, so each plays once.
+let cuesPlayedUpToMs = 0;
+let audioContext = null;
+
+/**
+ * Encouragement spoken at minute `minute` of a `durationMin` minute test.
+ * The 6MWT uses the ATS wording verbatim; other durations use the same phrases.
+ */
+function getEncouragement(minute, durationMin) {
+  if (minute < 1 || minute >= durationMin) return "";
+
+  const opener = t(minute % 2 === 1 ? "cue.doingWell" : "cue.goodWork");
+  const remaining = durationMin - minute;
+  if (minute * 2 === durationMin) return `${opener} ${t("cue.halfway")}`;
+  if (remaining === 1) return `${opener} ${t("cue.oneMinuteLeft")}`;
+  // The ATS wording for minute 4 of the 6MWT
+  if (durationMin === 6 && remaining === 2) return `${opener} ${t("cue.twoMinutesLeft")}`;
+  return `${opener} ${t("cue.minutesLeft", { count: remaining })}`;
+}
+
+/**
+ * The cue timeline for the test: one per minute mark, the final warning and "Stop!".
+ * Each cue is { atMs, beeps, text }.
+ */
+function getCueTimeline() {
+  const durationS = testDurationMin * 60;
+  const cues = [];
+  for (let m = 1; m * 60 < durationS; m++) {
+    cues.push({ atMs: m * 60 * 1000, beeps: 1, text: getEncouragement(m, testDurationMin) });
+  }
+  cues.push({
+    atMs: (durationS - FINAL_WARNING_BEFORE_END_S) * 1000,
+    beeps: 0,
+    text: t("cue.finalWarning")
+  });
+  cues.push({ atMs: durationS * 1000, beeps: 2, text: t("cue.stop") });
+  return cues;
+}
+
+/** Current settings from the Audio cues card. */
+function getAudioSettings() {
+  return {
+    beep: !!(beepEnabledInput && beepEnabledInput.checked),
+    speech: !!(speechEnabledInput && speechEnabledInput.checked),
+    volume: cueVolumeInput ? Number(cueVolumeInput.value) / 100 : 0.8,
+    lang: speechLanguageSelect ? speechLanguageSelect.value : "",
+    voiceURI: speechVoiceSelect ? speechVoiceSelect.value : ""
+  };
+}
+
+/** Audio settings are a device preference, so they live outside the test session. */
+function saveAudioSettings() {
+  try {
+    localStorage.setItem(AUDIO_SETTINGS_KEY, JSON.stringify(getAudioSettings()));
+  } catch (err) {
+    // ignore
+  }
+}
+
+function loadAudioSettings() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(AUDIO_SETTINGS_KEY) || "null");
+    if (!saved) return;
+    if (beepEnabledInput) beepEnabledInput.checked = !!saved.beep;
+    if (speechEnabledInput) speechEnabledInput.checked = !!saved.speech;
+    if (cueVolumeInput && typeof saved.volume === "number") {
+      cueVolumeInput.value = String(Math.round(saved.volume * 100));
+    }
+    // Language and voice are applied once the voice list is known (populateVoiceOptions).
+    if (speechLanguageSelect) speechLanguageSelect.dataset.saved = saved.lang || "";
+    if (speechVoiceSelect) speechVoiceSelect.dataset.saved = saved.voiceURI || "";
+  } catch (err) {
+    // ignore
+  }
+}
+
+function speechAvailable() {
+  return (
+    typeof window.speechSynthesis !== "undefined" &&
+    typeof SpeechSynthesisUtterance !== "undefined"
+  );
+}
+
+/**
+ * Fill the language and voice selects from the voices the device offers.
+ * Voices load asynchronously in some browsers, so this also runs on "voiceschanged".
+ */
+function populateVoiceOptions() {
+  if (!speechLanguageSelect || !speechVoiceSelect) return;
+
+  const voices = speechAvailable() ? window.speechSynthesis.getVoices() : [];
+  const currentLang =
+    speechLanguageSelect.value ||
+    speechLanguageSelect.dataset.saved ||
+    navigator.language ||
+    "en-US";
+  const langs = Array.from(new Set(voices.map((v) => v.lang))).sort();
+  if (!langs.includes(currentLang)) langs.unshift(currentLang);
+
+  speechLanguageSelect.innerHTML = "";
+  langs.forEach((lang) => {
+    const opt = document.createElement("option");
+    opt.value = lang;
+    opt.textContent = lang;
+    speechLanguageSelect.appendChild(opt);
+  });
+  speechLanguageSelect.value = currentLang;
+
+  const currentVoice = speechVoiceSelect.value || speechVoiceSelect.dataset.saved || "";
+  speechVoiceSelect.innerHTML = "";
+  const defaultOpt = document.createElement("option");
+  defaultOpt.value = "";
+  defaultOpt.textContent = t("audio.defaultVoice");
+  speechVoiceSelect.appendChild(defaultOpt);
+  voices
+    .filter((v) => v.lang === currentLang)
+    .forEach((v) => {
+      const opt = document.createElement("option");
+      opt.value = v.voiceURI;
+      opt.textContent = v.name;
+      speechVoiceSelect.appendChild(opt);
+    });
+  speechVoiceSelect.value = currentVoice;
+  if (speechVoiceSelect.value !== currentVoice) speechVoiceSelect.value = "";
+
+  if (speechEnabledInput) speechEnabledInput.disabled = !speechAvailable();
+}
+
+/** Create or resume the AudioContext; must be called from a user gesture the first time. */
+function unlockAudio() {
+  const Ctx = window.AudioContext || window.webkitAudioContext;
+  if (!Ctx) return null;
+  if (!audioContext) audioContext = new Ctx();
+  if (audioContext.state === "suspended") audioContext.resume();
+  return audioContext;
+}
+
+/** Play `count` short beeps at the given volume (0..1). */
+function playBeeps(count, volume) {
+  const ctx = unlockAudio();
+  if (!ctx || count <= 0 || volume <= 0) return;
+
+  for (let i = 0; i < count; i++) {
+    const start = ctx.currentTime + i * 0.3;
+    const osc = ctx.createOscillator();
+    const gain = ctx.createGain();
+    osc.type = "sine";
+    osc.frequency.value = 880;
+    // Short ramps avoid audible clicks at the start and end of each beep.
+    gain.gain.setValueAtTime(0, start);
+    gain.gain.linearRampToValueAtTime(volume, start + 0.01);
+    gain.gain.linearRampToValueAtTime(0, start + 0.2);
+    osc.connect(gain);
+    gain.connect(ctx.destination);
+    osc.start(start);
+    osc.stop(start + 0.22);
+  }
+}
+
+function speak(text, settings) {
+  if (!text || !speechAvailable()) return;
+  const utterance = new SpeechSynthesisUtterance(text);
+  utterance.volume = settings.volume;
+  if (settings.lang) utterance.lang = settings.lang;
+  if (settings.voiceURI) {
+    const voice = window.speechSynthesis.getVoices().find((v) => v.voiceURI === settings.voiceURI);
+    if (voice) utterance.voice = voice;
+  }
+  // A late cue should not queue behind an earlier one that is still talking.
+  window.speechSynthesis.cancel();
+  window.speechSynthesis.speak(utterance);
+}
+
+function playCue(cue) {
+  const settings = getAudioSettings();
+  if (settings.beep) playBeeps(cue.beeps, settings.volume);
+  if (settings.speech) speak(cue.text, settings);
+}
+
+/**
+ * Called from tick() with the current elapsed time.
+ * Plays every cue crossed since the last call; if several were crossed at once
+ * (e.g. the tab was throttled), only the latest is played so the patient hears the current one.
+ */
+function playDueCues(currentMs) {
+  const due = getCueTimeline().filter(
+    (cue) => cue.atMs > cuesPlayedUpToMs && cue.atMs <= currentMs
+  );
+  cuesPlayedUpToMs = Math.max(cuesPlayedUpToMs, currentMs);
+  if (due.length) playCue(due[due.length - 1]);
+}
+
+/** "Test audio" button: play the first minute cue regardless of the stopwatch. */
+function testAudioCue() {
+  if (audioCueErrorDiv) audioCueErrorDiv.textContent = "";
+  const settings = getAudioSettings();
+  if (!settings.beep && !settings.speech) {
+    if (audioCueErrorDiv) audioCueErrorDiv.textContent = t("audio.nothingOn");
+    return;
+  }
+  if (settings.speech && !speechAvailable()) {
+    if (audioCueErrorDiv) audioCueErrorDiv.textContent = t("audio.noSpeech");
+  }
+  playCue(getCueTimeline()[0]);
+}
+
+/* =========================
+   Live per-minute position capture
+   ========================= */
+
+const CAPTURE_PREFS_KEY = "sixMinuteWalk.capturePrefs";
+
+// Stopwatch time (seconds) at which each minute's position was captured live, keyed by minute.
+// Cleared for a minute as soon as its row is edited by hand.
+let minuteCaptures = {};
+let capturePromptedUpToMs = 0;
+let captureMinute = null;   // minute the overlay is asking about, or null when closed
+let captureDir = "out";
+
+function isLiveCaptureEnabled() {
+  return !!(liveCaptureToggle && liveCaptureToggle.checked);
+}
+
+function saveCapturePrefs() {
+  try {
+    localStorage.setItem(CAPTURE_PREFS_KEY, JSON.stringify({ enabled: isLiveCaptureEnabled() }));
+  } catch (err) {
+    // ignore
+  }
+}
+
+function loadCapturePrefs() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(CAPTURE_PREFS_KEY) || "null");
+    if (saved && liveCaptureToggle) liveCaptureToggle.checked = !!saved.enabled;
+  } catch (err) {
+    // ignore
+  }
+}
+
+/** Highlight a minute row that was filled by live capture and show the capture time on hover. */
+function markCapturedRow(minute) {
+  const posInput = document.getElementById(`pos_${minute}`);
+  if (!posInput) return;
+  const row = posInput.closest("tr");
+  const capturedAtS = minuteCaptures[minute];
+  const captured = typeof capturedAtS === "number";
+  if (row) row.classList.toggle("captured", captured);
+  posInput.title = captured ? t("capture.capturedAt", { time: formatTimeSeconds(capturedAtS) }) : "";
+}
+
+function clearMinuteCapture(minute) {
+  delete minuteCaptures[minute];
+  markCapturedRow(minute);
+}
+
+function clearMinuteCaptures() {
+  const minutes = Object.keys(minuteCaptures);
+  minuteCaptures = {};
+  minutes.forEach((m) => markCapturedRow(Number(m)));
+}
+
+function setCaptureDir(dir) {
+  captureDir = dir === "back" ? "back" : "out";
+  if (captureDirOutButton) captureDirOutButton.classList.toggle("selected", captureDir === "out");
+  if (captureDirBackButton) captureDirBackButton.classList.toggle("selected", captureDir === "back");
+}
+
+/** Open the overlay for a minute; the position buttons follow the current track. */
+function openCapturePrompt(minute) {
+  if (!captureOverlayEl || !capturePositionsEl) return;
+  captureMinute = minute;
+
+  if (captureTitleEl) captureTitleEl.textContent = t("capture.title", { minute });
+  if (captureDirRowEl) captureDirRowEl.classList.toggle("hidden", trackLayout === "loop");
+  setCaptureDir("out");
+
+  capturePositionsEl.innerHTML = "";
+  for (let p = 0; p <= getMaxPosition(); p++) {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.textContent = String(p);
+    button.addEventListener("click", () => captureMinutePosition(p));
+    capturePositionsEl.appendChild(button);
+  }
+
+  captureOverlayEl.classList.remove("hidden");
+}
+
+function closeCapturePrompt() {
+  captureMinute = null;
+  if (captureOverlayEl) captureOverlayEl.classList.add("hidden");
+}
+
+/** Fill the prompted minute's row and remember when it was captured. */
+function captureMinutePosition(pos) {
+  if (captureMinute === null) return;
+  const minute = captureMinute;
+
+  const posInput = document.getElementById(`pos_${minute}`);
+  const dirButton = document.getElementById(`dir_${minute}`);
+  if (posInput) posInput.value = String(pos);
+  if (dirButton) setDirectionButton(dirButton, captureDir);
+
+  minuteCaptures[minute] = getCurrentElapsedMs() / 1000;
+  markCapturedRow(minute);
+  minuteErrorDiv.textContent = "";
+  closeCapturePrompt();
+}
+
+/**
+ * Called from tick() with the current elapsed time.
+ * Opens the prompt for the latest minute mark crossed since the last call. If a prompt is
+ * still open for an earlier minute, it is replaced; that minute can be filled in by hand.
+ */
+function promptDueCaptures(currentMs) {
+  const previousMs = capturePromptedUpToMs;
+  capturePromptedUpToMs = Math.max(capturePromptedUpToMs, currentMs);
+  if (!isLiveCaptureEnabled() || isManualMode || isGroupMode) return;
+
+  let due = null;
+  for (let m = 1; m <= testDurationMin; m++) {
+    const atMs = m * 60 * 1000;
+    if (atMs > previousMs && atMs <= currentMs) due = m;
+  }
+  if (due !== null) openCapturePrompt(due);
+}
+
+/* =========================
+   Rest stops
+   ========================= */
+
+function isResting() {
+  return restStops.length > 0 && restStops[restStops.length - 1].endS === null;
+}
+
+/** Keep the Rest button label and enabled state in step with the stopwatch. */
+function updateRestButton() {
+  if (!restButton) return;
+  const resting = isResting();
+  restButton.textContent = t(resting ? "stopwatch.restEnd" : "stopwatch.restStart");
+  restButton.classList.toggle("resting", resting);
+  restButton.disabled = isManualMode || !stopwatchRunning;
+}
+
+/**
+ * Start or end a rest stop at the current stopwatch time.
+ * Only available while the stopwatch is running, because rest time is part of the test.
+ */
+function toggleRestStop() {
+  if (isManualMode || !stopwatchRunning) return;
+
+  const nowS = getCurrentElapsedMs() / 1000;
+  if (isResting()) {
+    restStops[restStops.length - 1].endS = Math.max(nowS, restStops[restStops.length - 1].startS);
+  } else {
+    restStops.push({ startS: nowS, endS: null });
+  }
+
+  updateRestButton();
+  renderLapTable();
+}
+
+/** End a rest in progress (stopwatch stopped or finished) at the given time in seconds. */
+function closeOpenRestStop(atS) {
+  if (isResting()) {
+    const open = restStops[restStops.length - 1];
+    open.endS = Math.max(atS, open.startS);
+    renderLapTable();
+  }
+  updateRestButton();
+}
+
+/** "02:10.3 to 02:40.1 (29.8 s)" style text for one summarized stop. */
+function formatRestStop(stop) {
+  if (stop.endS === null) {
+    return t("rest.open", { start: formatTimeSeconds(stop.startS) });
+  }
+  return t("rest.range", {
+    start: formatTimeSeconds(stop.startS),
+    end: formatTimeSeconds(stop.endS),
+    seconds: formatNum(stop.durationS, 1)
+  });
+}
+
+/** "minute 3" or "minutes 5–6" for one summarized stop. */
+function formatRestMinutes(stop) {
+  if (stop.endMinute === null || stop.endMinute === stop.startMinute) {
+    return t("rest.minute", { minute: stop.startMinute });
+  }
+  return t("rest.minutes", { start: stop.startMinute, end: stop.endMinute });
+}
+
+/* =========================
+   Early termination
+   ========================= */
+
+// Reasons the ATS guideline gives for stopping a test immediately, plus the usual others.
+// The labels are the English ones used in exports; the page shows the "reason.<id>" messages.
+const TERMINATION_REASONS = [
+  { id: "desaturation", label: "SpO2 desaturation" },
+  { id: "chest-pain", label: "Chest pain" },
+  { id: "dyspnea", label: "Intolerable dyspnea" },
+  { id: "leg-cramps", label: "Leg cramps" },
+  { id: "staggering", label: "Staggering" },
+  { id: "diaphoresis", label: "Diaphoresis" },
+  { id: "pallor", label: "Pale or ashen appearance" },
+  { id: "patient-request", label: "Patient request" },
+  { id: "other", label: "Other (see details)" }
+];
+
+function renderTerminationReasons() {
+  if (!terminationReasonSelect) return;
+  const previous = terminationReasonSelect.value;
+  terminationReasonSelect.innerHTML = "";
+  const blank = document.createElement("option");
+  blank.value = "";
+  blank.textContent = "–";
+  terminationReasonSelect.appendChild(blank);
+  TERMINATION_REASONS.forEach((reason) => {
+    const opt = document.createElement("option");
+    opt.value = reason.id;
+    opt.textContent = t(`reason.${reason.id}`);
+    terminationReasonSelect.appendChild(opt);
+  });
+  terminationReasonSelect.value = previous;
+}
+
+function getTerminationReasonLabel(id) {
+  const reason = TERMINATION_REASONS.find((r) => r.id === id);
+  return reason ? reason.label : id;
+}
+
+/** Show the termination fields only while "Test ended early" is ticked. */
+function updateTerminationPanel() {
+  const enabled = !!(terminatedEarlyInput && terminatedEarlyInput.checked);
+  if (terminationPanelEl) terminationPanelEl.classList.toggle("hidden", !enabled);
+  if (terminationDirFieldEl) terminationDirFieldEl.classList.toggle("hidden", trackLayout === "loop");
+}
+
+function clearTermination() {
+  if (terminatedEarlyInput) terminatedEarlyInput.checked = false;
+  if (terminationTimeInput) terminationTimeInput.value = "";
+  if (terminationReasonSelect) terminationReasonSelect.value = "";
+  if (terminationPosSelect) terminationPosSelect.value = "";
+  if (terminationDirButton) setDirectionButton(terminationDirButton, "out");
+  if (terminationDetailsInput) terminationDetailsInput.value = "";
+  updateTerminationPanel();
+}
+
+function updateEndEarlyButton() {
+  if (!endEarlyButton) return;
+  endEarlyButton.disabled =
+    isManualMode ||
+    !(stopwatchRunning || elapsedMs > 0) ||
+    toggleButton.dataset.state === "finished";
+}
+
+/**
+ * Stop the test now: the stopwatch stops for good and the termination fields open
+ * with the stop time filled in, ready for the reason and final position.
+ */
+function endTestEarly() {
+  if (isManualMode || !(stopwatchRunning || elapsedMs > 0)) return;
+
+  stopTimer();
+  closeCapturePrompt();
+  setToggleButtonState("finished");
+  toggleButton.disabled = true;
+  lapButton.disabled = true;
+  updateEndEarlyButton();
+
+  if (terminatedEarlyInput) terminatedEarlyInput.checked = true;
+  if (terminationTimeInput) terminationTimeInput.value = formatTimeSeconds(elapsedMs / 1000);
+  updateTerminationPanel();
+  if (terminationReasonSelect) terminationReasonSelect.focus();
+}
+
+/**
+ * Read the termination fields for calculate().
+ * Returns null when the test was not ended early, { error } for a problem the engine
+ * does not check (time, reason), or { timeS, reason, details, pos, dir }.
+ */
+function readTermination() {
+  if (!terminatedEarlyInput || !terminatedEarlyInput.checked) return null;
+
+  const timeS = parseLapTimeToSeconds(terminationTimeInput ? terminationTimeInput.value : "");
+  const maxS = testDurationMin * 60;
+  if (timeS === null || timeS <= 0 || timeS > maxS) {
+    return { error: t("termination.timeError", { max: formatTimeSeconds(maxS) }) };
+  }
+
+  const reason = terminationReasonSelect ? terminationReasonSelect.value : "";
+  if (!reason) {
+    return { error: t("termination.reasonError") };
+  }
+
+  return {
+    timeS,
+    reason,
+    details: terminationDetailsInput ? terminationDetailsInput.value.trim() : "",
+    pos: terminationPosSelect ? terminationPosSelect.value : "",
+    dir: terminationDirButton ? terminationDirButton.dataset.dir : "out"
+  };
+}
+
+/**
+ * Render the lap times into the lap table on the left.
+ */
+function renderLapTable() {
+  lapTableBody.innerHTML = "";
+  setLapHeaderForMode();
+  updateGiantLapButton();
+
+  if (!isManualMode) {
+    // Stopwatch mode: render recorded laps, with rest stops inline at the time they started
+    const entries = lapTimes.map((t, index) => ({ t, lapNumber: index + 1 }));
+    summarizeRestStops(restStops).stops.forEach((stop) => {
+      entries.push({ t: stop.startS, rest: stop });
+    });
+    entries.sort((a, b) => a.t - b.t);
+
+    let editInput = null;
+    entries.forEach((entry) => {
+      const tr = document.createElement("tr");
+      const tdLap = document.createElement("td");
+      const tdTime = document.createElement("td");
+      let tdEdit;
+
+      if (entry.rest) {
+        tr.className = "rest-row";
+        tdLap.textContent = t("laps.rest", { number: entry.rest.number });
+        tdTime.textContent = formatRestStop(entry.rest);
+        tdEdit = document.createElement("td");
+      } else {
+        const index = entry.lapNumber - 1;
+        tdLap.textContent = entry.lapNumber;
+        if (editingLapNumber === entry.lapNumber) {
+          editInput = buildLapEditInput(index);
+          tdTime.appendChild(editInput);
+        } else {
+          tdTime.textContent = formatTimeSeconds(entry.t);
+        }
+        if (isCorrectedLap(index)) {
+          tr.className = "lap-corrected";
+          tdTime.title = t("laps.corrected");
+        }
+        tdEdit = buildLapActionsCell(index);
+      }
+
+      tr.appendChild(tdLap);
+      tr.appendChild(tdTime);
+      tr.appendChild(tdEdit);
+      lapTableBody.appendChild(tr);
+    });
+
+    if (addingLap) {
+      const tr = document.createElement("tr");
+      tr.className = "lap-corrected";
+      const tdLap = document.createElement("td");
+      tdLap.textContent = "+";
+      const tdTime = document.createElement("td");
+      editInput = buildNewLapInput();
+      tdTime.appendChild(editInput);
+      tr.appendChild(tdLap);
+      tr.appendChild(tdTime);
+      tr.appendChild(document.createElement("td"));
+      lapTableBody.appendChild(tr);
+    }
+
+    updateUndoLapButton();
+    if (editInput) {
+      editInput.focus();
+      editInput.select();
+    }
+    return;
+  }
+
+  // Manual mode: render editable rows.
+  // IMPORTANT: Use manualLapValues (not lapTimes) so re-rendering doesn't wipe typed input.
+  // Always keep at least 1 blank row at the end.
+  manualRowCount = Math.max(1, manualLapValues.length);
+  if (manualLapValues.length === 0) manualLapValues = [""];
+  if (manualLapValues[manualLapValues.length - 1].trim() !== "") {
+    manualLapValues.push("");
+  }
+  const rowCount = manualLapValues.length;
+
+  for (let i = 0; i < rowCount; i++) {
+    const tr = document.createElement("tr");
+    const tdLap = document.createElement("td");
+    const tdTime = document.createElement("td");
+
+    tdLap.textContent = i + 1;
+
+    const input = document.createElement("input");
+    input.type = "text";
+    input.inputMode = "text";            // full keyboard (needs ':')
+    input.autocapitalize = "off";
+    input.autocomplete = "off";
+    input.spellcheck = false;
+    input.enterKeyHint = "next";
+    input.placeholder = "mm:ss";
+    input.className = "manual-time-input";
+    input.value = manualLapValues[i] || "";
+    input.dataset.index = String(i);
+
+    // Keep manualLapValues up-to-date as the user types.
+    input.addEventListener("input", () => {
+      manualLapValues[i] = input.value;
+    });
+
+    // Normalize on blur (don’t nag while typing)
+    input.addEventListener("blur", () => {
+      const v = input.value.trim();
+      if (!v) return;
+
+      const sec = parseTimeFlexibleToSeconds(v);
+      if (sec === null) return; // leave as-is; calculate() will catch it if needed
+      const normalized = formatTimeMMSS(sec);
+      input.value = normalized;
+      manualLapValues[i] = normalized;
+
+      // If they just finished the last non-blank row, auto-add a new blank row.
+      if (i === manualLapValues.length - 2) {
+        maybeAddManualRowFromIndex(i);
+      }
+    });
+
+    // Enter/Done -> add a row if needed, then focus next
+    input.addEventListener("keydown", (e) => {
+      if (e.key !== "Enter") return;
+      e.preventDefault();
+      maybeAddManualRowFromIndex(i);
+    });
+
+    tdTime.appendChild(input);
+    tr.appendChild(tdLap);
+    tr.appendChild(tdTime);
+    lapTableBody.appendChild(tr);
+  }
+}
+
+
+/* =========================
+   Group test (several walkers)
+   ========================= */
+
+const MIN_GROUP_WALKERS = 2;
+const MAX_GROUP_WALKERS = 6;
+const DEFAULT_GROUP_WALKERS = 3;
+
+// In group mode every walker shares the stopwatch but has their own laps and positions:
+// { name, lapTimes (cumulative seconds on the shared clock), positions: [{ pos, dir }] per minute }.
+let isGroupMode = false;
+let groupWalkers = [];
+
+function createWalker() {
+  return { name: "", lapTimes: [], positions: [] };
+}
+
+function getWalkerName(index) {
+  const name = groupWalkers[index].name.trim();
+  return name || t("group.walker", { number: index + 1 });
+}
+
+/** Give every walker one position entry per test minute, keeping the entries that exist. */
+function resizeWalkerPositions() {
+  groupWalkers.forEach((walker) => {
+    walker.positions = walker.positions.slice(0, testDurationMin);
+    while (walker.positions.length < testDurationMin) {
+      walker.positions.push({ pos: "", dir: "out" });
+    }
+  });
+}
+
+/** Group mode only changes while the clock is at zero, so laps never straddle the two modes. */
+function updateGroupModeLock() {
+  if (groupModeToggle) groupModeToggle.disabled = stopwatchRunning || elapsedMs > 0;
+}
+
+function setGroupMode(on) {
+  isGroupMode = !!on;
+  if (groupModeToggle) groupModeToggle.checked = isGroupMode;
+  document.body.classList.toggle("group-mode", isGroupMode);
+  if (groupCardEl) groupCardEl.classList.toggle("hidden", !isGroupMode);
+
+  if (isGroupMode) {
+    // Walkers are timed on the stopwatch, so manual lap entry and the single-walker prompt are off.
+    if (isManualMode) {
+      if (manualModeToggle) manualModeToggle.checked = false;
+      setManualMode(false);
+    }
+    closeCapturePrompt();
+    if (!groupWalkers.length) {
+      for (let i = 0; i < DEFAULT_GROUP_WALKERS; i++) groupWalkers.push(createWalker());
+    }
+  }
+  renderWalkerPanels();
+}
+
+/** Rebuild every walker panel from groupWalkers (after walkers, the protocol or the track change). */
+function renderWalkerPanels() {
+  if (!walkerPanelsEl) return;
+  walkerPanelsEl.innerHTML = "";
+  if (!isGroupMode) return;
+
+  resizeWalkerPositions();
+  const maxPos = getMaxPosition();
+  groupWalkers.forEach((walker, index) => {
+    walkerPanelsEl.appendChild(buildWalkerPanel(walker, index, maxPos));
+    renderWalkerLaps(index);
+  });
+  if (addWalkerButton) addWalkerButton.disabled = groupWalkers.length >= MAX_GROUP_WALKERS;
+  updateWalkerLapButtons();
+}
+
+/** One walker's panel: name, lap button, lap list and a position row per minute. */
+function buildWalkerPanel(walker, index, maxPos) {
+  const panel = document.createElement("div");
+  panel.className = "walker-panel";
+
+  const header = document.createElement("div");
+  header.className = "walker-panel-header";
+  const nameInput = document.createElement("input");
+  nameInput.type = "text";
+  nameInput.id = `walkerName_${index}`;
+  nameInput.placeholder = t("group.walker", { number: index + 1 });
+  nameInput.value = walker.name;
+  nameInput.setAttribute("aria-label", t("group.walkerName", { number: index + 1 }));
+  nameInput.addEventListener("input", () => {
+    walker.name = nameInput.value;
+    renderWalkerLaps(index);
+  });
+  header.appendChild(nameInput);
+
+  if (groupWalkers.length > MIN_GROUP_WALKERS) {
+    const removeButton = document.createElement("button");
+    removeButton.type = "button";
+    removeButton.className = "secondary";
+    removeButton.textContent = t("group.remove");
+    removeButton.addEventListener("click", () => removeWalker(index));
+    header.appendChild(removeButton);
+  }
+  panel.appendChild(header);
+
+  const lapButtonEl = document.createElement("button");
+  lapButtonEl.type = "button";
+  lapButtonEl.className = "walker-lap-button";
+  lapButtonEl.id = `walkerLap_${index}`;
+  lapButtonEl.addEventListener("click", () => recordWalkerLap(index));
+  panel.appendChild(lapButtonEl);
+
+  const lapList = document.createElement("div");
+  lapList.id = `walkerLaps_${index}`;
+  panel.appendChild(lapList);
+
+  const errorDiv = document.createElement("div");
+  errorDiv.className = "error";
+  errorDiv.id = `walkerError_${index}`;
+  errorDiv.setAttribute("role", "alert");
+  panel.appendChild(errorDiv);
+
+  const table = document.createElement("table");
+  table.className = "minute-grid position-grid";
+  table.classList.toggle("loop-track", trackLayout === "loop");
+  const headRow = table.createTHead().insertRow();
+  const headings = [
+    t("positions.minute"),
+    t("positions.position", { unit: getDistanceUnit() }),
+    t("positions.direction")
+  ];
+  headings.forEach((text, i) => {
+    const th = document.createElement("th");
+    th.textContent = text;
+    if (i === 2) th.className = "dir-col";
+    headRow.appendChild(th);
+  });
+
+  const body = table.createTBody();
+  walker.positions.forEach((position, i) => {
+    const m = i + 1;
+    const tr = body.insertRow();
+    const minuteHeader = document.createElement("th");
+    minuteHeader.scope = "row";
+    minuteHeader.textContent = String(m);
+    tr.appendChild(minuteHeader);
+
+    const posInput = document.createElement("select");
+    posInput.id = `walkerPos_${index}_${m}`;
+    posInput.dataset.minute = m;
+    posInput.setAttribute("aria-label", t("a11y.position", { minute: m }));
+    fillPositionSelect(posInput, maxPos);
+    posInput.value = position.pos !== "" && parseInt(position.pos, 10) <= maxPos ? position.pos : "";
+    position.pos = posInput.value;
+    posInput.addEventListener("input", () => {
+      position.pos = posInput.value;
+      if (groupErrorDiv) groupErrorDiv.textContent = "";
+    });
+    tr.insertCell().appendChild(posInput);
+
+    const dirCell = tr.insertCell();
+    dirCell.className = "dir-col";
+    const dirButton = document.createElement("button");
+    dirButton.type = "button";
+    dirButton.className = "dir-toggle";
+    dirButton.id = `walkerDir_${index}_${m}`;
+    dirButton.dataset.minute = m;
+    setDirectionButton(dirButton, position.dir);
+    dirButton.addEventListener("click", () => {
+      position.dir = position.dir === "back" ? "out" : "back";
+      setDirectionButton(dirButton, position.dir);
+      if (groupErrorDiv) groupErrorDiv.textContent = "";
+    });
+    dirCell.appendChild(dirButton);
+  });
+  body.addEventListener("keydown", handleMinuteGridKey);
+
+  const wrapper = document.createElement("div");
+  wrapper.className = "minute-grid-wrapper touch-safe";
+  wrapper.appendChild(table);
+  panel.appendChild(wrapper);
+  return panel;
+}
+
+/** Refresh one walker's lap button label and lap list. */
+function renderWalkerLaps(index) {
+  const walker = groupWalkers[index];
+  const button = document.getElementById(`walkerLap_${index}`);
+  if (button) {
+    const keyHint = index < 9 ? ` [${index + 1}]` : "";
+    button.textContent = t("group.lapButton", { name: getWalkerName(index) }) + keyHint;
+  }
+
+  const list = document.getElementById(`walkerLaps_${index}`);
+  if (!list) return;
+  list.innerHTML = "";
+  list.className = "small-text";
+  if (!walker.lapTimes.length) {
+    list.textContent = t("group.noLaps");
+    return;
+  }
+
+  const last = walker.lapTimes.length - 1;
+  list.textContent =
+    tCount("group.laps", walker.lapTimes.length, { time: formatTimeSeconds(walker.lapTimes[last]) }) +
+    " " +
+    walker.lapTimes.map((lapS) => formatTimeMMSS(lapS)).join(", ");
+
+  const undoButton = document.createElement("button");
+  undoButton.type = "button";
+  undoButton.className = "secondary";
+  undoButton.textContent = t("stopwatch.undoLap");
+  undoButton.addEventListener("click", () => undoWalkerLap(index));
+  const row = document.createElement("div");
+  row.className = "button-row";
+  row.appendChild(undoButton);
+  list.appendChild(row);
+}
+
+/** Lap buttons work only while the shared clock runs (called on every display update). */
+function updateWalkerLapButtons() {
+  if (!isGroupMode) return;
+  groupWalkers.forEach((walker, index) => {
+    const button = document.getElementById(`walkerLap_${index}`);
+    if (button) button.disabled = !stopwatchRunning;
+  });
+}
+
+/** Record a lap for one walker, with the same debounce and ordering checks as recordLap(). */
+function recordWalkerLap(index) {
+  const walker = groupWalkers[index];
+  if (!isGroupMode || !walker || !stopwatchRunning) return;
+
+  const currentSec = getCurrentElapsedMs() / 1000;
+  const previous = walker.lapTimes[walker.lapTimes.length - 1];
+  const debounceS = getLapDebounceS();
+  let error = "";
+  if (previous !== undefined && currentSec - previous < debounceS) {
+    error = t("lapError.debounce", { seconds: formatNum(debounceS, 1, 0) });
+  } else if (previous !== undefined && currentSec <= previous) {
+    error = t("lapError.notIncreasing");
+  }
+
+  const errorDiv = document.getElementById(`walkerError_${index}`);
+  if (errorDiv) errorDiv.textContent = error;
+  if (error) return;
+
+  walker.lapTimes.push(currentSec);
+  renderWalkerLaps(index);
+  announce(
+    t("a11y.walkerLap", { name: getWalkerName(index), lap: walker.lapTimes.length, time: formatTimeSeconds(currentSec) })
+  );
+}
+
+function undoWalkerLap(index) {
+  const walker = groupWalkers[index];
+  if (!walker || !walker.lapTimes.length) return;
+  const lapNumber = walker.lapTimes.length;
+  walker.lapTimes.pop();
+  const errorDiv = document.getElementById(`walkerError_${index}`);
+  if (errorDiv) errorDiv.textContent = "";
+  renderWalkerLaps(index);
+  announce(t("a11y.walkerLapUndone", { name: getWalkerName(index), lap: lapNumber }));
+}
+
+function addWalker() {
+  if (groupWalkers.length >= MAX_GROUP_WALKERS) return;
+  groupWalkers.push(createWalker());
+  renderWalkerPanels();
+}
+
+function removeWalker(index) {
+  if (groupWalkers.length <= MIN_GROUP_WALKERS) return;
+  const walker = groupWalkers[index];
+  if (
+    walker.lapTimes.length &&
+    !window.confirm(tCount("group.confirmRemove", walker.lapTimes.length, { name: getWalkerName(index) }))
+  ) {
+    return;
+  }
+  groupWalkers.splice(index, 1);
+  renderWalkerPanels();
+}
+
+/** calculate() for a group test: a combined summary table, then each walker's own output. */
+function calculateGroup() {
+  if (groupErrorDiv) groupErrorDiv.textContent = "";
+  const track = getTrack();
+  const problems = [];
+  const summaries = [];
+  const blocks = [];
+
+  groupWalkers.forEach((walker, index) => {
+    const name = getWalkerName(index);
+    const result = computeDistances({
+      lapTimes: walker.lapTimes,
+      minutes: walker.positions.map((position, i) => ({ minute: i + 1, pos: position.pos, dir: position.dir })),
+      track
+    });
+
+    blocks.push("");
+    blocks.push(`=== ${name} ===`);
+    if (result.errors.length) {
+      const message = describeInputError(result.errors[0]);
+      problems.push(`${name}: ${message}`);
+      blocks.push(t("results.group.error", { message }));
+      summaries.push({ name, result: null, warnings: [] });
+      return;
+    }
+
+    const warnings = checkDataQuality(result);
+    blocks.push(buildMinuteTable(result, warnings));
+    blocks.push("");
+    if (warnings.length) {
+      blocks.push(t("results.warnings", { count: warnings.length }));
+      warnings.forEach((w) => blocks.push(`  ! ${describeWarning(w)}`));
+    } else {
+      blocks.push(t("results.noWarnings"));
+    }
+    blocks.push(formatTotalDistanceLine(t("results.totalDistance"), result.totalDistanceM));
+    blocks.push(t("results.totalLaps", { laps: formatNum(result.totalLaps, 3) }));
+    summaries.push({ name, result, warnings });
+  });
+
+  const lines = [];
+  const unit = getDistanceUnit();
+  const heading = t("results.group", { count: groupWalkers.length, protocol: describeProtocol(testDurationMin) });
+  lines.push(heading);
+  lines.push(describeLap());
+  lines.push({
+    head: [
+      t("results.group.walker"),
+      t("results.group.total", { unit }),
+      t("results.group.laps"),
+      t("results.group.perMinute", { unit }),
+      t("results.group.warnings")
+    ],
+    rows: summaries.map(({ name, result, warnings }) =>
+      result
+        ? [
+            name,
+            formatDistance(result.totalDistanceM, 2),
+            formatNum(result.totalLaps, 2),
+            formatDistance(result.totalDistanceM / testDurationMin, 1),
+            String(warnings.length)
+          ]
+        : [name, { text: t("results.group.notCalculated"), colSpan: 4 }]
+    )
+  });
+
+  // Distance walked in each minute, walkers side by side.
+  const computed = summaries.filter((row) => row.result);
+  if (computed.length) {
+    lines.push("");
+    lines.push(t("results.group.minuteMatrix", { unit }));
+    const matrixRows = [];
+    for (let m = 1; m <= testDurationMin; m++) {
+      matrixRows.push([
+        String(m),
+        ...computed.map((row) => formatDistance(row.result.rows[m - 1].distanceThisMinuteM, 1))
+      ]);
+    }
+    lines.push({ head: [t("results.col.minute"), ...computed.map((row) => row.name)], rows: matrixRows });
+  }
+
+  renderResults([...lines, ...blocks]);
+  if (groupErrorDiv) groupErrorDiv.textContent = problems.join(" ");
+  announce(t("a11y.results", { total: heading }));
+}
+
+/* =========================
+   Manual mode helpers (table-based cumulative lap times)
+   ========================= */
+// (table-based cumulative lap times)
+// =========================
+
+function syncLapTimesFromManualTable() {
+  // This function used to live-validate on each keystroke.
+  // We keep the name so other code doesn’t break, but we validate on Calculate instead.
+  return true;
+}
+
+function maybeAddManualRowFromIndex(index) {
+  if (!isManualMode) return;
+
+  const inputs = Array.from(lapTableBody.querySelectorAll("input.manual-time-input"));
+  const isLast = index >= inputs.length - 1;
+
+  // Only add a row if the current row has something parseable.
+  // Also normalize the entry to keep formatting consistent (e.g., 37 -> 00:37, 1:15 -> 01:15).
+  const v = (inputs[index]?.value || "").trim();
+  const sec = parseTimeFlexibleToSeconds(v);
+  if (!sec && sec !== 0) {
+    // still move focus forward if possible
+    if (inputs[index + 1]) inputs[index + 1].focus();
+    return;
+  }
+
+  // Normalize the currently-entered value in-place.
+  const normalized = formatTimeMMSS(sec);
+  inputs[index].value = normalized;
+  manualLapValues[index] = normalized;
+
+  if (isLast) {
+    // Persist (defensive) then add a new blank row.
+    manualLapValues[index] = normalized;
+    manualLapValues.push("");
+    manualRowCount = manualLapValues.length;
+
+    renderLapTable();
+
+    // focus the next row that was just added
+    const newInputs = Array.from(lapTableBody.querySelectorAll("input.manual-time-input"));
+    if (newInputs[index + 1]) newInputs[index + 1].focus();
+    return;
+  }
+
+  if (inputs[index + 1]) inputs[index + 1].focus();
+}
+
+/**
+ * Read manual times from the table and return an array of seconds.
+ * - trailing blank rows are ignored
+ * - blank row in the middle is an error
+ * - times must be strictly increasing
+ * If showErrors is true, writes a message into lapErrorDiv.
+ */
+function readManualLapTimes(showErrors) {
+  const inputs = Array.from(lapTableBody.querySelectorAll("input.manual-time-input"));
+  const secs = [];
+  let seenBlank = false;
+
+  for (let i = 0; i < inputs.length; i++) {
+    const raw = (inputs[i].value || "").trim();
+
+    if (!raw) {
+      // once blank, everything after must also be blank
+      seenBlank = true;
+      continue;
+    }
+    if (seenBlank) {
+      if (showErrors) {
+        lapErrorDiv.textContent = t("manualError.blankRow", { lap: i + 1 });
+      }
+      return null;
+    }
+
+    const sec = parseTimeFlexibleToSeconds(raw);
+    if (sec === null) {
+      if (showErrors) {
+        lapErrorDiv.textContent = t("manualError.format", { lap: i + 1 });
+      }
+      return null;
     }
 
     // Normalize accepted entries to mm:ss so the table stays consistent.
@@ -508,329 +2259,3176 @@ function readManualLapTimes(showErrors) {
     inputs[i].value = normalized;
     manualLapValues[i] = normalized;
 
-    // Strictly increasing cumulative times
-    if (secs.length > 0 && sec <= secs[secs.length - 1]) {
-      if (showErrors) {
-        lapErrorDiv.textContent = `Manual entry error on lap ${i + 1}: times must be strictly increasing.`;
+    // Strictly increasing cumulative times
+    if (secs.length > 0 && sec <= secs[secs.length - 1]) {
+      if (showErrors) {
+        lapErrorDiv.textContent = t("manualError.order", { lap: i + 1 });
+      }
+      return null;
+    }
+
+    secs.push(sec);
+  }
+
+  // ok
+  if (showErrors) lapErrorDiv.textContent = "";
+  return secs;
+}
+
+
+/** Title text swap (manual ON = Lap recorder) */
+function updateStopwatchTitle() {
+  if (stopwatchTitleEl) {
+    stopwatchTitleEl.textContent = t(isManualMode ? "stopwatch.titleManual" : "stopwatch.title");
+  }
+}
+
+function setManualMode(on) {
+  isManualMode = !!on;
+
+  updateStopwatchTitle();
+
+  // If switching on, stop the stopwatch so we don't mix modes
+  if (isManualMode && stopwatchRunning) {
+    stopTimer();
+  }
+  if (isManualMode) closeCapturePrompt();
+
+  if (stopwatchControlsEl) {
+    stopwatchControlsEl.classList.toggle("hidden", isManualMode);
+  }
+  if (manualHintEl) {
+    manualHintEl.classList.toggle("hidden", !isManualMode);
+  }
+  if (manualRowControlsEl) {
+    manualRowControlsEl.classList.toggle("hidden", !isManualMode);
+  }
+
+  // Keep safety: disable lap recording when manual mode is enabled
+  lapButton.disabled = isManualMode || !stopwatchRunning;
+  updateRestButton();
+  updateEndEarlyButton();
+  editingLapNumber = null;
+  addingLap = false;
+  updateUndoLapButton();
+
+  if (isManualMode) {
+    // Start minimalist:
+    // - If there are recorded laps in stopwatch mode, carry them over.
+    // - Otherwise start with a single blank row.
+    manualLapValues = lapTimes.length
+      ? lapTimes.map((t) => formatTimeMMSS(t))
+      : [""];
+    manualRowCount = manualLapValues.length;
+    toggleButton.disabled = true;
+  } else {
+    // Don’t override a Finished state
+    if (toggleButton.dataset.state !== "finished") {
+      toggleButton.disabled = false;
+    }
+    lapErrorDiv.textContent = "";
+  }
+
+  setLapHeaderForMode();
+  renderLapTable();
+  updateProtocolLock();
+}
+
+
+/* =========================
+   Lap time import (manual mode)
+   ========================= */
+
+// parseLapImport() result for the text in the open import dialog, or null while it is closed.
+let lapImport = null;
+
+function openLapImport() {
+  if (!lapImportOverlayEl || !isManualMode) return;
+  lapImportTextInput.value = "";
+  lapImportFileInput.value = "";
+  updateLapImportPreview();
+  lapImportOverlayEl.classList.remove("hidden");
+  lapImportTextInput.focus();
+}
+
+function closeLapImport() {
+  if (!lapImportOverlayEl || lapImport === null) return;
+  lapImport = null;
+  lapImportOverlayEl.classList.add("hidden");
+  if (importLapsButton) importLapsButton.focus();
+}
+
+/**
+ * Parse the import text again and redraw the preview, one row per non-blank line with its
+ * status. Import stays disabled until every line is either a lap or a skipped heading.
+ */
+function updateLapImportPreview() {
+  const maxS = testDurationMin * 60;
+  lapImport = parseLapImport(lapImportTextInput.value, {
+    split: lapImportKindSelect.value === "split",
+    decimalComma: lapImportDecimalCommaInput.checked,
+    maxSeconds: maxS,
+    wholeSeconds: true
+  });
+
+  lapImportPreviewBody.innerHTML = "";
+  lapImport.entries.forEach((entry) => {
+    const tr = lapImportPreviewBody.insertRow();
+    let status = t("import.ok");
+    if (entry.error) {
+      tr.className = "import-error";
+      status = t(`import.error.${entry.error}`, { time: formatTimeMMSS(maxS) });
+    } else if (entry.skipped) {
+      tr.className = "import-skipped";
+      status = t("import.skipped");
+    }
+    [
+      String(entry.line),
+      entry.text,
+      entry.lap === null ? "" : String(entry.lap),
+      entry.seconds === null ? "" : formatTimeMMSS(entry.seconds),
+      status
+    ].forEach((text) => {
+      tr.insertCell().textContent = text;
+    });
+  });
+
+  const errorCount = lapImport.entries.filter((entry) => entry.error).length;
+  const lapCount = lapImport.lapTimes.length;
+  if (errorCount) {
+    lapImportSummaryEl.textContent = tCount("import.errors", errorCount);
+  } else if (lapCount) {
+    lapImportSummaryEl.textContent = tCount("import.ready", lapCount);
+  } else {
+    lapImportSummaryEl.textContent = t("import.empty");
+  }
+  lapImportApplyButton.disabled = errorCount > 0 || lapCount === 0;
+  lapImportErrorDiv.textContent = "";
+}
+
+/** Put the chosen CSV or TXT file into the import text box, where it can still be edited. */
+async function loadLapImportFile() {
+  const file = lapImportFileInput.files && lapImportFileInput.files[0];
+  if (!file) return;
+  try {
+    lapImportTextInput.value = await file.text();
+  } catch (err) {
+    lapImportErrorDiv.textContent = t("import.fileError", { message: err.message });
+    return;
+  }
+  updateLapImportPreview();
+}
+
+/** Replace the manual lap rows with the previewed laps in one step. */
+function applyLapImport() {
+  if (!lapImport || !isManualMode || !lapImport.lapTimes.length) return;
+  const entered = manualLapValues.filter((value) => value.trim() !== "").length;
+  if (entered && !window.confirm(tCount("import.confirmReplace", entered))) return;
+
+  const count = lapImport.lapTimes.length;
+  manualLapValues = lapImport.lapTimes.map((sec) => formatTimeMMSS(sec));
+  manualRowCount = manualLapValues.length;
+  lapErrorDiv.textContent = "";
+  renderLapTable();
+  closeLapImport();
+  announce(tCount("import.done", count));
+}
+
+/* =========================
+   Per-minute distance calculation helpers
+   ========================= */
+
+// Default track is a 25 m corridor: 25 m out, 25 m back => one complete lap is 50 m.
+// The track setup card can change the corridor length or switch to a continuous loop.
+const DEFAULT_TRACK_LENGTH_M = 25;
+const TRACK_LENGTH_MIN_M = 5;
+const TRACK_LENGTH_MAX_M = 400;
+
+let trackLayout = "shuttle";                 // "shuttle" (out and back) or "loop"
+let trackLengthM = DEFAULT_TRACK_LENGTH_M;   // corridor length, or loop circumference
+
+/* =========================
+   Unit system (metres or feet)
+   ========================= */
+
+// Distances are always held and calculated in metres. The unit system only changes how the
+// track length and floor markings are entered and how distances are shown in the results.
+// It is a device preference, like the audio settings: a site's corridor does not change.
+const UNIT_PREFS_KEY = "sixMinuteWalk.unitPrefs";
+
+let unitSystem = "metric"; // "metric" (metres) or "imperial" (feet)
+
+/** Unit of the track length, the floor markings and the displayed distances: "m" or "ft". */
+function getDistanceUnit(system = unitSystem) {
+  return system === "imperial" ? "ft" : "m";
+}
+
+/** A distance in metres converted to the display unit (a number). */
+function toDisplayUnit(metres, system = unitSystem) {
+  return system === "imperial" ? metres / METRES_PER_FOOT : metres;
+}
+
+/** A distance in metres, converted to the display unit and formatted to `decimals`. */
+function formatDistance(metres, decimals, system = unitSystem) {
+  return formatNum(toDisplayUnit(metres, system), decimals);
+}
+
+/** "25 m" or "100 ft": a track length in the display unit, without trailing zeros. */
+function describeLength(metres, system = unitSystem) {
+  return `${formatNum(toDisplayUnit(metres, system), 2, 0)} ${getDistanceUnit(system)}`;
+}
+
+/** Track length limits in the current unit (5 to 400 m, or the same range in whole feet). */
+function getTrackLengthLimits() {
+  if (unitSystem === "imperial") {
+    return {
+      min: Math.round(TRACK_LENGTH_MIN_M / METRES_PER_FOOT),
+      max: Math.round(TRACK_LENGTH_MAX_M / METRES_PER_FOOT)
+    };
+  }
+  return { min: TRACK_LENGTH_MIN_M, max: TRACK_LENGTH_MAX_M };
+}
+
+function saveUnitPrefs() {
+  try {
+    localStorage.setItem(UNIT_PREFS_KEY, JSON.stringify({ system: unitSystem }));
+  } catch (err) {
+    // ignore
+  }
+}
+
+/**
+ * Switch between metres and feet. The track length and every entered position are converted
+ * to the nearest whole mark in the new unit, so a 25 m corridor becomes 82 ft.
+ */
+function setUnitSystem(next) {
+  const system = next === "imperial" ? "imperial" : "metric";
+  if (unitSystemSelect) unitSystemSelect.value = system;
+  if (system === unitSystem) return;
+
+  const fromFactor = getMarkingUnitFactor(getTrack());
+  const toFactor = system === "imperial" ? METRES_PER_FOOT : 1;
+  const convert = (value) => (value === "" ? "" : String(Math.round((Number(value) * fromFactor) / toFactor)));
+
+  // Positions before the track is re-applied, which rebuilds the selects.
+  const selects = [];
+  for (let m = 1; m <= testDurationMin; m++) {
+    selects.push(document.getElementById(`pos_${m}`));
+  }
+  selects.push(terminationPosSelect);
+  const converted = selects.map((posInput) => (posInput ? convert(posInput.value) : ""));
+  groupWalkers.forEach((walker) => {
+    walker.positions.forEach((position) => {
+      position.pos = convert(position.pos);
+    });
+  });
+
+  unitSystem = system;
+  if (trackLengthInput) trackLengthInput.value = String(Math.round(trackLengthM / toFactor));
+  applyTrackSettings();
+
+  const maxPos = getMaxPosition();
+  selects.forEach((posInput, i) => {
+    if (posInput) posInput.value = converted[i] !== "" && Number(converted[i]) <= maxPos ? converted[i] : "";
+  });
+  saveUnitPrefs();
+}
+
+function loadUnitPrefs() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(UNIT_PREFS_KEY) || "null");
+    if (saved) setUnitSystem(saved.system);
+  } catch (err) {
+    // ignore
+  }
+}
+
+/** The current track in the { layout, lengthM, unit } shape distance-engine.js expects. */
+function getTrack() {
+  return { layout: trackLayout, lengthM: trackLengthM, unit: getDistanceUnit() };
+}
+
+/** Length of one complete lap in metres for the current track. */
+function getLapLengthM() {
+  return getLapLengthForTrack(getTrack());
+}
+
+/** Largest floor marking (in the current unit) a sticky note can show on the current track. */
+function getMaxPosition() {
+  return getMaxPositionForTrack(getTrack());
+}
+
+/** One-line description of the lap, used in the track card and the results header. */
+function describeLap() {
+  if (trackLayout === "loop") {
+    return t("track.lapLoop", { lap: describeLength(getLapLengthM()) });
+  }
+  return t("track.lapShuttle", { lap: describeLength(getLapLengthM()), length: describeLength(trackLengthM) });
+}
+
+/**
+ * Rebuild the options of every pos_N select (and the stop position) for the current track,
+ * keeping the selected value when it is still in range.
+ */
+function renderPositionOptions() {
+  const maxPos = getMaxPosition();
+  const selects = [];
+  for (let m = 1; m <= testDurationMin; m++) {
+    selects.push(document.getElementById(`pos_${m}`));
+  }
+  selects.push(terminationPosSelect);
+
+  for (const posInput of selects) {
+    if (posInput) fillPositionSelect(posInput, maxPos);
+  }
+}
+
+/** Fill one position select with "–" and 0..maxPos, keeping its value when still in range. */
+function fillPositionSelect(posInput, maxPos) {
+  const previous = posInput.value;
+  posInput.innerHTML = "";
+
+  const blank = document.createElement("option");
+  blank.value = "";
+  blank.textContent = "–";
+  posInput.appendChild(blank);
+
+  for (let p = 0; p <= maxPos; p++) {
+    const opt = document.createElement("option");
+    opt.value = String(p);
+    opt.textContent = String(p);
+    posInput.appendChild(opt);
+  }
+
+  posInput.value = previous !== "" && parseInt(previous, 10) <= maxPos ? previous : "";
+}
+
+/**
+ * Read the track setup card and apply it.
+ * An invalid length is reported in trackErrorDiv and the previous track is kept.
+ */
+function applyTrackSettings() {
+  if (trackErrorDiv) trackErrorDiv.textContent = "";
+
+  const layout = trackLayoutSelect && trackLayoutSelect.value === "loop" ? "loop" : "shuttle";
+  const unit = getDistanceUnit();
+  const limits = getTrackLengthLimits();
+  const rawLength = trackLengthInput
+    ? trackLengthInput.value.trim()
+    : String(Math.round(toDisplayUnit(trackLengthM)));
+  const length = Number(rawLength);
+
+  if (trackLengthLabelEl) {
+    trackLengthLabelEl.textContent = t(layout === "loop" ? "track.loopLength" : "track.corridorLength", { unit });
+  }
+  if (positionHeaderEl) positionHeaderEl.textContent = t("positions.position", { unit });
+  if (terminationPosLabelEl) terminationPosLabelEl.textContent = t("termination.position", { unit });
+  if (trackLengthInput) {
+    trackLengthInput.min = String(limits.min);
+    trackLengthInput.max = String(limits.max);
+  }
+
+  if (!rawLength || !Number.isInteger(length) || length < limits.min || length > limits.max) {
+    if (trackErrorDiv) {
+      trackErrorDiv.textContent = t("track.lengthError", { ...limits, unit, lap: describeLap() });
+    }
+    return;
+  }
+
+  trackLayout = layout;
+  // Stored in metres whatever the unit; the floor markings stay whole feet via the track's unit.
+  trackLengthM = unit === "ft" ? length * METRES_PER_FOOT : length;
+
+  if (trackSummaryEl) trackSummaryEl.textContent = describeLap();
+  if (positionTableEl) positionTableEl.classList.toggle("loop-track", trackLayout === "loop");
+  if (positionHelpEl) {
+    positionHelpEl.textContent =
+      trackLayout === "loop"
+        ? t("track.helpLoop", { minutes: testDurationMin, max: getMaxPosition(), unit })
+        : t("track.helpShuttle", { minutes: testDurationMin, length, unit });
+  }
+
+  renderPositionOptions();
+  renderWalkerPanels();
+  updateTerminationPanel();
+}
+
+/* =========================
+   Interface language
+   ========================= */
+
+// The interface language is a device preference, like the units. The messages are in i18n.js.
+const LANGUAGE_PREFS_KEY = "sixMinuteWalk.language";
+
+let uiLanguage = DEFAULT_LANGUAGE;
+
+/** Message `key` in the interface language, with {placeholders} filled from `params`. */
+function t(key, params) {
+  return translate(uiLanguage, key, params);
+}
+
+/** t() for a message with one and other forms ("1 lap", "2 laps"). */
+function tCount(key, count, params) {
+  return translatePlural(uiLanguage, key, count, params);
+}
+
+/** A number in the interface language's format (decimal comma in Spanish and French). */
+function formatNum(value, maxDecimals, minDecimals = maxDecimals) {
+  return formatNumber(uiLanguage, value, maxDecimals, minDecimals);
+}
+
+/** A date and time written the interface language's way. */
+function formatDateTime(date) {
+  return date.toLocaleString(LANGUAGE_LOCALES[uiLanguage]);
+}
+
+/** Translate the page's static text: every data-i18n element and the protocol options. */
+function translateStaticText() {
+  document.documentElement.lang = uiLanguage;
+  document.querySelectorAll("[data-i18n]").forEach((el) => {
+    el.textContent = t(el.dataset.i18n);
+  });
+  document.querySelectorAll("[data-i18n-label]").forEach((el) => {
+    el.setAttribute("aria-label", t(el.dataset.i18nLabel));
+  });
+  if (testProtocolSelect) {
+    Array.from(testProtocolSelect.options).forEach((opt) => {
+      const protocol = PROTOCOLS[opt.value];
+      if (!protocol || protocol.minutes === null) return;
+      const name = describeProtocol(protocol.minutes);
+      opt.textContent = name.charAt(0).toUpperCase() + name.slice(1);
+    });
+  }
+}
+
+/** True while the results box shows its placeholder, in whichever language. */
+function isResultsPlaceholder() {
+  return Object.keys(LANGUAGES).some((lang) => resultsBox.textContent === translate(lang, "results.placeholder"));
+}
+
+/**
+ * Switch the interface language and redraw what the script wrote. Results already on screen
+ * stay in the language they were calculated in until the next Calculate.
+ */
+function setLanguage(next) {
+  uiLanguage = resolveLanguage(next);
+  if (uiLanguageSelect) uiLanguageSelect.value = uiLanguage;
+  translateStaticText();
+
+  updateProtocolText();
+  applyTrackSettings();
+  setLapHeaderForMode();
+  updateStopwatchTitle();
+  setToggleButtonState(toggleButton.dataset.state || "start");
+  updateRestButton();
+  updateGiantLapButton();
+  document.querySelectorAll(".dir-toggle").forEach((button) => setDirectionButton(button, button.dataset.dir));
+  document.querySelectorAll(".position-grid select[data-minute]").forEach((select) => {
+    select.setAttribute("aria-label", t("a11y.position", { minute: select.dataset.minute }));
+  });
+  renderTerminationReasons();
+  renderKeyBindings();
+  if (!isManualMode) renderLapTable();
+  const vitals = getVitalsInputValues();
+  renderVitalsTable();
+  setVitalsInputValues(vitals);
+  populateVoiceOptions();
+  if (captureMinute !== null && captureTitleEl) {
+    captureTitleEl.textContent = t("capture.title", { minute: captureMinute });
+  }
+  if (isResultsPlaceholder()) resultsBox.textContent = t("results.placeholder");
+  if (lastResult) {
+    renderAnalytics(lastResult.analytics);
+    renderExplanation();
+  }
+  if (lapImport) updateLapImportPreview();
+  refreshHistory();
+}
+
+/**
+ * Speak the prompts in the interface language: move the speech language to one that matches
+ * it, or to the language's locale when the device has no voice for it.
+ */
+function matchSpeechLanguage() {
+  if (!speechLanguageSelect) return;
+  const primary = (lang) => String(lang).toLowerCase().split("-")[0];
+  if (primary(speechLanguageSelect.value) === uiLanguage) return;
+
+  const match = Array.from(speechLanguageSelect.options).find((opt) => primary(opt.value) === uiLanguage);
+  speechLanguageSelect.value = match ? match.value : "";
+  speechLanguageSelect.dataset.saved = match ? match.value : LANGUAGE_LOCALES[uiLanguage];
+  populateVoiceOptions();
+  saveAudioSettings();
+}
+
+function saveLanguagePrefs() {
+  try {
+    localStorage.setItem(LANGUAGE_PREFS_KEY, uiLanguage);
+  } catch (err) {
+    // ignore
+  }
+}
+
+/**
+ * Pick the saved language, or the browser's if it is one we have. Runs before the page is
+ * first rendered, so only the static text needs translating here.
+ */
+function loadLanguagePrefs() {
+  let saved = null;
+  try {
+    saved = localStorage.getItem(LANGUAGE_PREFS_KEY);
+  } catch (err) {
+    // ignore
+  }
+  uiLanguage = resolveLanguage(saved || navigator.language);
+  if (uiLanguageSelect) uiLanguageSelect.value = uiLanguage;
+  translateStaticText();
+}
+
+/* =========================
+   Screen reader announcements and keyboard grids
+   ========================= */
+
+/**
+ * Tell screen reader users about something that happened away from their focus: a lap,
+ * the clock starting or stopping, new results. The same message twice in a row gets a
+ * trailing no-break space, because an unchanged live region is not read again.
+ */
+function announce(message) {
+  if (!liveAnnouncerEl) return;
+  liveAnnouncerEl.textContent = liveAnnouncerEl.textContent === message ? `${message}\u00a0` : message;
+}
+
+/**
+ * Arrow keys in a position grid (the sticky-note table and each walker's). Left/Right move
+ * between a minute's position and direction. Up/Down and Home/End move between minutes on a
+ * direction button; on a position select they keep changing its value, and Enter moves to the
+ * next minute instead. Loop tracks hide the direction column, so it is skipped.
+ */
+function handleMinuteGridKey(event) {
+  if (event.ctrlKey || event.metaKey || event.altKey) return;
+  const control = event.target;
+  const row = control.closest("tr");
+  if (!row || !row.parentElement || row.parentElement.tagName !== "TBODY") return;
+
+  const table = row.closest("table");
+  const rows = Array.from(row.parentElement.rows);
+  const controlsIn = (tr) =>
+    Array.from(tr.querySelectorAll("select, button")).filter(
+      (el) => !(table.classList.contains("loop-track") && el.closest(".dir-col"))
+    );
+  const column = controlsIn(row).indexOf(control);
+  if (column < 0) return;
+  const rowIndex = rows.indexOf(row);
+  const inColumn = (index) => (rows[index] ? controlsIn(rows[index])[column] : null);
+  const isSelect = control.tagName === "SELECT";
+
+  let target;
+  switch (event.key) {
+    case "ArrowLeft":
+      target = controlsIn(row)[column - 1];
+      break;
+    case "ArrowRight":
+      target = controlsIn(row)[column + 1];
+      break;
+    case "ArrowUp":
+    case "ArrowDown":
+      if (isSelect) return;
+      target = inColumn(rowIndex + (event.key === "ArrowUp" ? -1 : 1));
+      break;
+    case "Home":
+    case "End":
+      if (isSelect) return;
+      target = inColumn(event.key === "Home" ? 0 : rows.length - 1);
+      break;
+    case "Enter":
+      if (!isSelect) return;
+      target = inColumn(rowIndex + 1);
+      break;
+    default:
+      return;
+  }
+  // Handled at the edge of the grid too, so the key does not fall through to a select's value.
+  event.preventDefault();
+  if (target) target.focus();
+}
+
+/* =========================
+   Test protocol (duration)
+   ========================= */
+
+// Timed walk tests differ only in duration. minutes is null for a custom duration.
+const PROTOCOLS = {
+  "6mwt": { minutes: 6 },
+  "2mwt": { minutes: 2 },
+  "3mwt": { minutes: 3 },
+  "12mwt": { minutes: 12 },
+  custom: { minutes: null }
+};
+const CUSTOM_DURATION_MIN = 1;
+const CUSTOM_DURATION_MAX = 30;
+
+// The 6MWT is the default; the reference equations and MCID only apply to it.
+const STANDARD_DURATION_MIN = 6;
+
+let protocolId = "6mwt";
+let testDurationMin = STANDARD_DURATION_MIN;
+
+function getTestDurationMs() {
+  return testDurationMin * 60 * 1000;
+}
+
+/** "6-minute walk test", as used in the results. */
+function describeProtocol(durationMin) {
+  return t("protocol.name", { minutes: durationMin });
+}
+
+/** "6-Minute Walk Test", as used in the page title and the printed report. */
+function describeProtocolTitle(durationMin) {
+  return t("protocol.title", { minutes: durationMin });
+}
+
+/** The protocol cannot change once the stopwatch has time on it, or laps would outrun the clock. */
+function isProtocolLocked() {
+  return !isManualMode && (stopwatchRunning || elapsedMs > 0);
+}
+
+function updateProtocolLock() {
+  const locked = isProtocolLocked();
+  if (testProtocolSelect) testProtocolSelect.disabled = locked;
+  if (customDurationInput) customDurationInput.disabled = locked;
+  updateGroupModeLock();
+}
+
+/** Build one minute row of the position table (select options are filled by renderPositionOptions). */
+function buildPositionRow(m) {
+  const tr = document.createElement("tr");
+
+  const minuteHeader = document.createElement("th");
+  minuteHeader.scope = "row";
+  minuteHeader.textContent = String(m);
+
+  const tdPos = document.createElement("td");
+  const posInput = document.createElement("select");
+  posInput.id = `pos_${m}`;
+  posInput.dataset.minute = m;
+  posInput.setAttribute("aria-label", t("a11y.position", { minute: m }));
+  posInput.addEventListener("input", () => {
+    minuteErrorDiv.textContent = "";
+    // Edited by hand, so the live capture time no longer describes this value.
+    clearMinuteCapture(m);
+  });
+  tdPos.appendChild(posInput);
+
+  const tdDir = document.createElement("td");
+  tdDir.className = "dir-col";
+  const dirButton = document.createElement("button");
+  dirButton.type = "button";
+  dirButton.className = "dir-toggle";
+  dirButton.id = `dir_${m}`;
+  dirButton.dataset.minute = m;
+  setDirectionButton(dirButton, "out");
+  dirButton.addEventListener("click", () => {
+    // Toggle direction and clear any minute error
+    const current = dirButton.dataset.dir === "back" ? "back" : "out";
+    setDirectionButton(dirButton, current === "out" ? "back" : "out");
+    minuteErrorDiv.textContent = "";
+    clearMinuteCapture(m);
+  });
+  tdDir.appendChild(dirButton);
+
+  tr.appendChild(minuteHeader);
+  tr.appendChild(tdPos);
+  tr.appendChild(tdDir);
+  return tr;
+}
+
+/**
+ * Add or remove minute rows so the position table has one per test minute.
+ * Rows that already exist keep their values; captures for removed minutes are dropped.
+ */
+function renderPositionRows() {
+  if (!positionTableBody) return;
+
+  const rows = positionTableBody.rows;
+  while (rows.length > testDurationMin) {
+    positionTableBody.deleteRow(rows.length - 1);
+  }
+  for (let m = rows.length + 1; m <= testDurationMin; m++) {
+    positionTableBody.appendChild(buildPositionRow(m));
+  }
+
+  Object.keys(minuteCaptures).forEach((m) => {
+    if (Number(m) > testDurationMin) delete minuteCaptures[m];
+  });
+}
+
+/** Page title and stopwatch summary for the current duration. */
+function updateProtocolText() {
+  const title = describeProtocolTitle(testDurationMin);
+  if (appTitleEl) appTitleEl.textContent = t("app.title", { title });
+  document.title = t("app.documentTitle", { title });
+  if (protocolSummaryEl) {
+    const stopsAt = t("protocol.stopsAt", { time: formatTimeMMSS(testDurationMin * 60) });
+    protocolSummaryEl.textContent =
+      testDurationMin === STANDARD_DURATION_MIN ? stopsAt : `${stopsAt} ${t("protocol.nonStandard")}`;
+  }
+}
+
+/**
+ * Read the protocol fields and apply the duration.
+ * An invalid custom duration is reported in trackErrorDiv and the previous duration is kept.
+ */
+function applyProtocolSettings() {
+  if (trackErrorDiv) trackErrorDiv.textContent = "";
+
+  const id = testProtocolSelect && PROTOCOLS[testProtocolSelect.value] ? testProtocolSelect.value : "6mwt";
+  if (customDurationField) customDurationField.classList.toggle("hidden", id !== "custom");
+
+  let minutes = PROTOCOLS[id].minutes;
+  if (minutes === null) {
+    const raw = customDurationInput ? customDurationInput.value.trim() : "";
+    const n = Number(raw);
+    if (!raw || !Number.isInteger(n) || n < CUSTOM_DURATION_MIN || n > CUSTOM_DURATION_MAX) {
+      if (trackErrorDiv) {
+        trackErrorDiv.textContent = t("protocol.durationError", {
+          min: CUSTOM_DURATION_MIN,
+          max: CUSTOM_DURATION_MAX,
+          current: testDurationMin
+        });
+      }
+      return;
+    }
+    minutes = n;
+  }
+
+  protocolId = id;
+  testDurationMin = minutes;
+
+  updateProtocolText();
+  renderPositionRows();
+  renderWalkerPanels();
+  // Re-apply the track so the help text and the options of any new rows follow along.
+  applyTrackSettings();
+  refreshHistory();
+}
+
+/* =========================
+   Predicted distance (reference equations)
+   ========================= */
+
+/**
+ * Published 6MWD reference equations for healthy adults.
+ * Each entry lists the demographics it needs, the predicted distance in metres,
+ * and the lower limit of normal (LLN) where the paper publishes one (null otherwise).
+ */
+const REFERENCE_EQUATIONS = {
+  enright: {
+    label: "Enright & Sherrill (1998)",
+    requires: ["age", "sex", "heightCm", "weightKg"],
+    predict(d) {
+      if (d.sex === "male") {
+        return 7.57 * d.heightCm - 5.02 * d.age - 1.76 * d.weightKg - 309;
+      }
+      return 2.11 * d.heightCm - 2.29 * d.weightKg - 5.78 * d.age + 667;
+    },
+    // LLN = predicted minus 153 m (men) or 139 m (women), as given in the paper.
+    lln(d, predicted) {
+      return predicted - (d.sex === "male" ? 153 : 139);
+    }
+  },
+  troosters: {
+    label: "Troosters et al. (1999)",
+    requires: ["age", "sex", "heightCm", "weightKg"],
+    predict(d) {
+      const male = d.sex === "male" ? 1 : 0;
+      return 218 + (5.14 * d.heightCm - 5.32 * d.age) - 1.8 * d.weightKg + 51.31 * male;
+    },
+    lln() {
+      return null;
+    }
+  },
+  gibbons: {
+    label: "Gibbons et al. (2001)",
+    requires: ["age", "sex"],
+    predict(d) {
+      const female = d.sex === "female" ? 1 : 0;
+      return 868.8 - 2.99 * d.age - 74.7 * female;
+    },
+    lln() {
+      return null;
+    }
+  }
+};
+
+// Plausible adult ranges; anything outside is almost certainly a typo.
+const DEMOGRAPHIC_LIMITS = {
+  age: { min: 18, max: 120 },
+  heightCm: { min: 100, max: 250 },
+  weightKg: { min: 25, max: 350 }
+};
+
+/**
+ * Read the demographics card.
+ * Returns null when every field is blank (predicted distance is optional),
+ * { error } when something is filled in but unusable, or { equationId, values } when ready.
+ */
+function readDemographics() {
+  const raw = {
+    age: patientAgeInput ? patientAgeInput.value.trim() : "",
+    sex: patientSexSelect ? patientSexSelect.value : "",
+    heightCm: patientHeightInput ? patientHeightInput.value.trim() : "",
+    weightKg: patientWeightInput ? patientWeightInput.value.trim() : ""
+  };
+
+  if (!raw.age && !raw.sex && !raw.heightCm && !raw.weightKg) return null;
+
+  const equationId = referenceEquationSelect ? referenceEquationSelect.value : "enright";
+  const equation = REFERENCE_EQUATIONS[equationId];
+  if (!equation) {
+    return { error: t("demographics.chooseEquation") };
+  }
+
+  const values = { sex: raw.sex };
+  for (const key of equation.requires) {
+    if (key === "sex") {
+      if (raw.sex !== "male" && raw.sex !== "female") {
+        return { error: t("demographics.sexRequired", { equation: equation.label }) };
+      }
+      continue;
+    }
+
+    const limits = DEMOGRAPHIC_LIMITS[key];
+    if (!raw[key]) {
+      return { error: t(`demographics.required.${key}`, { equation: equation.label }) };
+    }
+    const n = parseFloat(raw[key]);
+    if (Number.isNaN(n) || n < limits.min || n > limits.max) {
+      return { error: t(`demographics.range.${key}`, { min: limits.min, max: limits.max }) };
+    }
+    values[key] = n;
+  }
+
+  return { equationId, values };
+}
+
+/**
+ * Apply a reference equation to the demographics and the measured distance.
+ * Returns the predicted distance, LLN (or null) and percent of predicted.
+ */
+function computePredicted(equationId, values, measuredM) {
+  const equation = REFERENCE_EQUATIONS[equationId];
+  const predictedM = equation.predict(values);
+  const llnM = equation.lln(values, predictedM);
+  const percentPredicted = predictedM > 0 ? (measuredM / predictedM) * 100 : null;
+  return { label: equation.label, predictedM, llnM, percentPredicted };
+}
+
+/* =========================
+   Vitals and Borg scores
+   ========================= */
+
+/**
+ * Measures recorded before and after the test.
+ * `phases` lists which columns apply: the SpO2 nadir and 1-minute recovery heart rate
+ * only exist after the test.
+ */
+const VITAL_FIELDS = [
+  { key: "spo2", min: 50, max: 100, step: 1, phases: ["pre", "post"] },
+  { key: "spo2Nadir", min: 50, max: 100, step: 1, phases: ["post"] },
+  { key: "hr", min: 20, max: 250, step: 1, phases: ["pre", "post"] },
+  { key: "hrRecovery1", min: 20, max: 250, step: 1, phases: ["post"] },
+  { key: "sbp", min: 50, max: 280, step: 1, phases: ["pre", "post"] },
+  { key: "dbp", min: 20, max: 180, step: 1, phases: ["pre", "post"] },
+  { key: "dyspnea", min: 0, max: 10, step: 0.5, phases: ["pre", "post"] },
+  { key: "fatigue", min: 0, max: 10, step: 0.5, phases: ["pre", "post"] },
+  { key: "o2Flow", min: 0, max: 15, step: 0.5, phases: ["pre", "post"] }
+];
+
+// A fall of this many SpO2 points from baseline is reported as exercise desaturation.
+const DESATURATION_DROP_POINTS = 4;
+
+function vitalInputId(key, phase) {
+  return `vital_${key}_${phase}`;
+}
+
+/** Build the vitals table rows (one per VITAL_FIELDS entry, Before/After columns). */
+function renderVitalsTable() {
+  if (!vitalsTableBody) return;
+  vitalsTableBody.innerHTML = "";
+
+  VITAL_FIELDS.forEach((field) => {
+    const tr = document.createElement("tr");
+    const tdLabel = document.createElement("td");
+    tdLabel.textContent = t(`vitals.${field.key}`);
+    tr.appendChild(tdLabel);
+
+    ["pre", "post"].forEach((phase) => {
+      const td = document.createElement("td");
+      if (field.phases.includes(phase)) {
+        const input = document.createElement("input");
+        input.type = "number";
+        input.id = vitalInputId(field.key, phase);
+        input.min = String(field.min);
+        input.max = String(field.max);
+        input.step = String(field.step);
+        input.inputMode = field.step < 1 ? "decimal" : "numeric";
+        input.setAttribute(
+          "aria-label",
+          `${t(`vitals.${field.key}`)} ${t(phase === "pre" ? "vitals.before" : "vitals.after").toLowerCase()}`
+        );
+        input.addEventListener("input", () => {
+          if (vitalsErrorDiv) vitalsErrorDiv.textContent = "";
+        });
+        td.appendChild(input);
+      } else {
+        td.className = "not-applicable";
+      }
+      tr.appendChild(td);
+    });
+
+    vitalsTableBody.appendChild(tr);
+  });
+}
+
+/** Raw input values keyed by phase then field, as typed (used for session storage). */
+function getVitalsInputValues() {
+  const raw = { pre: {}, post: {} };
+  VITAL_FIELDS.forEach((field) => {
+    field.phases.forEach((phase) => {
+      const input = document.getElementById(vitalInputId(field.key, phase));
+      raw[phase][field.key] = input ? input.value : "";
+    });
+  });
+  return raw;
+}
+
+function setVitalsInputValues(raw) {
+  VITAL_FIELDS.forEach((field) => {
+    field.phases.forEach((phase) => {
+      const input = document.getElementById(vitalInputId(field.key, phase));
+      if (input) input.value = (raw && raw[phase] && raw[phase][field.key]) || "";
+    });
+  });
+}
+
+/**
+ * Validate the vitals table.
+ * Returns { values: { pre, post } } with numbers (null when blank), or { error } for the first bad entry.
+ */
+function readVitals() {
+  const raw = getVitalsInputValues();
+  const values = { pre: {}, post: {} };
+
+  for (const field of VITAL_FIELDS) {
+    for (const phase of field.phases) {
+      const text = String(raw[phase][field.key]).trim();
+      if (!text) {
+        values[phase][field.key] = null;
+        continue;
+      }
+      const n = Number(text);
+      if (!Number.isFinite(n) || n < field.min || n > field.max) {
+        return {
+          error: t(phase === "pre" ? "vitals.rangeBefore" : "vitals.rangeAfter", {
+            field: t(`vitals.${field.key}`),
+            min: formatNum(field.min, 1, 0),
+            max: formatNum(field.max, 1, 0)
+          })
+        };
+      }
+      values[phase][field.key] = n;
+    }
+  }
+
+  for (const phase of ["pre", "post"]) {
+    const { sbp, dbp } = values[phase];
+    if (sbp !== null && dbp !== null && dbp >= sbp) {
+      return { error: t(phase === "pre" ? "vitals.bpBefore" : "vitals.bpAfter") };
+    }
+  }
+
+  return { values };
+}
+
+/** True when at least one vital was entered. */
+function hasVitals(values) {
+  return ["pre", "post"].some((phase) =>
+    Object.values(values[phase]).some((v) => v !== null)
+  );
+}
+
+/**
+ * Derived values: change (after minus before) for every paired measure,
+ * SpO2 nadir drop from baseline, and heart-rate recovery at 1 minute.
+ * Anything that needs a missing value is null.
+ */
+function summarizeVitals(values) {
+  const { pre, post } = values;
+  const diff = (a, b) => (a === null || b === null ? null : a - b);
+
+  const changes = {};
+  VITAL_FIELDS.forEach((field) => {
+    if (field.phases.length === 2) changes[field.key] = diff(post[field.key], pre[field.key]);
+  });
+
+  const nadirDrop = diff(pre.spo2, post.spo2Nadir);
+
+  return {
+    changes,
+    spo2Nadir: post.spo2Nadir,
+    spo2NadirDrop: nadirDrop,
+    desaturation: nadirDrop !== null && nadirDrop >= DESATURATION_DROP_POINTS,
+    hrRecovery1: diff(post.hr, post.hrRecovery1)
+  };
+}
+
+/** Signed number for change columns, e.g. +12, -4, 0, +0.5. */
+function formatSigned(n) {
+  if (n === null) return "";
+  const rounded = Math.round(n * 10) / 10;
+  // "|| 0" turns a rounded -0 into 0, which Intl would print as "-0".
+  return (rounded > 0 ? "+" : "") + formatNum(rounded || 0, 1, 0);
+}
+
+/* =========================
+   Calculator main function
+   ========================= */
+
+/** "Total distance (m): 420.00", or in feet with the metres alongside when feet are shown. */
+function formatTotalDistanceLine(label, metres) {
+  if (unitSystem === "imperial") {
+    return t("results.distanceLineWithMetres", {
+      label,
+      unit: "ft",
+      value: formatDistance(metres, 2),
+      metres: formatNum(metres, 2)
+    });
+  }
+  return t("results.distanceLine", { label, unit: "m", value: formatNum(metres, 2) });
+}
+
+/**
+ * A distance-engine.js input error ({ code, minute }) as a message in the interface language.
+ * minute is null for the stop position of an early termination.
+ */
+function describeInputError(err) {
+  const where =
+    err.minute === null ? t("position.where.stop") : t("position.where.minute", { minute: err.minute });
+  const params = { where, max: getMaxPosition(), unit: getDistanceUnit() };
+  switch (err.code) {
+    case "missing-position":
+      return t("position.missing", params);
+    case "invalid-position":
+      return t("position.invalid", params);
+    case "invalid-direction":
+      return t("position.direction", params);
+    case "invalid-termination-time":
+      return t("position.stopTime");
+    default:
+      return err.message;
+  }
+}
+
+/** Engine params with their numbers formatted for the interface language, trailing zeros dropped. */
+function formatParams(params, maxDecimals) {
+  const formatted = {};
+  Object.entries(params).forEach(([key, value]) => {
+    formatted[key] = typeof value === "number" ? formatNum(value, maxDecimals, 0) : value;
+  });
+  return formatted;
+}
+
+/** A checkDataQuality() warning in the interface language, worded from its code and params. */
+function describeWarning(warning) {
+  const params = formatParams(warning.params, 1);
+  if (warning.lap !== null) params.lap = warning.lap;
+  if ("lapLengthM" in warning.params) params.lapLengthM = formatNum(warning.params.lapLengthM, 2, 0);
+  const where =
+    warning.minute === null ? t("warning.atStop") : t("warning.minute", { minute: warning.minute });
+  return t(`warning.${warning.code}`, { ...params, where });
+}
+
+/**
+ * Show calculate() output in the results box. `parts` mixes text lines with tables
+ * ({ head, rows }): each run of lines becomes a <pre> and each table a real <table>, whose
+ * first column holds row headers, so screen readers can move through it by row and column.
+ * A cell is its text or { text, colSpan, className }.
+ */
+function renderResults(parts) {
+  resultsBox.innerHTML = "";
+  let run = [];
+  const flushRun = () => {
+    // Blank lines next to a table are spacing its margins already provide.
+    while (run.length && run[0] === "") run.shift();
+    while (run.length && run[run.length - 1] === "") run.pop();
+    if (run.length) {
+      const pre = document.createElement("pre");
+      pre.textContent = run.join("\n");
+      resultsBox.appendChild(pre);
+    }
+    run = [];
+  };
+
+  parts.forEach((part) => {
+    if (typeof part === "string") {
+      run.push(part);
+      return;
+    }
+    flushRun();
+    resultsBox.appendChild(buildResultsTable(part));
+  });
+  flushRun();
+}
+
+function buildResultsTable({ head, rows }) {
+  const table = document.createElement("table");
+  table.className = "results-table";
+
+  const headRow = table.createTHead().insertRow();
+  head.forEach((text) => {
+    const th = document.createElement("th");
+    th.scope = "col";
+    th.textContent = text;
+    headRow.appendChild(th);
+  });
+
+  const body = table.createTBody();
+  rows.forEach((cells) => {
+    const tr = body.insertRow();
+    cells.forEach((cell, i) => {
+      const spec = typeof cell === "object" ? cell : { text: cell };
+      const el = document.createElement(i === 0 ? "th" : "td");
+      if (i === 0) el.scope = "row";
+      el.textContent = spec.text;
+      if (spec.colSpan) el.colSpan = spec.colSpan;
+      if (spec.className) el.className = spec.className;
+      tr.appendChild(el);
+    });
+  });
+  return table;
+}
+
+/**
+ * The per-minute table of a computeDistances() result for renderResults(), with the stop row
+ * and the minutes not completed after an early termination. When warnings concern any of
+ * these rows, a Check column marks them with "!".
+ */
+function buildMinuteTable(result, warnings) {
+  const unit = getDistanceUnit();
+  const isFlagged = (minute) => warnings.some((w) => w.minute === minute && w.lap === null);
+  const terminationRow = result.terminationRow;
+  const showFlags = result.rows.some((row) => isFlagged(row.minute)) || (!!terminationRow && isFlagged(null));
+
+  const head = [
+    t("results.col.minute"),
+    t("results.col.time"),
+    t("results.col.thisMinute", { unit }),
+    t("results.col.laps"),
+    t("results.col.total", { unit })
+  ];
+  if (showFlags) head.push(t("results.col.check"));
+
+  const dataRow = (label, time, row, minute) => {
+    const cells = [
+      label,
+      time,
+      formatDistance(row.distanceThisMinuteM, 2),
+      formatNum(row.lapsThisMinute, 3),
+      formatDistance(row.totalDistanceM, 2)
+    ];
+    if (showFlags) cells.push({ text: isFlagged(minute) ? "!" : "", className: "flag" });
+    return cells;
+  };
+
+  const rows = result.rows.map((row) => dataRow(String(row.minute), formatNum(row.timeS, 0), row, row.minute));
+  if (terminationRow) {
+    rows.push(dataRow(t("results.row.end"), formatNum(terminationRow.timeS, 1), terminationRow, null));
+  }
+  result.notCompletedMinutes.forEach((minute) => {
+    rows.push([String(minute), String(minute * 60), { text: t("results.row.notCompleted"), colSpan: head.length - 2 }]);
+  });
+  return { head, rows };
+}
+
+function calculate() {
+  // Clear previous errors
+  lapErrorDiv.textContent = "";
+  minuteErrorDiv.textContent = "";
+  if (demographicsErrorDiv) demographicsErrorDiv.textContent = "";
+  if (vitalsErrorDiv) vitalsErrorDiv.textContent = "";
+
+  // Exports always describe the most recent successful calculation.
+  setLastResult(null);
+
+  // A group test is calculated per walker, with a combined summary.
+  if (isGroupMode) {
+    calculateGroup();
+    return;
+  }
+
+  // If in manual mode, pull lap times from the table now.
+  // (We intentionally do NOT validate on every keystroke.)
+  if (isManualMode) {
+    const secs = readManualLapTimes(true);
+    if (!secs) {
+      resultsBox.textContent = t("results.fixManualLaps");
+      return;
+    }
+    // Store as seconds (cumulative lap times)
+    lapTimes = secs;
+  }
+
+  // Results are always written here: text lines, and tables for renderResults()
+  const lines = [];
+
+  // 1) Read minute positions from the page
+  const minuteInputs = [];
+  for (let m = 1; m <= testDurationMin; m++) {
+    const posInput = document.getElementById(`pos_${m}`);
+    const dirButton = document.getElementById(`dir_${m}`);
+    minuteInputs.push({
+      minute: m,
+      pos: posInput ? posInput.value : "",
+      dir: (dirButton && (dirButton.dataset.dir || dirButton.textContent)) || "",
+      capturedAtS: typeof minuteCaptures[m] === "number" ? minuteCaptures[m] : null
+    });
+  }
+
+  // An early stop replaces the minute rows after it with the final position.
+  const termination = readTermination();
+  if (termination && termination.error) {
+    minuteErrorDiv.textContent = termination.error;
+    resultsBox.textContent = t("results.fixTermination");
+    return;
+  }
+
+  // 2) Validate and compute per-minute distances (distance-engine.js)
+  const result = computeDistances({
+    lapTimes,
+    minutes: minuteInputs,
+    track: getTrack(),
+    termination: termination
+      ? { timeS: termination.timeS, pos: termination.pos, dir: termination.dir }
+      : null
+  });
+
+  if (result.errors.length) {
+    // Report the first problem, as the original form did.
+    const err = result.errors[0];
+    minuteErrorDiv.textContent = describeInputError(err);
+    resultsBox.textContent = t("results.inputError", {
+      problem: t(`results.problem.${err.code}`),
+      where: err.minute === null ? t("position.where.stop") : t("position.where.minute", { minute: err.minute })
+    });
+    return;
+  }
+
+  // 3) Summaries
+  const { rows, terminationRow, notCompletedMinutes, sortedLapTimes, lapLengthM } = result;
+  const totalDistanceAll = result.totalDistanceM;
+  const totalLapsAll = result.totalLaps;
+
+  // 4) Build formatted output similar to Original_index.html
+  if (termination) {
+    lines.push(
+      t("results.terminated", {
+        time: formatTimeSeconds(termination.timeS),
+        reason: t(`reason.${termination.reason}`)
+      }) + (termination.details ? ` (${termination.details})` : "")
+    );
+    lines.push("");
+  }
+  lines.push(t("results.heading", { protocol: describeProtocol(testDurationMin) }));
+  lines.push(describeLap());
+  lines.push("");
+  // Plausibility checks (distance-engine.js); rows they concern are marked with "!".
+  const warnings = checkDataQuality(result);
+  lines.push(buildMinuteTable(result, warnings));
+
+  const capturedRows = rows.filter((row) => row.capturedAtS !== null);
+  if (capturedRows.length) {
+    lines.push("");
+    lines.push(
+      tCount("results.captured", capturedRows.length, {
+        minutes: capturedRows.map((row) => row.minute).join(", ")
+      })
+    );
+  }
+
+  lines.push("");
+  if (warnings.length) {
+    lines.push(t("results.warnings", { count: warnings.length }));
+    warnings.forEach((w) => lines.push(`  ! ${describeWarning(w)}`));
+  } else {
+    lines.push(t("results.noWarnings"));
+  }
+
+  lines.push("");
+  lines.push(formatTotalDistanceLine(t("results.totalDistance"), totalDistanceAll));
+  lines.push(t("results.totalLaps", { laps: formatNum(totalLapsAll, 3) }));
+
+  if (lapEdits.length) {
+    lines.push(
+      t("results.lapCorrections", {
+        count: lapEdits.length,
+        taps: originalLapTaps.length,
+        laps: lapTimes.length
+      })
+    );
+  }
+
+  // Rest stops (recorded with the stopwatch; kept if the laps were moved to manual mode)
+  const rest = summarizeRestStops(restStops);
+  if (rest.count === 0) {
+    lines.push(t("results.restNone"));
+  } else {
+    lines.push(t("results.rest", { count: rest.count, seconds: formatNum(rest.totalRestS, 1) }));
+    rest.stops.forEach((stop) => {
+      lines.push(
+        "  " +
+          t("results.restStop", {
+            number: stop.number,
+            range: formatRestStop(stop),
+            minutes: formatRestMinutes(stop)
+          })
+      );
+    });
+  }
+
+  if (pageHiddenPeriods.length) {
+    lines.push(
+      t("results.pageHidden", {
+        count: pageHiddenPeriods.length,
+        seconds: formatNum(totalHiddenS(pageHiddenPeriods), 1)
+      })
+    );
+  }
+
+  // 5) Predicted distance, if demographics were entered.
+  // A problem here should not hide the measured distance, so it only reports into its own error div.
+  const demographics = readDemographics();
+  let predicted = null;
+  if (demographics && testDurationMin !== STANDARD_DURATION_MIN) {
+    lines.push("");
+    lines.push(t("results.predictedNot6"));
+  } else if (demographics && demographics.error) {
+    if (demographicsErrorDiv) demographicsErrorDiv.textContent = demographics.error;
+    lines.push("");
+    lines.push(t("results.predictedError"));
+  } else if (demographics) {
+    predicted = computePredicted(
+      demographics.equationId,
+      demographics.values,
+      totalDistanceAll
+    );
+    lines.push("");
+    lines.push(t("results.equation", { label: predicted.label }));
+    lines.push(formatTotalDistanceLine(t("results.predicted"), predicted.predictedM));
+    lines.push(
+      predicted.llnM === null
+        ? t("results.llnNotPublished")
+        : formatTotalDistanceLine(t("results.lln"), predicted.llnM)
+    );
+    lines.push(
+      predicted.percentPredicted === null
+        ? t("results.percentPredictedNa")
+        : t("results.percentPredicted", { percent: formatNum(predicted.percentPredicted, 1) })
+    );
+    if (predicted.llnM !== null && totalDistanceAll < predicted.llnM) {
+      lines.push(t("results.belowLln"));
+    }
+  }
+
+  // 6) Vitals and Borg scores, if any were entered. Like demographics, a problem here
+  // is reported in its own error div and does not hide the distance.
+  const vitalsRead = readVitals();
+  let vitals = null;
+  if (vitalsRead.error) {
+    if (vitalsErrorDiv) vitalsErrorDiv.textContent = vitalsRead.error;
+    lines.push("");
+    lines.push(t("results.vitalsError"));
+  } else if (hasVitals(vitalsRead.values)) {
+    vitals = { ...vitalsRead.values, summary: summarizeVitals(vitalsRead.values) };
+    const show = (v) => (v === null ? "–" : v);
+
+    const vitalRows = [];
+    VITAL_FIELDS.forEach((field) => {
+      if (field.phases.length !== 2) return;
+      const pre = vitals.pre[field.key];
+      const post = vitals.post[field.key];
+      if (pre === null && post === null) return;
+      vitalRows.push([
+        t(`vitals.${field.key}`),
+        String(show(pre)),
+        String(show(post)),
+        formatSigned(vitals.summary.changes[field.key])
+      ]);
+    });
+    lines.push({
+      head: [t("results.vitals"), t("vitals.before"), t("vitals.after"), t("results.change")],
+      rows: vitalRows
+    });
+
+    const summary = vitals.summary;
+    if (summary.spo2Nadir !== null) {
+      lines.push(
+        summary.spo2NadirDrop === null
+          ? t("results.spo2Nadir", { value: summary.spo2Nadir })
+          : t("results.spo2NadirDrop", { value: summary.spo2Nadir, drop: summary.spo2NadirDrop })
+      );
+      if (summary.desaturation) {
+        lines.push(t("results.desaturation", { points: DESATURATION_DROP_POINTS }));
       }
-      return null;
     }
+    if (summary.hrRecovery1 !== null) {
+      lines.push(t("results.hrRecovery", { bpm: summary.hrRecovery1 }));
+    }
+  }
 
-    secs.push(sec);
+  renderResults(lines);
+  announce(t("a11y.results", { total: formatTotalDistanceLine(t("results.totalDistance"), totalDistanceAll) }));
+
+  setLastResult({
+    calculatedAt: new Date(),
+    testStartedAt,
+    mode: isManualMode ? "manual" : "stopwatch",
+    protocol: { id: protocolId, durationMin: testDurationMin },
+    termination: termination
+      ? {
+          timeS: termination.timeS,
+          reason: termination.reason,
+          reasonLabel: getTerminationReasonLabel(termination.reason),
+          details: termination.details,
+          row: {
+            ...terminationRow,
+            direction: trackLayout === "loop" ? null : terminationRow.direction
+          },
+          notCompletedMinutes: [...notCompletedMinutes]
+        }
+      : null,
+    unitSystem,
+    track: { layout: trackLayout, lengthM: trackLengthM, lapLengthM, unit: getDistanceUnit() },
+    lapTimesS: [...sortedLapTimes],
+    originalLapTapsS: [...originalLapTaps],
+    lapEdits: lapEdits.map((edit) => ({ ...edit })),
+    pageHiddenPeriods: pageHiddenPeriods.map((period) => ({ ...period })),
+    minutes: rows.map((row) => ({
+      ...row,
+      direction: trackLayout === "loop" ? null : row.direction
+    })),
+    totalDistanceM: totalDistanceAll,
+    totalLaps: totalLapsAll,
+    rest,
+    analytics: computePaceAnalytics(result),
+    warnings,
+    explanation: explainCalculation({ ...result, track: getTrack() }),
+    vitals,
+    demographics: demographics && !demographics.error && predicted ? demographics : null,
+    predicted
+  });
+}
+
+function clearResults() {
+  minuteErrorDiv.textContent = "";
+  lapErrorDiv.textContent = "";
+  resultsBox.textContent = t("results.placeholder");
+}
+
+/** Clear only the results text and related errors (keeps inputs). */
+function clearResults() {
+  lapErrorDiv.textContent = "";
+  minuteErrorDiv.textContent = "";
+  if (demographicsErrorDiv) demographicsErrorDiv.textContent = "";
+  if (vitalsErrorDiv) vitalsErrorDiv.textContent = "";
+  resultsBox.textContent = t("results.placeholder");
+  setLastResult(null);
+}
+
+/**
+ * Set a dir_N toggle to "out" or "back" (data attribute, label, colour and pressed state).
+ * Screen readers hear a fixed name, "Minute 3: back", that is pressed or not.
+ */
+function setDirectionButton(dirButton, dir) {
+  const next = dir === "back" ? "back" : "out";
+  dirButton.dataset.dir = next;
+  dirButton.textContent = t(`direction.${next}`);
+  dirButton.classList.toggle("back", next === "back");
+  dirButton.setAttribute("aria-pressed", String(next === "back"));
+  dirButton.setAttribute(
+    "aria-label",
+    dirButton.dataset.minute ? t("a11y.dirBack", { minute: dirButton.dataset.minute }) : t("a11y.finalDirBack")
+  );
+}
+
+/**
+ * Clear everything - stopwatch, laps, minute inputs, results.
+ * This is the closest match to Clear All in Original_index.html,
+ * but it now also resets the stopwatch and lap table.
+ */
+function clearAll() {
+  // Reset stopwatch and lap data
+  resetTimer();
+
+  // Clear minute inputs and reset directions to "out"
+  for (let m = 1; m <= testDurationMin; m++) {
+    const posInput = document.getElementById(`pos_${m}`);
+    const dirButton = document.getElementById(`dir_${m}`);
+
+    if (posInput) {
+      posInput.value = "";
+    }
+    if (dirButton) {
+      setDirectionButton(dirButton, "out");
+    }
   }
 
-  // ok
-  if (showErrors) lapErrorDiv.textContent = "";
-  return secs;
+  // Clear group walkers' positions (names are kept for the next test of the class)
+  groupWalkers.forEach((walker) => {
+    walker.positions = [];
+  });
+  renderWalkerPanels();
+  if (groupErrorDiv) groupErrorDiv.textContent = "";
+
+  // Clear patient demographics (the chosen reference equation is kept)
+  [patientAgeInput, patientSexSelect, patientHeightInput, patientWeightInput].forEach((el) => {
+    if (el) el.value = "";
+  });
+  if (demographicsErrorDiv) demographicsErrorDiv.textContent = "";
+
+  // Clear vitals
+  setVitalsInputValues(null);
+  if (vitalsErrorDiv) vitalsErrorDiv.textContent = "";
+
+  // Clear this patient's identifiers and notes (the tester usually stays the same)
+  [patientIdInput, testIdInput, testNotesInput].forEach((el) => {
+    if (el) el.value = "";
+  });
+  refreshHistory();
+
+  setLastResult(null);
+
+  // Errors and results are already reset by resetTimer
 }
 
+/* =========================
+   Explain mode (calculation trace)
+   ========================= */
 
-function setManualMode(on) {
-  isManualMode = !!on;
+/** Show the explainCalculation() steps of the last result while the explain toggle is on. */
+function renderExplanation() {
+  if (!explainBox) return;
+  const show = Boolean(explainToggle && explainToggle.checked && lastResult);
+  explainBox.classList.toggle("hidden", !show);
+  if (!show) {
+    explainBox.textContent = "";
+    return;
+  }
 
-  // Title text swap (manual ON = Lap recorder)
-  if (stopwatchTitleEl) {
-    stopwatchTitleEl.textContent = isManualMode ? "Lap recorder" : "Stopwatch and lap recorder";
+  const lines = [];
+  lastResult.explanation.forEach((entry) => {
+    lines.push(entry.minute === null ? t("explain.stopRow") : t("explain.minute", { minute: entry.minute }));
+    entry.steps.forEach((step, i) => lines.push(`  ${i + 1}. ${describeStep(step)}`));
+    lines.push("");
+  });
+  explainBox.textContent = lines.join("\n").trimEnd();
+}
+
+/** One explainCalculation() step in the interface language, worded from its code and params. */
+function describeStep({ code, params }) {
+  const p = formatParams(params, 2);
+  let where = "";
+  if ("position" in params) {
+    where = `${p.position} ${params.unit}`;
+    if (params.direction) where += ` ${t(`direction.${params.direction}`)}`;
+  }
+  if (code === "offset") {
+    let how = t(`explain.offset.${params.method}`, p);
+    if (params.unit === "ft") how = t("explain.offset.feet", { ...p, how });
+    return t("explain.offset", { ...p, where, how });
   }
+  return t(`explain.${code}`, { ...p, where });
+}
 
-  // If switching on, stop the stopwatch so we don't mix modes
-  if (isManualMode && stopwatchRunning) {
-    stopTimer();
+/* =========================
+   Pace and speed panel
+   ========================= */
+
+const SVG_NS = "http://www.w3.org/2000/svg";
+
+/** "1.25 m/s (4.5 km/h)" */
+function formatSpeed(mps) {
+  if (mps === null) return "–";
+  return `${formatNum(mps, 2)} m/s (${formatNum(mps * 3.6, 1)} km/h)`;
+}
+
+function svgEl(tag, attrs, text) {
+  const node = document.createElementNS(SVG_NS, tag);
+  Object.entries(attrs).forEach(([key, value]) => node.setAttribute(key, String(value)));
+  if (text !== undefined) node.textContent = text;
+  return node;
+}
+
+/**
+ * Draw a simple bar chart into `container`.
+ * bars: [{ label, value, partial }] where partial bars (e.g. the stop row) are drawn lighter.
+ * meanValue, when given, is drawn as a dashed reference line.
+ */
+function renderBarChart(container, bars, { decimals, meanValue = null, title }) {
+  if (!container) return;
+  container.innerHTML = "";
+  if (!bars.length) {
+    container.textContent = t("analytics.noData");
+    return;
   }
 
-  if (stopwatchControlsEl) {
-    stopwatchControlsEl.classList.toggle("hidden", isManualMode);
+  const width = 320;
+  const height = 180;
+  const pad = { top: 16, right: 8, bottom: 22, left: 8 };
+  const plotW = width - pad.left - pad.right;
+  const plotH = height - pad.top - pad.bottom;
+  const maxValue = Math.max(...bars.map((b) => b.value || 0), meanValue || 0) || 1;
+  const slot = plotW / bars.length;
+  const barW = Math.max(2, slot * 0.7);
+  // Thin out the labels on long lap lists so they do not overlap.
+  const labelEvery = Math.ceil(bars.length / 16);
+
+  const svg = svgEl("svg", { viewBox: `0 0 ${width} ${height}`, role: "img", "aria-label": title });
+  svg.appendChild(svgEl("title", {}, title));
+
+  bars.forEach((bar, i) => {
+    const value = bar.value || 0;
+    const h = (value / maxValue) * plotH;
+    const x = pad.left + i * slot + (slot - barW) / 2;
+    const y = pad.top + plotH - h;
+    const rect = svgEl("rect", {
+      class: bar.partial ? "bar partial" : "bar",
+      x: x.toFixed(1),
+      y: y.toFixed(1),
+      width: barW.toFixed(1),
+      height: h.toFixed(1)
+    });
+    rect.appendChild(svgEl("title", {}, `${bar.label}: ${formatNum(value, decimals)}`));
+    svg.appendChild(rect);
+
+    if (i % labelEvery === 0) {
+      const cx = (x + barW / 2).toFixed(1);
+      svg.appendChild(svgEl("text", { x: cx, y: height - 8, "text-anchor": "middle" }, bar.label));
+      if (bars.length <= 16) {
+        svg.appendChild(
+          svgEl("text", { x: cx, y: (y - 3).toFixed(1), "text-anchor": "middle" }, formatNum(value, decimals))
+        );
+      }
+    }
+  });
+
+  svg.appendChild(
+    svgEl("line", {
+      class: "axis",
+      x1: pad.left,
+      x2: width - pad.right,
+      y1: pad.top + plotH,
+      y2: pad.top + plotH
+    })
+  );
+  if (meanValue !== null) {
+    const y = (pad.top + plotH - (meanValue / maxValue) * plotH).toFixed(1);
+    svg.appendChild(svgEl("line", { class: "mean-line", x1: pad.left, x2: width - pad.right, y1: y, y2: y }));
   }
-  if (manualHintEl) {
-    manualHintEl.classList.toggle("hidden", !isManualMode);
+
+  container.appendChild(svg);
+}
+
+function fillAnalyticsTable(tbody, rows) {
+  if (!tbody) return;
+  tbody.innerHTML = "";
+  rows.forEach((cells) => {
+    const tr = document.createElement("tr");
+    cells.forEach((text) => {
+      const td = document.createElement("td");
+      td.textContent = text;
+      tr.appendChild(td);
+    });
+    tbody.appendChild(tr);
+  });
+}
+
+/** Fill (or, with null, hide) the pace and speed card from computePaceAnalytics() output. */
+function renderAnalytics(analytics) {
+  if (!analyticsCardEl) return;
+  analyticsCardEl.classList.toggle("hidden", !analytics);
+  if (!analytics) return;
+
+  const kmh = (mps) => (mps === null ? "–" : formatNum(mps * 3.6, 1));
+  const minuteLabel = (m) => (m.minute === null ? t("analytics.stop") : String(m.minute));
+
+  const summary = [];
+  if (analytics.minuteSpeeds) {
+    summary.push(
+      t("analytics.meanSpeed", {
+        speed: formatSpeed(analytics.minuteSpeeds.mean),
+        min: formatNum(analytics.minuteSpeeds.min, 2),
+        max: formatNum(analytics.minuteSpeeds.max, 2)
+      })
+    );
   }
-  if (manualRowControlsEl) {
-    manualRowControlsEl.classList.toggle("hidden", !isManualMode);
+  if (analytics.lapSplits) {
+    const spread = analytics.lapSplits;
+    summary.push(
+      t(spread.cvPercent === null ? "analytics.splits" : "analytics.splitsCv", {
+        min: formatNum(spread.min, 1),
+        max: formatNum(spread.max, 1),
+        mean: formatNum(spread.mean, 1),
+        cv: spread.cvPercent === null ? "" : formatNum(spread.cvPercent, 1)
+      })
+    );
+  } else {
+    summary.push(t("analytics.noSplits"));
+  }
+  if (analytics.slowdown) {
+    const sd = analytics.slowdown;
+    summary.push(
+      t(sd.slowed ? "analytics.slowed" : "analytics.slowdown", {
+        first: formatNum(sd.firstMps, 2),
+        last: formatNum(sd.lastMps, 2),
+        change: formatSigned(sd.changePercent),
+        threshold: SLOWDOWN_THRESHOLD_PERCENT
+      })
+    );
+  } else {
+    summary.push(t("analytics.noSlowdown"));
   }
+  if (analyticsSummaryEl) analyticsSummaryEl.textContent = summary.join(" ");
+
+  renderBarChart(
+    minuteSpeedChartEl,
+    analytics.minutes.map((m) => ({ label: minuteLabel(m), value: m.speedMps, partial: m.minute === null })),
+    {
+      decimals: 2,
+      meanValue: analytics.minuteSpeeds ? analytics.minuteSpeeds.mean : null,
+      title: t("analytics.minuteChartTitle")
+    }
+  );
+  renderBarChart(
+    lapSplitChartEl,
+    analytics.laps.map((lap) => ({ label: String(lap.lap), value: lap.splitS })),
+    {
+      decimals: 1,
+      meanValue: analytics.lapSplits ? analytics.lapSplits.mean : null,
+      title: t("analytics.lapChartTitle")
+    }
+  );
 
-  // Keep safety: disable lap recording when manual mode is enabled
-  lapButton.disabled = isManualMode || !stopwatchRunning;
+  fillAnalyticsTable(
+    minuteSpeedTableBody,
+    analytics.minutes.map((m) => [
+      minuteLabel(m),
+      formatNum(m.distanceM, 1),
+      m.speedMps === null ? "–" : formatNum(m.speedMps, 2),
+      kmh(m.speedMps)
+    ])
+  );
+  fillAnalyticsTable(
+    lapSplitTableBody,
+    analytics.laps.map((lap) => [
+      String(lap.lap),
+      formatNum(lap.splitS, 1),
+      lap.speedMps === null ? "–" : formatNum(lap.speedMps, 2),
+      kmh(lap.speedMps)
+    ])
+  );
+}
 
-  if (isManualMode) {
-    // Start minimalist:
-    // - If there are recorded laps in stopwatch mode, carry them over.
-    // - Otherwise start with a single blank row.
-    manualLapValues = lapTimes.length
-      ? lapTimes.map((t) => formatTimeMMSS(t))
-      : [""];
-    manualRowCount = manualLapValues.length;
-    toggleButton.disabled = true;
+/* =========================
+   Export (CSV and JSON)
+   ========================= */
+
+// Bump when the JSON layout changes so aggregation scripts can tell documents apart.
+const EXPORT_FORMAT = "six-minute-walk-test";
+const EXPORT_VERSION = 1;
+
+// Structured copy of the last successful calculate() run; null when there is nothing to export.
+let lastResult = null;
+
+function setLastResult(result) {
+  lastResult = result;
+  if (exportCsvButton) exportCsvButton.disabled = !result;
+  if (exportJsonButton) exportJsonButton.disabled = !result;
+  if (printReportButton) printReportButton.disabled = !result;
+  // Each calculation can be saved to history once.
+  if (saveHistoryButton) saveHistoryButton.disabled = !result;
+  if (historySaveStatusEl) historySaveStatusEl.textContent = "";
+  renderAnalytics(result ? result.analytics : null);
+  renderExplanation();
+}
+
+/** Round for export so floating-point noise (e.g. 61.300000000000004) does not leak into files. */
+function roundForExport(value, decimals) {
+  return Number(value.toFixed(decimals));
+}
+
+/** Local timestamp for file names, e.g. 20260319-1405. */
+function fileTimestamp(date) {
+  const pad = (n) => String(n).padStart(2, "0");
+  return (
+    `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}` +
+    `-${pad(date.getHours())}${pad(date.getMinutes())}`
+  );
+}
+
+/** Quote a CSV field when it contains a separator, quote or line break. */
+function csvField(value) {
+  const s = value === null || value === undefined ? "" : String(value);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/** Build the versioned JSON export document from a calculate() result. */
+function buildExportDocument(result) {
+  const doc = {
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    calculatedAt: result.calculatedAt.toISOString(),
+    lapEntryMode: result.mode,
+    protocol: { id: result.protocol.id, durationMin: result.protocol.durationMin },
+    termination: null,
+    // Distances are always exported in metres; the unit system is what the tester saw.
+    unitSystem: result.unitSystem,
+    track: {
+      layout: result.track.layout,
+      lengthM: roundForExport(result.track.lengthM, 3),
+      lapLengthM: roundForExport(result.track.lapLengthM, 3),
+      markingUnit: result.track.unit
+    },
+    lapTimesS: result.lapTimesS.map((t) => roundForExport(t, 3)),
+    // Stopwatch taps as recorded, before any corrections, and the corrections themselves
+    originalLapTapsS: result.originalLapTapsS.map((t) => roundForExport(t, 3)),
+    lapEdits: result.lapEdits.map((edit) => ({
+      action: edit.action,
+      lapNumber: edit.lapNumber,
+      fromS: edit.fromS === null ? null : roundForExport(edit.fromS, 3),
+      toS: edit.toS === null ? null : roundForExport(edit.toS, 3),
+      at: edit.at
+    })),
+    // Test-clock stretches during which the page was hidden (endS null if still hidden)
+    pageHiddenPeriods: result.pageHiddenPeriods.map((period) => ({
+      startS: roundForExport(period.startS, 3),
+      endS: period.endS === null ? null : roundForExport(period.endS, 3)
+    })),
+    minutes: result.minutes.map((row) => ({
+      minute: row.minute,
+      timeS: row.timeS,
+      positionMarked: row.position,
+      positionM: roundForExport(row.positionM, 3),
+      direction: row.direction,
+      capturedAtS: row.capturedAtS === null ? null : roundForExport(row.capturedAtS, 3),
+      distanceThisMinuteM: roundForExport(row.distanceThisMinuteM, 2),
+      lapsThisMinute: roundForExport(row.lapsThisMinute, 3),
+      totalDistanceM: roundForExport(row.totalDistanceM, 2)
+    })),
+    totals: {
+      distanceM: roundForExport(result.totalDistanceM, 2),
+      laps: roundForExport(result.totalLaps, 3)
+    },
+    restStops: {
+      count: result.rest.count,
+      totalRestS: roundForExport(result.rest.totalRestS, 1),
+      stops: result.rest.stops.map((stop) => ({
+        startS: roundForExport(stop.startS, 3),
+        endS: stop.endS === null ? null : roundForExport(stop.endS, 3),
+        durationS: stop.durationS === null ? null : roundForExport(stop.durationS, 3),
+        startMinute: stop.startMinute,
+        endMinute: stop.endMinute
+      }))
+    },
+    analytics: {
+      lapSplits: result.analytics.laps.map((lap) => ({
+        lap: lap.lap,
+        splitS: roundForExport(lap.splitS, 3),
+        speedMps: lap.speedMps === null ? null : roundForExport(lap.speedMps, 3)
+      })),
+      minuteSpeedsMps: result.analytics.minutes.map((m) => ({
+        minute: m.minute,
+        speedMps: m.speedMps === null ? null : roundForExport(m.speedMps, 3)
+      })),
+      lapSplitCvPercent:
+        result.analytics.lapSplits && result.analytics.lapSplits.cvPercent !== null
+          ? roundForExport(result.analytics.lapSplits.cvPercent, 1)
+          : null,
+      slowdown: result.analytics.slowdown
+        ? {
+            firstTwoMinutesMps: roundForExport(result.analytics.slowdown.firstMps, 3),
+            lastTwoMinutesMps: roundForExport(result.analytics.slowdown.lastMps, 3),
+            changePercent:
+              result.analytics.slowdown.changePercent === null
+                ? null
+                : roundForExport(result.analytics.slowdown.changePercent, 1),
+            slowed: result.analytics.slowdown.slowed
+          }
+        : null
+    },
+    // Plausibility warnings from checkDataQuality(); minute is null for the stop row
+    warnings: result.warnings.map((w) => ({ code: w.code, minute: w.minute, lap: w.lap, message: w.message })),
+    // How each row was derived (explainCalculation()), for auditing
+    explanation: result.explanation.map((entry) => ({
+      minute: entry.minute,
+      steps: entry.steps.map((step) => step.text)
+    })),
+    predicted: null,
+    vitals: null
+  };
+
+  if (result.termination) {
+    const t = result.termination;
+    doc.termination = {
+      timeS: roundForExport(t.timeS, 3),
+      reason: t.reason,
+      reasonLabel: t.reasonLabel,
+      details: t.details,
+      positionMarked: t.row.position,
+      positionM: roundForExport(t.row.positionM, 3),
+      direction: t.row.direction,
+      distanceSinceLastMinuteM: roundForExport(t.row.distanceThisMinuteM, 2),
+      notCompletedMinutes: [...t.notCompletedMinutes]
+    };
+  }
+
+  if (result.vitals) {
+    doc.vitals = {
+      pre: { ...result.vitals.pre },
+      post: { ...result.vitals.post },
+      changes: { ...result.vitals.summary.changes },
+      spo2NadirDrop: result.vitals.summary.spo2NadirDrop,
+      desaturation: result.vitals.summary.desaturation,
+      hrRecovery1: result.vitals.summary.hrRecovery1
+    };
+  }
+
+  if (result.predicted) {
+    doc.predicted = {
+      equation: result.demographics.equationId,
+      demographics: { ...result.demographics.values },
+      predictedM: roundForExport(result.predicted.predictedM, 2),
+      lowerLimitOfNormalM:
+        result.predicted.llnM === null ? null : roundForExport(result.predicted.llnM, 2),
+      percentPredicted:
+        result.predicted.percentPredicted === null
+          ? null
+          : roundForExport(result.predicted.percentPredicted, 1)
+    };
+  }
+
+  return doc;
+}
+
+/**
+ * Build the CSV export: one section per table, each with its own header row,
+ * separated by a blank line so spreadsheets show them as separate blocks.
+ */
+function buildExportCsv(result) {
+  const doc = buildExportDocument(result);
+  const out = [];
+  const row = (fields) => out.push(fields.map(csvField).join(","));
+
+  row(["format", doc.format]);
+  row(["version", doc.version]);
+  row(["calculated_at", doc.calculatedAt]);
+  row(["lap_entry_mode", doc.lapEntryMode]);
+  row(["protocol", doc.protocol.id]);
+  row(["duration_min", doc.protocol.durationMin]);
+  row(["terminated_early", doc.termination ? "yes" : "no"]);
+  if (doc.termination) {
+    row(["termination_time_s", doc.termination.timeS]);
+    row(["termination_reason", doc.termination.reasonLabel]);
+    row(["termination_details", doc.termination.details]);
+    row(["termination_position_m", doc.termination.positionM]);
+    row(["termination_direction", doc.termination.direction]);
+    row(["minutes_not_completed", doc.termination.notCompletedMinutes.join(" ")]);
+  }
+  row(["unit_system", doc.unitSystem]);
+  row(["position_unit", doc.track.markingUnit]);
+  row(["track_layout", doc.track.layout]);
+  row(["track_length_m", doc.track.lengthM]);
+  row(["lap_length_m", doc.track.lapLengthM]);
+  row(["total_distance_m", doc.totals.distanceM]);
+  row(["total_laps", doc.totals.laps]);
+  row(["rest_stop_count", doc.restStops.count]);
+  row(["total_rest_s", doc.restStops.totalRestS]);
+  if (doc.predicted) {
+    row(["reference_equation", doc.predicted.equation]);
+    row(["predicted_m", doc.predicted.predictedM]);
+    row(["lower_limit_of_normal_m", doc.predicted.lowerLimitOfNormalM]);
+    row(["percent_predicted", doc.predicted.percentPredicted]);
+  }
+  if (doc.vitals) {
+    row(["spo2_nadir_drop", doc.vitals.spo2NadirDrop]);
+    row(["desaturation", doc.vitals.desaturation]);
+    row(["hr_recovery_1min_bpm", doc.vitals.hrRecovery1]);
+  }
+  row(["page_hidden_count", doc.pageHiddenPeriods.length]);
+  row(["lap_split_cv_percent", doc.analytics.lapSplitCvPercent]);
+  if (doc.analytics.slowdown) {
+    row(["slowdown_change_percent", doc.analytics.slowdown.changePercent]);
+  }
+  row(["data_quality_warnings", doc.warnings.length]);
+
+  out.push("");
+  row([
+    "minute",
+    "time_s",
+    "position_marked",
+    "position_m",
+    "direction",
+    "captured_at_s",
+    "m_this_minute",
+    "laps_this_minute",
+    "total_m"
+  ]);
+  doc.minutes.forEach((m) => {
+    row([
+      m.minute,
+      m.timeS,
+      m.positionMarked,
+      m.positionM,
+      m.direction,
+      m.capturedAtS,
+      m.distanceThisMinuteM,
+      m.lapsThisMinute,
+      m.totalDistanceM
+    ]);
+  });
+
+  if (doc.warnings.length) {
+    out.push("");
+    row(["warning", "code", "minute", "lap", "message"]);
+    doc.warnings.forEach((w, i) => row([i + 1, w.code, w.minute, w.lap, w.message]));
+  }
+
+  out.push("");
+  row(["lap", "cumulative_time_s"]);
+  doc.lapTimesS.forEach((t, i) => row([i + 1, t]));
+
+  if (doc.lapEdits.length) {
+    out.push("");
+    row(["original_tap", "tap_time_s"]);
+    doc.originalLapTapsS.forEach((t, i) => row([i + 1, t]));
+
+    out.push("");
+    row(["lap_edit", "action", "lap", "from_s", "to_s", "at"]);
+    doc.lapEdits.forEach((edit, i) => {
+      row([i + 1, edit.action, edit.lapNumber, edit.fromS, edit.toS, edit.at]);
+    });
+  }
+
+  if (doc.vitals) {
+    out.push("");
+    row(["vital", "before", "after", "change"]);
+    VITAL_FIELDS.forEach((field) => {
+      row([
+        field.key,
+        field.phases.includes("pre") ? doc.vitals.pre[field.key] : "",
+        doc.vitals.post[field.key],
+        field.phases.length === 2 ? doc.vitals.changes[field.key] : ""
+      ]);
+    });
+  }
+
+  if (doc.restStops.stops.length) {
+    out.push("");
+    row(["rest_stop", "start_s", "end_s", "duration_s", "start_minute", "end_minute"]);
+    doc.restStops.stops.forEach((stop, i) => {
+      row([i + 1, stop.startS, stop.endS, stop.durationS, stop.startMinute, stop.endMinute]);
+    });
+  }
+
+  return out.join("\r\n") + "\r\n";
+}
+
+/** Trigger a browser download of text content. */
+function downloadText(filename, mimeType, text) {
+  const blob = new Blob([text], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+function exportCsv() {
+  if (!lastResult) return;
+  downloadText(
+    `6mwt-${fileTimestamp(lastResult.calculatedAt)}.csv`,
+    "text/csv;charset=utf-8",
+    buildExportCsv(lastResult)
+  );
+}
+
+function exportJson() {
+  if (!lastResult) return;
+  downloadText(
+    `6mwt-${fileTimestamp(lastResult.calculatedAt)}.json`,
+    "application/json",
+    JSON.stringify(buildExportDocument(lastResult), null, 2)
+  );
+}
+
+/* =========================
+   Printable clinical report
+   ========================= */
+
+/** Small DOM helper for building the report. */
+function reportEl(tag, className, text) {
+  const node = document.createElement(tag);
+  if (className) node.className = className;
+  if (text !== undefined) node.textContent = text;
+  return node;
+}
+
+/** Build a two-column label/value table for the report header blocks. */
+function reportMetaTable(pairs) {
+  const table = reportEl("table", "report-meta");
+  pairs.forEach(([label, value]) => {
+    const tr = document.createElement("tr");
+    tr.appendChild(reportEl("th", "", label));
+    tr.appendChild(reportEl("td", "", value === "" || value === null ? "—" : String(value)));
+    table.appendChild(tr);
+  });
+  return table;
+}
+
+/**
+ * Fill #printReport from a calculate() result plus the current test details.
+ * Only text nodes are used, so typed identifiers and notes cannot inject markup.
+ */
+function renderPrintReport(result) {
+  if (!printReportEl) return;
+  printReportEl.innerHTML = "";
+
+  const value = (input) => (input ? input.value.trim() : "");
+  const testDate = result.testStartedAt || result.calculatedAt;
+
+  printReportEl.appendChild(
+    reportEl("h1", "", t("report.title", { protocol: describeProtocolTitle(result.protocol.durationMin) }))
+  );
+
+  const ids = reportEl("div", "report-section");
+  ids.appendChild(
+    reportMetaTable([
+      [t("details.patientId"), value(patientIdInput)],
+      [t("details.testId"), value(testIdInput)],
+      [t("report.testDate"), formatDateTime(testDate)],
+      [t("report.protocol"), describeProtocol(result.protocol.durationMin)],
+      [t("details.tester"), value(testerNameInput)],
+      [t("report.lapEntry"), t(result.mode === "manual" ? "report.manual" : "report.stopwatch")]
+    ])
+  );
+  printReportEl.appendChild(ids);
+
+  if (result.termination) {
+    const stop = result.termination;
+    printReportEl.appendChild(
+      reportEl(
+        "div",
+        "report-terminated",
+        t(stop.details ? "report.terminatedDetails" : "report.terminated", {
+          time: formatTimeSeconds(stop.timeS),
+          reason: t(`reason.${stop.reason}`),
+          details: stop.details
+        })
+      )
+    );
+  }
+
+  const track = reportEl("div", "report-section");
+  track.appendChild(reportEl("h2", "", t("report.track")));
+  track.appendChild(
+    reportMetaTable([
+      [t("report.layout"), t(result.track.layout === "loop" ? "layout.loop" : "layout.shuttle")],
+      [
+        t(result.track.layout === "loop" ? "report.loopLength" : "report.corridorLength"),
+        describeLength(result.track.lengthM, result.unitSystem)
+      ],
+      [t("report.lapLength"), describeLength(result.track.lapLengthM, result.unitSystem)]
+    ])
+  );
+  printReportEl.appendChild(track);
+
+  // Per-minute table, same columns as the results box
+  const minutes = reportEl("div", "report-section");
+  minutes.appendChild(reportEl("h2", "", t("report.minutes")));
+  const table = reportEl("table", "report-table");
+  const head = document.createElement("tr");
+  const unit = getDistanceUnit(result.unitSystem);
+  const dist = (metres) => formatDistance(metres, 2, result.unitSystem);
+  const mark = (row) => (row.direction ? `${row.position} ${t(`direction.${row.direction}`)}` : String(row.position));
+  [
+    t("results.col.minute"),
+    t("report.col.time"),
+    t("positions.position", { unit }),
+    t("results.col.thisMinute", { unit }),
+    t("results.col.laps"),
+    t("results.col.total", { unit })
+  ].forEach((h) => {
+    head.appendChild(reportEl("th", "", h));
+  });
+  table.appendChild(head);
+  result.minutes.forEach((row) => {
+    const tr = document.createElement("tr");
+    [
+      row.minute,
+      row.timeS.toFixed(0),
+      mark(row),
+      dist(row.distanceThisMinuteM),
+      formatNum(row.lapsThisMinute, 3),
+      dist(row.totalDistanceM)
+    ].forEach((cell) => tr.appendChild(reportEl("td", "", String(cell))));
+    table.appendChild(tr);
+  });
+  if (result.termination) {
+    const stop = result.termination.row;
+    const tr = document.createElement("tr");
+    [
+      t("report.stop"),
+      formatNum(stop.timeS, 1),
+      mark(stop),
+      dist(stop.distanceThisMinuteM),
+      formatNum(stop.lapsThisMinute, 3),
+      dist(stop.totalDistanceM)
+    ].forEach((cell) => tr.appendChild(reportEl("td", "", String(cell))));
+    table.appendChild(tr);
+
+    result.termination.notCompletedMinutes.forEach((minute) => {
+      const skipped = document.createElement("tr");
+      skipped.appendChild(reportEl("td", "", String(minute)));
+      skipped.appendChild(reportEl("td", "", String(minute * 60)));
+      const note = reportEl("td", "", t("results.row.notCompleted"));
+      note.colSpan = 4;
+      skipped.appendChild(note);
+      table.appendChild(skipped);
+    });
+  }
+  minutes.appendChild(table);
+  printReportEl.appendChild(minutes);
+
+  if (result.warnings.length) {
+    const quality = reportEl("div", "report-section");
+    quality.appendChild(reportEl("h2", "", t("report.warnings", { count: result.warnings.length })));
+    const list = reportEl("ul", "");
+    result.warnings.forEach((w) => list.appendChild(reportEl("li", "", describeWarning(w))));
+    quality.appendChild(list);
+    printReportEl.appendChild(quality);
+  }
+
+  // Totals and predicted distance
+  const totals = reportEl("div", "report-section");
+  totals.appendChild(reportEl("h2", "", t("report.totals")));
+  // Feet are shown with the metres alongside; the reference equations are in metres.
+  const reportDistance = (metres) =>
+    result.unitSystem === "imperial"
+      ? `${dist(metres)} ft (${formatNum(metres, 2)} m)`
+      : `${formatNum(metres, 2)} m`;
+  const totalPairs = [
+    [t("results.totalDistance"), reportDistance(result.totalDistanceM)],
+    [t("report.totalLaps"), formatNum(result.totalLaps, 3)]
+  ];
+  if (result.analytics.minuteSpeeds) {
+    totalPairs.push([t("report.meanSpeed"), formatSpeed(result.analytics.minuteSpeeds.mean)]);
+  }
+  if (result.analytics.slowdown) {
+    const sd = result.analytics.slowdown;
+    totalPairs.push([
+      t("report.slowdown"),
+      `${formatNum(sd.firstMps, 2)} → ${formatNum(sd.lastMps, 2)} m/s ` +
+        `(${formatSigned(sd.changePercent)}%)`
+    ]);
+  }
+  if (result.predicted) {
+    const p = result.predicted;
+    totalPairs.push([t("demographics.equation"), p.label]);
+    totalPairs.push([t("results.predicted"), reportDistance(p.predictedM)]);
+    totalPairs.push([
+      t("results.lln"),
+      p.llnM === null ? t("report.llnNotPublished") : reportDistance(p.llnM)
+    ]);
+    totalPairs.push([
+      t("report.percentPredicted"),
+      p.percentPredicted === null ? t("report.na") : `${formatNum(p.percentPredicted, 1)}%`
+    ]);
+  }
+  totals.appendChild(reportMetaTable(totalPairs));
+  printReportEl.appendChild(totals);
+
+  // Lap list, formatted the way renderLapTable() shows it for the mode used
+  const laps = reportEl("div", "report-section");
+  laps.appendChild(reportEl("h2", "", t("report.laps", { count: result.lapTimesS.length })));
+  if (result.lapTimesS.length) {
+    const list = reportEl("ol", "report-laps");
+    result.lapTimesS.forEach((lapS) => {
+      list.appendChild(
+        reportEl("li", "", result.mode === "manual" ? formatTimeMMSS(lapS) : formatTimeSeconds(lapS))
+      );
+    });
+    laps.appendChild(list);
   } else {
-    // Don’t override a Finished state
-    if (toggleButton.textContent !== "Finished") {
-      toggleButton.disabled = false;
+    laps.appendChild(reportEl("div", "", t("report.noLaps")));
+  }
+  if (result.lapEdits.length) {
+    laps.appendChild(
+      reportEl(
+        "div",
+        "small-text",
+        t("report.lapEdits", {
+          count: result.lapEdits.length,
+          taps: result.originalLapTapsS.map((tapS) => formatTimeSeconds(tapS)).join(", ") || t("report.none")
+        })
+      )
+    );
+  }
+  printReportEl.appendChild(laps);
+
+  // Rest stops
+  const restSection = reportEl("div", "report-section");
+  restSection.appendChild(reportEl("h2", "", t("report.rest")));
+  if (result.rest.count === 0) {
+    restSection.appendChild(reportEl("div", "", t("report.noRest")));
+  } else {
+    restSection.appendChild(
+      reportMetaTable([
+        [t("report.restCount"), result.rest.count],
+        [t("report.restTotal"), `${formatNum(result.rest.totalRestS, 1)} s`]
+      ])
+    );
+    const restTable = reportEl("table", "report-table");
+    const restHead = document.createElement("tr");
+    [
+      t("report.col.stop"),
+      t("report.col.start"),
+      t("report.col.end"),
+      t("report.col.duration"),
+      t("positions.minute")
+    ].forEach((h) => {
+      restHead.appendChild(reportEl("th", "", h));
+    });
+    restTable.appendChild(restHead);
+    result.rest.stops.forEach((stop) => {
+      const tr = document.createElement("tr");
+      [
+        stop.number,
+        formatTimeSeconds(stop.startS),
+        stop.endS === null ? "—" : formatTimeSeconds(stop.endS),
+        stop.durationS === null ? "—" : formatNum(stop.durationS, 1),
+        stop.endMinute === null || stop.endMinute === stop.startMinute
+          ? stop.startMinute
+          : `${stop.startMinute}–${stop.endMinute}`
+      ].forEach((cell) => tr.appendChild(reportEl("td", "", String(cell))));
+      restTable.appendChild(tr);
+    });
+    restSection.appendChild(restTable);
+  }
+  printReportEl.appendChild(restSection);
+
+  // Vitals and Borg scores
+  if (result.vitals) {
+    const vitalsSection = reportEl("div", "report-section");
+    vitalsSection.appendChild(reportEl("h2", "", t("vitals.title")));
+    const vitalsTable = reportEl("table", "report-table");
+    const vitalsHead = document.createElement("tr");
+    [t("vitals.measure"), t("vitals.before"), t("vitals.after"), t("results.change")].forEach((h) => {
+      vitalsHead.appendChild(reportEl("th", "", h));
+    });
+    vitalsTable.appendChild(vitalsHead);
+    VITAL_FIELDS.forEach((field) => {
+      const pre = field.phases.includes("pre") ? result.vitals.pre[field.key] : null;
+      const post = result.vitals.post[field.key];
+      const change = field.phases.length === 2 ? result.vitals.summary.changes[field.key] : null;
+      const tr = document.createElement("tr");
+      [
+        t(`vitals.${field.key}`),
+        pre === null ? "—" : formatNum(pre, 1, 0),
+        post === null ? "—" : formatNum(post, 1, 0),
+        formatSigned(change)
+      ].forEach((cell) => tr.appendChild(reportEl("td", "", String(cell))));
+      vitalsTable.appendChild(tr);
+    });
+    vitalsSection.appendChild(vitalsTable);
+
+    const summary = result.vitals.summary;
+    const derived = [];
+    if (summary.spo2NadirDrop !== null) {
+      derived.push([
+        t("report.spo2Drop"),
+        t(summary.desaturation ? "report.pointsDesaturation" : "report.points", {
+          points: formatNum(summary.spo2NadirDrop, 1, 0)
+        })
+      ]);
     }
-    lapErrorDiv.textContent = "";
+    if (summary.hrRecovery1 !== null) {
+      derived.push([t("report.hrRecovery"), `${formatNum(summary.hrRecovery1, 1, 0)} bpm`]);
+    }
+    if (derived.length) vitalsSection.appendChild(reportMetaTable(derived));
+    printReportEl.appendChild(vitalsSection);
   }
 
-  setLapHeaderForMode();
-  renderLapTable();
+  // Notes and signature: typed notes are printed, with ruled lines left for handwriting
+  const notes = reportEl("div", "report-section");
+  notes.appendChild(reportEl("h2", "", t("details.notes")));
+  notes.appendChild(reportEl("div", "report-notes", value(testNotesInput)));
+  for (let i = 0; i < 3; i++) notes.appendChild(reportEl("div", "report-line"));
+
+  const signature = reportEl("div", "report-signature");
+  [t("report.signature"), t("history.date")].forEach((label) => {
+    const block = document.createElement("div");
+    block.appendChild(reportEl("div", "report-line"));
+    block.appendChild(reportEl("div", "", label));
+    signature.appendChild(block);
+  });
+  notes.appendChild(signature);
+  printReportEl.appendChild(notes);
+
+  printReportEl.appendChild(
+    reportEl("div", "report-footer", t("report.generated", { time: formatDateTime(new Date()) }))
+  );
 }
 
+function printReport() {
+  if (!lastResult) return;
+  renderPrintReport(lastResult);
+  window.print();
+}
 
 /* =========================
-   Per-minute distance calculation helpers
+   Test history (IndexedDB)
    ========================= */
 
-// The track is 25 m out, 25 m back => one complete lap is 50 m.
-const LAP_LENGTH_M = 50.0;
+const HISTORY_DB_NAME = "sixMinuteWalk";
+const HISTORY_DB_VERSION = 1;
+const HISTORY_STORE = "tests";
+const HISTORY_PREFS_KEY = "sixMinuteWalk.historyPrefs";
 
-/**
- * Given a sorted array of lap times (in seconds) and a query time tSeconds,
- * return how many laps have been completed at or before that time.
- * This matches the behavior of the original text-based implementation.
- */
-function getLapsCompletedByTime(sortedLapTimes, tSeconds) {
-  let count = 0;
-  for (let i = 0; i < sortedLapTimes.length; i++) {
-    if (sortedLapTimes[i] <= tSeconds) {
-      count++;
-    } else {
-      break;
+// Commonly cited 6MWD MCID for chronic respiratory disease; adjustable in the history card.
+const DEFAULT_MCID_M = 30;
+
+let historyDbPromise = null;
+
+/** Open (and on first use create) the history database. */
+function openHistoryDb() {
+  if (historyDbPromise) return historyDbPromise;
+
+  historyDbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === "undefined") {
+      reject(new Error(t("history.unavailable")));
+      return;
     }
+    const req = indexedDB.open(HISTORY_DB_NAME, HISTORY_DB_VERSION);
+    req.onupgradeneeded = () => {
+      const store = req.result.createObjectStore(HISTORY_STORE, { keyPath: "id", autoIncrement: true });
+      store.createIndex("patientKey", "patientKey");
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+
+  // Let a later call try again instead of caching the failure.
+  historyDbPromise.catch(() => {
+    historyDbPromise = null;
+  });
+  return historyDbPromise;
+}
+
+/** Run one request in a transaction on the tests store and resolve with its result. */
+async function withHistoryStore(mode, makeRequest) {
+  const db = await openHistoryDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(HISTORY_STORE, mode);
+    const req = makeRequest(tx.objectStore(HISTORY_STORE));
+    tx.oncomplete = () => resolve(req.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+/** Patient IDs are matched ignoring case and surrounding spaces ("p-17 " finds "P-17"). */
+function toPatientKey(patientId) {
+  return String(patientId || "").trim().toUpperCase();
+}
+
+/** Local calendar day, e.g. 2026-03-19, used to group same-day attempts. */
+function toDateKey(date) {
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function getMcidM() {
+  const n = mcidInput ? Number(mcidInput.value) : DEFAULT_MCID_M;
+  return Number.isFinite(n) && n > 0 ? n : DEFAULT_MCID_M;
+}
+
+function saveHistoryPrefs() {
+  try {
+    localStorage.setItem(HISTORY_PREFS_KEY, JSON.stringify({ mcidM: getMcidM() }));
+  } catch (err) {
+    // ignore
   }
-  return count;
 }
 
-/**
- * Convert the sticky-note position (0 to 25 m) and direction ("out" or "back")
- * into an offset along the current lap, measured from the starting line.
- *
- * - "out":  position is 0..25, so the offset is just posM
- * - "back": position is 0..25, but the lap distance is 25..50, so we transform
- *           it as (50 - posM) to get a 25..50 offset.
- */
-function positionToOffsetWithinLap(posM, direction) {
-  const dir = direction.toLowerCase();
-  if (dir === "out") {
-    return posM;
-  } else if (dir === "back") {
-    // Treat 0 as the start line regardless of direction.
-    // Without this, (back, 0) would become 50 m and double-count a full lap.
-    if (posM === 0) return 0;
-    return LAP_LENGTH_M - posM;
+function loadHistoryPrefs() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(HISTORY_PREFS_KEY) || "null");
+    if (saved && mcidInput && typeof saved.mcidM === "number") mcidInput.value = String(saved.mcidM);
+  } catch (err) {
+    // ignore
   }
-  throw new Error('direction must be "out" or "back"');
 }
 
 /**
- * padRight is used to build a monospaced text table in the results box.
- * This is essentially the same as in Original_index.html.
+ * Group saved tests into visits (one per calendar day) and compare the two latest visits.
+ * The better (longer) of same-day attempts stands for the visit, as the ATS guideline
+ * recommends when a practice test is done.
+ *
+ * Returns { visits, comparison } where comparison is null with fewer than two visits.
  */
-function padRight(text, width) {
-  let s = String(text);
-  while (s.length < width) {
-    s += " ";
+function summarizeHistory(tests, mcidM) {
+  const byDay = new Map();
+  [...tests]
+    .sort((a, b) => a.testDate.localeCompare(b.testDate))
+    .forEach((test) => {
+      if (!byDay.has(test.dateKey)) byDay.set(test.dateKey, []);
+      byDay.get(test.dateKey).push(test);
+    });
+
+  const visits = Array.from(byDay.entries()).map(([dateKey, dayTests]) => ({
+    dateKey,
+    tests: dayTests,
+    best: dayTests.reduce((best, t) => (t.totalDistanceM > best.totalDistanceM ? t : best))
+  }));
+
+  let comparison = null;
+  if (visits.length >= 2) {
+    const latest = visits[visits.length - 1];
+    const previous = visits[visits.length - 2];
+    const changeM = latest.best.totalDistanceM - previous.best.totalDistanceM;
+    comparison = {
+      latest,
+      previous,
+      changeM,
+      mcidM,
+      exceedsMcid: Math.abs(changeM) >= mcidM
+    };
   }
-  return s;
+
+  return { visits, comparison };
 }
 
-/* =========================
-   Calculator main function
-   ========================= */
+/** Save the last calculation under the Patient ID from Test details. */
+async function saveToHistory() {
+  if (!lastResult) return;
+  if (historyErrorDiv) historyErrorDiv.textContent = "";
 
-function calculate() {
-  // Clear previous errors
-  lapErrorDiv.textContent = "";
-  minuteErrorDiv.textContent = "";
+  const patientId = patientIdInput ? patientIdInput.value.trim() : "";
+  if (!patientId) {
+    if (historySaveStatusEl) historySaveStatusEl.textContent = "";
+    if (historyErrorDiv) historyErrorDiv.textContent = t("history.needId");
+    return;
+  }
 
-  // If in manual mode, pull lap times from the table now.
-  // (We intentionally do NOT validate on every keystroke.)
-  if (isManualMode) {
-    const secs = readManualLapTimes(true);
-    if (!secs) {
-      resultsBox.textContent = "Error: fix manual lap times before calculating.";
-      return;
-    }
-    // Store as seconds (cumulative lap times)
-    lapTimes = secs;
+  const testDate = lastResult.testStartedAt || lastResult.calculatedAt;
+  const record = {
+    patientId,
+    patientKey: toPatientKey(patientId),
+    testId: testIdInput ? testIdInput.value.trim() : "",
+    savedAt: new Date().toISOString(),
+    testDate: testDate.toISOString(),
+    dateKey: toDateKey(testDate),
+    durationMin: lastResult.protocol.durationMin,
+    totalDistanceM: lastResult.totalDistanceM,
+    // Same versioned document as the JSON export, so saved tests can be exported later.
+    document: buildExportDocument(lastResult)
+  };
+
+  if (saveHistoryButton) saveHistoryButton.disabled = true;
+  try {
+    await withHistoryStore("readwrite", (store) => store.add(record));
+    if (historySaveStatusEl) historySaveStatusEl.textContent = t("history.saved", { patientId });
+    await refreshHistory();
+  } catch (err) {
+    if (saveHistoryButton) saveHistoryButton.disabled = false;
+    if (historyErrorDiv) historyErrorDiv.textContent = t("history.saveError", { message: err.message });
   }
+}
 
-  // Results are always written here
-  const lines = [];
+async function deleteHistoryTest(id) {
+  if (historyErrorDiv) historyErrorDiv.textContent = "";
+  try {
+    await withHistoryStore("readwrite", (store) => store.delete(id));
+    await refreshHistory();
+  } catch (err) {
+    if (historyErrorDiv) historyErrorDiv.textContent = t("history.deleteError", { message: err.message });
+  }
+}
 
-  // Sort a copy of lapTimes so even if something unusual happens,
-  // the per minute logic behaves like the original text based version.
-  const sortedLapTimes = [...lapTimes].sort((a, b) => a - b);
+/** Reload and render the history card for the current Patient ID. */
+async function refreshHistory() {
+  if (!historyTableBody) return;
+  if (historyErrorDiv) historyErrorDiv.textContent = "";
 
-  // Small helper for aligned console-style output
-  function padRight(v, width) {
-    const s = String(v);
-    return s.length >= width ? s : s + " ".repeat(width - s.length);
+  const patientKey = toPatientKey(patientIdInput ? patientIdInput.value : "");
+  if (!patientKey) {
+    historyTableBody.innerHTML = "";
+    if (historySummaryEl) {
+      historySummaryEl.textContent = t("history.enterId");
+    }
+    return;
   }
 
-  // 1) Parse minute positions with validation as in Original_index.html
-  const minuteInfo = [];
+  let tests;
+  try {
+    tests = await withHistoryStore("readonly", (store) => store.index("patientKey").getAll(patientKey));
+  } catch (err) {
+    historyTableBody.innerHTML = "";
+    if (historyErrorDiv) historyErrorDiv.textContent = err.message;
+    return;
+  }
 
-  for (let m = 1; m <= 6; m++) {
-    const posInput = document.getElementById(`pos_${m}`);
-    const dirButton = document.getElementById(`dir_${m}`);
+  // Distances from different durations are not comparable, so only the current protocol is shown.
+  // Tests saved before protocols existed were all 6-minute tests.
+  renderHistory(
+    tests.filter((test) => (test.durationMin || STANDARD_DURATION_MIN) === testDurationMin)
+  );
+}
 
-    const rawPos = posInput.value.trim();
-    const rawDir = ((dirButton && (dirButton.dataset.dir || dirButton.textContent)) || "")
-      .trim()
-      .toLowerCase();
+function renderHistory(tests) {
+  historyTableBody.innerHTML = "";
+  const { visits, comparison } = summarizeHistory(tests, getMcidM());
 
-    if (!rawPos) {
-      const msg = `Please enter a position (0 to 25 m) for minute ${m}.`;
-      minuteErrorDiv.textContent = msg;
-      resultsBox.textContent = `Error: missing position for minute ${m}.`;
-      return;
-    }
+  // Newest first in the table
+  [...visits].reverse().forEach((visit) => {
+    [...visit.tests].reverse().forEach((test) => {
+      const tr = document.createElement("tr");
+      const isBest = visit.tests.length > 1 && test === visit.best;
+      if (isBest) tr.className = "best-of-day";
+
+      [
+        formatDateTime(new Date(test.testDate)),
+        test.testId || "—",
+        formatNum(test.totalDistanceM, 1),
+        isBest ? "✓" : ""
+      ].forEach((text) => {
+        const td = document.createElement("td");
+        td.textContent = text;
+        tr.appendChild(td);
+      });
+
+      const tdDelete = document.createElement("td");
+      const deleteButton = document.createElement("button");
+      deleteButton.type = "button";
+      deleteButton.className = "secondary";
+      deleteButton.textContent = t("history.delete");
+      deleteButton.addEventListener("click", () => {
+        if (window.confirm(t("history.confirmDelete"))) {
+          deleteHistoryTest(test.id);
+        }
+      });
+      tdDelete.appendChild(deleteButton);
+      tr.appendChild(tdDelete);
+
+      historyTableBody.appendChild(tr);
+    });
+  });
 
-    const posM = parseInt(rawPos, 10);
-    if (Number.isNaN(posM) || posM < 0 || posM > 25) {
-      const msg = `Position must be between 0 and 25 for minute ${m}.`;
-      minuteErrorDiv.textContent = msg;
-      resultsBox.textContent = `Error: invalid position for minute ${m}.`;
-      return;
-    }
+  if (!historySummaryEl) return;
+  historySummaryEl.innerHTML = "";
 
-    if (rawDir !== "out" && rawDir !== "back") {
-      const msg = `Direction must be 'out' or 'back' for minute ${m}.`;
-      minuteErrorDiv.textContent = msg;
-      resultsBox.textContent = `Error: invalid direction for minute ${m}.`;
-      return;
-    }
+  if (!tests.length) {
+    historySummaryEl.textContent = t("history.none", { protocol: describeProtocol(testDurationMin) });
+    return;
+  }
 
-    minuteInfo.push({ minute: m, posM, dir: rawDir });
+  const parts = [t("history.count", { tests: tests.length, visits: visits.length })];
+  if (!comparison) {
+    historySummaryEl.textContent = parts.join(" ");
+    return;
   }
 
-  // 2) Compute per-minute distances
-  const rows = [];
-  let prevTotalDistance = 0;
+  const c = comparison;
+  const sign = c.changeM > 0 ? "+" : "";
+  parts.push(
+    t("history.comparison", {
+      latest: formatNum(c.latest.best.totalDistanceM, 1),
+      latestDate: c.latest.dateKey,
+      previous: formatNum(c.previous.best.totalDistanceM, 1),
+      previousDate: c.previous.dateKey,
+      change: `${sign}${formatNum(c.changeM, 1)}`
+    })
+  );
+  historySummaryEl.appendChild(document.createTextNode(parts.join(" ") + " "));
 
-  for (let i = 0; i < minuteInfo.length; i++) {
-    const info = minuteInfo[i];
-    const minute = info.minute;
+  const flag = document.createElement("span");
+  if (c.exceedsMcid) {
+    flag.className = "history-flag";
+    flag.textContent = t(c.changeM > 0 ? "history.improvement" : "history.decline", { mcid: c.mcidM });
+  } else {
+    flag.textContent = t("history.belowMcid", { mcid: c.mcidM });
+  }
+  historySummaryEl.appendChild(flag);
+}
 
-    const tSec = minute * 60;
-    let lapsCompleted = getLapsCompletedByTime(sortedLapTimes, tSec);
+/* =========================
+   Session persistence and recovery
+   ========================= */
 
-    // Boundary correction:
-    // If the sticky note shows the subject exactly at the start line and heading back out,
-    // they have effectively completed the previous lap at that minute.
-    // Stopwatch lap taps can land a fraction of a second after the minute mark, which would
-    // otherwise shift that completed lap into the following minute.
-    if (
-      info.posM === 0 &&
-      info.dir === "out" &&
-      lapsCompleted < sortedLapTimes.length
-    ) {
-      const nextLapTime = sortedLapTimes[lapsCompleted];
-      const boundaryToleranceS = 1.0;
-      if (nextLapTime - tSec <= boundaryToleranceS) {
-        lapsCompleted += 1;
-      }
-    }
+// If the tablet browser reloads mid-test, the whole session is restored from here.
+const SESSION_STORAGE_KEY = "sixMinuteWalk.session";
+const SESSION_VERSION = 1;
+
+// Saving is paused on load while a previous session is waiting for "Resume" or "Start new",
+// so the untouched fresh page cannot overwrite it.
+let sessionSavingEnabled = true;
+let pendingSession = null;
 
-    const distFullLaps = lapsCompleted * LAP_LENGTH_M;
+/**
+ * Snapshot everything needed to rebuild the page.
+ * A running stopwatch is stored as a wall-clock anchor (Date.now() minus elapsed time),
+ * because performance.now() starts again from zero after a reload.
+ */
+function collectSession() {
+  const currentMs = getCurrentElapsedMs();
 
-    const offset = positionToOffsetWithinLap(info.posM, info.dir);
-    let totalDistance = distFullLaps + offset;
+  const minutes = [];
+  for (let m = 1; m <= testDurationMin; m++) {
+    const posInput = document.getElementById(`pos_${m}`);
+    const dirButton = document.getElementById(`dir_${m}`);
+    minutes.push({
+      pos: posInput ? posInput.value : "",
+      dir: dirButton && dirButton.dataset.dir === "back" ? "back" : "out"
+    });
+  }
 
-    // Enforce non decreasing total distance - same idea as original.
-    if (totalDistance < prevTotalDistance) {
-      totalDistance = prevTotalDistance;
+  return {
+    version: SESSION_VERSION,
+    savedAt: Date.now(),
+    stopwatch: {
+      elapsedMs: currentMs,
+      running: stopwatchRunning,
+      startAnchorEpochMs: stopwatchRunning ? Date.now() - currentMs : null,
+      finished: toggleButton.dataset.state === "finished"
+    },
+    testStartedAt: testStartedAt ? testStartedAt.getTime() : null,
+    lapTimes: [...lapTimes],
+    restStops: restStops.map((stop) => ({ ...stop })),
+    pageHiddenPeriods: pageHiddenPeriods.map((period) => ({ ...period })),
+    originalLapTaps: [...originalLapTaps],
+    lapEdits: lapEdits.map((edit) => ({ ...edit })),
+    isManualMode,
+    manualLapValues: [...manualLapValues],
+    minutes,
+    minuteCaptures: { ...minuteCaptures },
+    group: {
+      enabled: isGroupMode,
+      walkers: groupWalkers.map((walker) => ({
+        name: walker.name,
+        lapTimes: [...walker.lapTimes],
+        positions: walker.positions.map((position) => ({ ...position }))
+      }))
+    },
+    termination: {
+      enabled: !!(terminatedEarlyInput && terminatedEarlyInput.checked),
+      time: terminationTimeInput ? terminationTimeInput.value : "",
+      reason: terminationReasonSelect ? terminationReasonSelect.value : "",
+      details: terminationDetailsInput ? terminationDetailsInput.value : "",
+      pos: terminationPosSelect ? terminationPosSelect.value : "",
+      dir: terminationDirButton && terminationDirButton.dataset.dir === "back" ? "back" : "out"
+    },
+    protocol: {
+      id: testProtocolSelect ? testProtocolSelect.value : protocolId,
+      customMinutes: customDurationInput ? customDurationInput.value : String(testDurationMin)
+    },
+    track: {
+      layout: trackLayoutSelect ? trackLayoutSelect.value : trackLayout,
+      length: trackLengthInput ? trackLengthInput.value : String(trackLengthM),
+      unitSystem
+    },
+    vitals: getVitalsInputValues(),
+    details: {
+      patientId: patientIdInput ? patientIdInput.value : "",
+      testId: testIdInput ? testIdInput.value : "",
+      tester: testerNameInput ? testerNameInput.value : "",
+      notes: testNotesInput ? testNotesInput.value : ""
+    },
+    demographics: {
+      age: patientAgeInput ? patientAgeInput.value : "",
+      sex: patientSexSelect ? patientSexSelect.value : "",
+      height: patientHeightInput ? patientHeightInput.value : "",
+      weight: patientWeightInput ? patientWeightInput.value : "",
+      equation: referenceEquationSelect ? referenceEquationSelect.value : ""
     }
+  };
+}
 
-    const distanceThisMinute = totalDistance - prevTotalDistance;
-    const lapsThisMinute = distanceThisMinute / LAP_LENGTH_M;
+/** True when a snapshot holds something worth offering to resume. */
+function sessionHasData(session) {
+  if (session.stopwatch.elapsedMs > 0 || session.lapTimes.length > 0) return true;
+  if (session.manualLapValues.some((v) => String(v).trim() !== "")) return true;
+  if (session.minutes.some((row) => row.pos !== "")) return true;
+  const group = session.group || { walkers: [] };
+  if (group.walkers.some((w) => w.lapTimes.length || w.positions.some((p) => p.pos !== ""))) return true;
+  const details = session.details || {};
+  if (details.patientId || details.testId || details.notes) return true;
+  const vitals = session.vitals || { pre: {}, post: {} };
+  if ([vitals.pre, vitals.post].some((phase) => Object.values(phase).some((v) => v !== ""))) {
+    return true;
+  }
+  const d = session.demographics;
+  return Boolean(d.age || d.sex || d.height || d.weight);
+}
 
-    rows.push({
-      minute,
-      timeS: tSec,
-      distanceThisMinuteM: distanceThisMinute,
-      lapsThisMinute,
-      totalDistanceM: totalDistance
-    });
+/**
+ * Write the current session to local storage.
+ * An empty session removes the stored copy so a cleared page is not offered for resume.
+ * Storage can be unavailable (private browsing, quota); that only costs recovery, so it is ignored.
+ */
+function saveSession() {
+  if (!sessionSavingEnabled) return;
+  try {
+    const session = collectSession();
+    if (sessionHasData(session)) {
+      localStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify(session));
+    } else {
+      localStorage.removeItem(SESSION_STORAGE_KEY);
+    }
+  } catch (err) {
+    // ignore
+  }
+}
 
-    prevTotalDistance = totalDistance;
+/** Read a stored session, or null if there is none or it is unreadable / from another version. */
+function loadStoredSession() {
+  try {
+    const raw = localStorage.getItem(SESSION_STORAGE_KEY);
+    if (!raw) return null;
+    const session = JSON.parse(raw);
+    if (!session || session.version !== SESSION_VERSION) return null;
+    return sessionHasData(session) ? session : null;
+  } catch (err) {
+    return null;
   }
+}
 
-  // 3) Summaries
-  const totalDistanceAll = rows.length ? rows[rows.length - 1].totalDistanceM : 0;
-  const totalLapsAll = totalDistanceAll / LAP_LENGTH_M;
+function clearStoredSession() {
+  try {
+    localStorage.removeItem(SESSION_STORAGE_KEY);
+  } catch (err) {
+    // ignore
+  }
+}
 
-  // 4) Build formatted output similar to Original_index.html
-  lines.push("Per-minute distances");
-  lines.push("1 lap = 50 m (25 m out + 25 m back)");
-  lines.push("");
-  lines.push(
-    padRight("Min", 4) +
-      padRight("Time(s)", 9) +
-      padRight("m this min", 13) +
-      padRight("laps this min", 15) +
-      padRight("total m", 10)
-  );
-  lines.push("----------------------------------------------");
+/**
+ * Rebuild the page from a stored snapshot.
+ * Settings that other inputs depend on (track, manual mode) are applied first.
+ */
+function restoreSession(session) {
+  // Protocol and track first, because they decide which minute rows and position options exist.
+  // Sessions saved before protocols existed were all 6-minute tests.
+  const protocol = session.protocol || { id: "6mwt", customMinutes: "" };
+  if (testProtocolSelect) testProtocolSelect.value = protocol.id;
+  if (customDurationInput && protocol.customMinutes) customDurationInput.value = protocol.customMinutes;
+  applyProtocolSettings();
+  // The saved length and positions are already in the saved unit, so no conversion here.
+  // Sessions saved before the unit setting existed were in metres.
+  unitSystem = session.track.unitSystem === "imperial" ? "imperial" : "metric";
+  if (unitSystemSelect) unitSystemSelect.value = unitSystem;
+  if (trackLayoutSelect) trackLayoutSelect.value = session.track.layout;
+  if (trackLengthInput) trackLengthInput.value = session.track.length;
+  applyTrackSettings();
+
+  session.minutes.forEach((row, index) => {
+    const posInput = document.getElementById(`pos_${index + 1}`);
+    const dirButton = document.getElementById(`dir_${index + 1}`);
+    if (posInput) posInput.value = row.pos;
+    if (dirButton) setDirectionButton(dirButton, row.dir);
+  });
+  minuteCaptures = { ...(session.minuteCaptures || {}) };
+  Object.keys(minuteCaptures).forEach((m) => markCapturedRow(Number(m)));
+
+  setVitalsInputValues(session.vitals);
+
+  const details = session.details || {};
+  if (patientIdInput) patientIdInput.value = details.patientId || "";
+  if (testIdInput) testIdInput.value = details.testId || "";
+  if (testerNameInput) testerNameInput.value = details.tester || "";
+  if (testNotesInput) testNotesInput.value = details.notes || "";
+  refreshHistory();
+
+  const d = session.demographics;
+  if (patientAgeInput) patientAgeInput.value = d.age;
+  if (patientSexSelect) patientSexSelect.value = d.sex;
+  if (patientHeightInput) patientHeightInput.value = d.height;
+  if (patientWeightInput) patientWeightInput.value = d.weight;
+  if (referenceEquationSelect && d.equation) referenceEquationSelect.value = d.equation;
+
+  lapTimes = session.lapTimes.filter((t) => typeof t === "number" && Number.isFinite(t));
+  restStops = (session.restStops || []).map((stop) => ({ startS: stop.startS, endS: stop.endS }));
+  // A period still open when the page went away is closed below, once the clock is restored.
+  pageHiddenPeriods = (session.pageHiddenPeriods || []).map((period) => ({ ...period }));
+  originalLapTaps = Array.isArray(session.originalLapTaps) ? [...session.originalLapTaps] : [...lapTimes];
+  lapEdits = Array.isArray(session.lapEdits) ? session.lapEdits.map((edit) => ({ ...edit })) : [];
+
+  // setManualMode() seeds manualLapValues from lapTimes, so put the typed values back afterwards.
+  if (manualModeToggle) manualModeToggle.checked = !!session.isManualMode;
+  setManualMode(!!session.isManualMode);
+  if (isManualMode) {
+    manualLapValues = session.manualLapValues.length ? session.manualLapValues.map(String) : [""];
+    manualRowCount = manualLapValues.length;
+    renderLapTable();
+  }
 
-  rows.forEach((row) => {
-    lines.push(
-      padRight(row.minute, 4) +
-        padRight(row.timeS.toFixed(0), 9) +
-        padRight(row.distanceThisMinuteM.toFixed(2), 13) +
-        padRight(row.lapsThisMinute.toFixed(3), 15) +
-        padRight(row.totalDistanceM.toFixed(2), 10)
+  // Group walkers (sessions from before group tests have none).
+  const group = session.group || { enabled: false, walkers: [] };
+  groupWalkers = group.walkers.map((walker) => ({
+    name: walker.name || "",
+    lapTimes: walker.lapTimes.filter((t) => typeof t === "number" && Number.isFinite(t)),
+    positions: walker.positions.map((p) => ({ pos: p.pos, dir: p.dir === "back" ? "back" : "out" }))
+  }));
+  setGroupMode(!!group.enabled);
+
+  // Stopwatch: a running timer continues from its wall-clock anchor.
+  testStartedAt = session.testStartedAt ? new Date(session.testStartedAt) : null;
+  const maxMs = getTestDurationMs();
+  const sw = session.stopwatch;
+  elapsedMs = sw.running && sw.startAnchorEpochMs !== null
+    ? Date.now() - sw.startAnchorEpochMs
+    : sw.elapsedMs;
+  elapsedMs = Math.min(Math.max(0, elapsedMs), maxMs);
+  cuesPlayedUpToMs = elapsedMs; // cues and prompts for time already passed are not replayed
+  capturePromptedUpToMs = elapsedMs;
+  updateTimerDisplay();
+
+  // The page was hidden when it went away; the test clock kept running until now.
+  const openHidden = pageHiddenPeriods[pageHiddenPeriods.length - 1];
+  if (openHidden && openHidden.endS === null) {
+    openHidden.endS = Math.max(elapsedMs / 1000, openHidden.startS);
+    showTimingWarning(
+      t("hidden.reloaded", {
+        start: formatTimeSeconds(openHidden.startS),
+        end: formatTimeSeconds(openHidden.endS)
+      })
     );
-  });
+  }
 
-  lines.push("");
-  lines.push(`Total distance (m): ${totalDistanceAll.toFixed(2)}`);
-  lines.push(`Total laps: ${totalLapsAll.toFixed(3)}`);
+  if (elapsedMs >= maxMs || sw.finished) {
+    setToggleButtonState("finished");
+    toggleButton.disabled = true;
+    lapButton.disabled = true;
+    resetButton.disabled = false;
+    closeOpenRestStop(elapsedMs / 1000);
+  } else if (sw.running && !isManualMode) {
+    startTimer();
+  } else if (elapsedMs > 0) {
+    resetButton.disabled = false;
+  }
+  updateEndEarlyButton();
+  updateProtocolLock();
+
+  const termination = session.termination;
+  if (termination) {
+    if (terminatedEarlyInput) terminatedEarlyInput.checked = !!termination.enabled;
+    if (terminationTimeInput) terminationTimeInput.value = termination.time;
+    if (terminationReasonSelect) terminationReasonSelect.value = termination.reason;
+    if (terminationDetailsInput) terminationDetailsInput.value = termination.details;
+    if (terminationPosSelect) terminationPosSelect.value = termination.pos;
+    if (terminationDirButton) setDirectionButton(terminationDirButton, termination.dir);
+  }
+  updateTerminationPanel();
+}
 
-  resultsBox.textContent = lines.join("\n");
+/** Show the "Resume previous session" banner for a stored snapshot. */
+function offerSessionResume(session) {
+  pendingSession = session;
+  sessionSavingEnabled = false;
+
+  if (resumeInfoEl) {
+    const savedAt = new Date(session.savedAt);
+    const parts = [t("resume.savedAt", { time: formatDateTime(savedAt) })];
+    if (session.lapTimes.length) parts.push(tCount("resume.laps", session.lapTimes.length));
+    if (session.group && session.group.enabled) {
+      parts.push(t("resume.group", { count: session.group.walkers.length }));
+    }
+    if (session.stopwatch.running) parts.push(t("resume.running"));
+    resumeInfoEl.textContent = t("resume.found", { details: parts.join(", ") });
+  }
+  if (resumeBannerEl) resumeBannerEl.classList.remove("hidden");
 }
 
-function clearResults() {
-  minuteErrorDiv.textContent = "";
-  lapErrorDiv.textContent = "";
-  resultsBox.textContent = "Per-minute results will appear here.";
+/** Close the banner, optionally restoring the pending session, and start saving again. */
+function settleSessionResume(resume) {
+  if (resumeBannerEl) resumeBannerEl.classList.add("hidden");
+  const session = pendingSession;
+  pendingSession = null;
+
+  if (resume && session) {
+    restoreSession(session);
+  } else {
+    clearStoredSession();
+  }
+
+  sessionSavingEnabled = true;
+  saveSession();
 }
 
-/** Clear only the results text and related errors (keeps inputs). */
-function clearResults() {
-  lapErrorDiv.textContent = "";
-  minuteErrorDiv.textContent = "";
-  resultsBox.textContent = "Per-minute results will appear here.";
+/* =========================
+   Offline app (service worker)
+   ========================= */
+
+// The installed worker waiting to take over, once a new version has been cached.
+let waitingServiceWorker = null;
+
+function setOfflineStatus(text) {
+  if (offlineStatusEl) offlineStatusEl.textContent = text;
+}
+
+function showUpdateBanner(worker) {
+  waitingServiceWorker = worker;
+  if (updateErrorDiv) updateErrorDiv.textContent = "";
+  if (updateBannerEl) updateBannerEl.classList.remove("hidden");
 }
 
 /**
- * Clear everything - stopwatch, laps, minute inputs, results.
- * This is the closest match to Clear All in Original_index.html,
- * but it now also resets the stopwatch and lap table.
+ * A worker finished installing. With a controller already in place it is a new version
+ * waiting to take over; otherwise it is the first install and the app is now offline-ready.
  */
-function clearAll() {
-  // Reset stopwatch and lap data
-  resetTimer();
-
-  // Clear minute inputs and reset directions to "out"
-  for (let m = 1; m <= 6; m++) {
-    const posInput = document.getElementById(`pos_${m}`);
-    const dirButton = document.getElementById(`dir_${m}`);
+function handleInstalledWorker(worker) {
+  if (navigator.serviceWorker.controller) {
+    showUpdateBanner(worker);
+  } else {
+    setOfflineStatus(t("offline.ready"));
+  }
+}
 
-    if (posInput) {
-      posInput.value = "";
-    }
-    if (dirButton) {
-      dirButton.dataset.dir = "out";
-      dirButton.textContent = "out";
-      dirButton.classList.remove("back");
-    }
+/** Activate the waiting version and reload into it (not while the stopwatch is running). */
+function applyAppUpdate() {
+  if (!waitingServiceWorker) return;
+  if (stopwatchRunning) {
+    if (updateErrorDiv) updateErrorDiv.textContent = t("update.stopFirst");
+    return;
   }
+  // The session is saved first, so the reload resumes right here.
+  saveSession();
+  waitingServiceWorker.postMessage({ type: "skip-waiting" });
+}
 
-  // Errors and results are already reset by resetTimer
+/** Register sw.js and watch for new versions. Needs http(s); skipped on file:// pages. */
+function registerServiceWorker() {
+  if (!("serviceWorker" in navigator) || location.protocol === "file:") return;
+
+  // The new worker took control after "skip-waiting": load the new files.
+  let reloading = false;
+  navigator.serviceWorker.addEventListener("controllerchange", () => {
+    // Another tab may have applied the update; never reload in the middle of a test.
+    if (!waitingServiceWorker || reloading || stopwatchRunning) return;
+    reloading = true;
+    location.reload();
+  });
+
+  navigator.serviceWorker
+    .register("sw.js")
+    .then((registration) => {
+      if (navigator.serviceWorker.controller) {
+        setOfflineStatus(t("offline.available"));
+      }
+      // A new version may have been cached during an earlier visit.
+      if (registration.waiting && navigator.serviceWorker.controller) {
+        showUpdateBanner(registration.waiting);
+      }
+      registration.addEventListener("updatefound", () => {
+        const worker = registration.installing;
+        if (!worker) return;
+        worker.addEventListener("statechange", () => {
+          if (worker.state === "installed") handleInstalledWorker(worker);
+        });
+      });
+    })
+    .catch((err) => {
+      setOfflineStatus(t("offline.error", { message: err.message }));
+    });
 }
 
 /* =========================
    Event bindings
    ========================= */
 
+// Audio cue settings
+[beepEnabledInput, speechEnabledInput, cueVolumeInput, speechVoiceSelect].forEach((el) => {
+  if (el) el.addEventListener("change", saveAudioSettings);
+});
+if (speechLanguageSelect) {
+  speechLanguageSelect.addEventListener("change", () => {
+    populateVoiceOptions();
+    saveAudioSettings();
+  });
+}
+if (testCueButton) {
+  testCueButton.addEventListener("click", testAudioCue);
+}
+if (speechAvailable()) {
+  window.speechSynthesis.addEventListener("voiceschanged", populateVoiceOptions);
+}
+
+// Session recovery banner
+if (resumeSessionButton) {
+  resumeSessionButton.addEventListener("click", () => settleSessionResume(true));
+}
+if (discardSessionButton) {
+  discardSessionButton.addEventListener("click", () => settleSessionResume(false));
+}
+
+// Protocol: re-apply on every change so the minute rows follow along
+if (testProtocolSelect) {
+  testProtocolSelect.addEventListener("change", applyProtocolSettings);
+}
+if (customDurationInput) {
+  customDurationInput.addEventListener("change", applyProtocolSettings);
+}
+
+// Track setup: re-apply on every change so the position selects follow along
+if (trackLayoutSelect) {
+  trackLayoutSelect.addEventListener("change", applyTrackSettings);
+}
+if (trackLengthInput) {
+  trackLengthInput.addEventListener("change", applyTrackSettings);
+}
+if (uiLanguageSelect) {
+  uiLanguageSelect.addEventListener("change", () => {
+    setLanguage(uiLanguageSelect.value);
+    saveLanguagePrefs();
+    matchSpeechLanguage();
+  });
+}
+if (unitSystemSelect) {
+  unitSystemSelect.addEventListener("change", () => setUnitSystem(unitSystemSelect.value));
+}
+
+// Live position capture
+if (liveCaptureToggle) {
+  liveCaptureToggle.addEventListener("change", saveCapturePrefs);
+}
+if (captureDirOutButton) {
+  captureDirOutButton.addEventListener("click", () => setCaptureDir("out"));
+}
+if (captureDirBackButton) {
+  captureDirBackButton.addEventListener("click", () => setCaptureDir("back"));
+}
+if (captureLapButton) {
+  captureLapButton.addEventListener("click", recordLap, { passive: true });
+}
+if (captureSkipButton) {
+  captureSkipButton.addEventListener("click", closeCapturePrompt);
+}
+document.addEventListener("keydown", (e) => {
+  if (e.key === "Escape" && captureMinute !== null) closeCapturePrompt();
+});
+
 // Manual mode toggle (optional)
 if (manualModeToggle) {
   manualModeToggle.addEventListener("change", () => {
@@ -838,6 +5436,22 @@ if (manualModeToggle) {
   });
 }
 
+// Lap time import (manual mode)
+if (importLapsButton) {
+  importLapsButton.addEventListener("click", openLapImport);
+}
+if (lapImportOverlayEl) {
+  lapImportTextInput.addEventListener("input", updateLapImportPreview);
+  lapImportKindSelect.addEventListener("change", updateLapImportPreview);
+  lapImportDecimalCommaInput.addEventListener("change", updateLapImportPreview);
+  lapImportFileInput.addEventListener("change", loadLapImportFile);
+  lapImportApplyButton.addEventListener("click", applyLapImport);
+  lapImportCancelButton.addEventListener("click", closeLapImport);
+  document.addEventListener("keydown", (e) => {
+    if (e.key === "Escape") closeLapImport();
+  });
+}
+
 // Manual "Add row" button
 if (addRowButton) {
   addRowButton.addEventListener("click", () => {
@@ -856,12 +5470,31 @@ if (addRowButton) {
 // These are click events only, so the passive option is not critical, but it does not hurt here.
 toggleButton.addEventListener("click", toggleTimer, { passive: true });
 lapButton.addEventListener("click", recordLap, { passive: true });
+if (restButton) {
+  restButton.addEventListener("click", toggleRestStop, { passive: true });
+}
+if (undoLapButton) {
+  undoLapButton.addEventListener("click", undoLastLap, { passive: true });
+}
+
+if (addLapButton) {
+  addLapButton.addEventListener("click", () => {
+    editingLapNumber = null;
+    addingLap = true;
+    renderLapTable();
+  });
+}
+if (endEarlyButton) {
+  endEarlyButton.addEventListener("click", endTestEarly, { passive: true });
+}
 resetButton.addEventListener("click", resetTimer, { passive: true });
 
 document
   .getElementById("calcButton")
   .addEventListener("click", calculate, { passive: true });
 
+if (explainToggle) explainToggle.addEventListener("change", renderExplanation);
+
 document
   .getElementById("clearResultsButton")
   .addEventListener("click", clearResults, { passive: true });
@@ -870,53 +5503,82 @@ document
   .getElementById("clearAllButton")
   .addEventListener("click", clearAll, { passive: true });
 
-/**
- * Small helper so that when someone starts typing positions, we clear old errors.
- * This makes the form feel less sticky when fixing a mistake.
- */
-for (let m = 1; m <= 6; m++) {
-  const posInput = document.getElementById(`pos_${m}`);
-  const dirButton = document.getElementById(`dir_${m}`);
+if (exportCsvButton) {
+  exportCsvButton.addEventListener("click", exportCsv, { passive: true });
+}
+if (exportJsonButton) {
+  exportJsonButton.addEventListener("click", exportJson, { passive: true });
+}
+if (printReportButton) {
+  printReportButton.addEventListener("click", printReport, { passive: true });
+}
 
-  if (posInput) {
-    posInput.addEventListener("input", () => {
-      minuteErrorDiv.textContent = "";
-    });
-  }
+// Test history
+if (saveHistoryButton) {
+  saveHistoryButton.addEventListener("click", saveToHistory);
+}
+if (patientIdInput) {
+  patientIdInput.addEventListener("change", refreshHistory);
+}
+if (mcidInput) {
+  mcidInput.addEventListener("change", () => {
+    saveHistoryPrefs();
+    refreshHistory();
+  });
+}
 
-  if (dirButton) {
-    // Initialize default state on load
-    dirButton.dataset.dir = dirButton.dataset.dir || "out";
-    if (!dirButton.textContent.trim()) {
-      dirButton.textContent = dirButton.dataset.dir;
-    }
-    if (dirButton.dataset.dir === "back") {
-      dirButton.classList.add("back");
-    } else {
-      dirButton.classList.remove("back");
-    }
+// Arrow-key movement through the sticky-note positions (walker grids bind their own)
+if (positionTableEl) {
+  positionTableEl.addEventListener("keydown", handleMinuteGridKey);
+}
 
-    dirButton.addEventListener("click", () => {
-      // Toggle direction and clear any minute error
-      const current = dirButton.dataset.dir === "back" ? "back" : "out";
-      const next = current === "out" ? "back" : "out";
-      dirButton.dataset.dir = next;
-      dirButton.textContent = next;
-      if (next === "back") {
-        dirButton.classList.add("back");
-      } else {
-        dirButton.classList.remove("back");
-      }
-      minuteErrorDiv.textContent = "";
-    });
-  }
+// Early termination
+if (terminatedEarlyInput) {
+  terminatedEarlyInput.addEventListener("change", () => {
+    minuteErrorDiv.textContent = "";
+    updateTerminationPanel();
+  });
 }
+if (terminationDirButton) {
+  terminationDirButton.addEventListener("click", () => {
+    const current = terminationDirButton.dataset.dir === "back" ? "back" : "out";
+    setDirectionButton(terminationDirButton, current === "out" ? "back" : "out");
+    minuteErrorDiv.textContent = "";
+  });
+}
+
+// Clear the demographics error as soon as the user edits any of those fields
+[
+  patientAgeInput,
+  patientSexSelect,
+  patientHeightInput,
+  patientWeightInput,
+  referenceEquationSelect
+].forEach((el) => {
+  if (!el) return;
+  el.addEventListener("input", () => {
+    if (demographicsErrorDiv) demographicsErrorDiv.textContent = "";
+  });
+});
 
 // Initial UI state
+loadLanguagePrefs();
+renderTerminationReasons();
+if (terminationDirButton) setDirectionButton(terminationDirButton, "out");
+applyProtocolSettings();
+loadUnitPrefs();
+renderVitalsTable();
+loadAudioSettings();
+populateVoiceOptions();
+loadHistoryPrefs();
+loadCapturePrefs();
+loadKeyPrefs();
+renderKeyBindings();
 updateTimerDisplay();
+setToggleButtonState("start");
 resetButton.disabled = true;
 lapButton.disabled = true;
-resultsBox.textContent = "Per-minute results will appear here.";
+resultsBox.textContent = t("results.placeholder");
 
 // Ensure mode UI is consistent on load
 if (manualModeToggle && manualModeToggle.checked) {
@@ -924,3 +5586,51 @@ if (manualModeToggle && manualModeToggle.checked) {
 } else {
   setManualMode(false);
 }
+
+// Page visibility: warn about hidden stretches of an active test and catch the clock up.
+// Registered before the session save listener below so the saved copy includes the change.
+document.addEventListener("visibilitychange", handleVisibilityChange);
+
+// Persist the session after every user change. Listening on the document (bubble phase)
+// means the element's own handler has already updated the state by the time we save.
+["input", "change", "click", "focusout"].forEach((type) => {
+  document.addEventListener(type, saveSession);
+});
+// Also save when the page is being hidden or unloaded, so a running stopwatch is up to date.
+document.addEventListener("visibilitychange", saveSession);
+window.addEventListener("pagehide", saveSession);
+
+// Group test
+if (groupModeToggle) {
+  groupModeToggle.addEventListener("change", () => setGroupMode(groupModeToggle.checked));
+}
+if (addWalkerButton) addWalkerButton.addEventListener("click", addWalker);
+
+// Keyboard and clicker shortcuts; the giant lap button
+document.addEventListener("keydown", handleShortcutKey);
+if (keyShortcutsEnabledInput) keyShortcutsEnabledInput.addEventListener("change", saveKeyPrefs);
+if (lapDebounceInput) {
+  lapDebounceInput.addEventListener("input", () => {
+    validateLapDebounce();
+    saveKeyPrefs();
+  });
+}
+if (resetKeyBindingsButton) resetKeyBindingsButton.addEventListener("click", restoreDefaultKeyBindings);
+if (giantLapModeButton) giantLapModeButton.addEventListener("click", openGiantLapMode);
+if (giantLapExitButton) giantLapExitButton.addEventListener("click", closeGiantLapMode);
+if (giantLapButton) giantLapButton.addEventListener("click", tapLap);
+
+// Offline app: update banner and service worker registration
+if (reloadAppButton) reloadAppButton.addEventListener("click", applyAppUpdate);
+if (dismissUpdateButton) {
+  dismissUpdateButton.addEventListener("click", () => {
+    if (updateBannerEl) updateBannerEl.classList.add("hidden");
+  });
+}
+registerServiceWorker();
+
+// Offer to resume whatever was stored before this page load.
+const storedSession = loadStoredSession();
+if (storedSession) {
+  offerSessionResume(storedSession);
+}
@@ -0,0 +1,76 @@
+/*
+  sw.js
+
+  Service worker that keeps the whole app available offline.
+
+  Every file the page needs is stored in a versioned cache when the worker installs, and
+  requests are answered from that cache first, so the app opens with no network at all.
+
+  Bump CACHE_VERSION whenever any file in APP_FILES changes. The browser then installs the
+  new worker alongside the old one; script.js sees it waiting and offers a reload, which
+  sends "skip-waiting" so the new version takes over.
+*/
+
+const CACHE_VERSION = 16;
+const CACHE_NAME = `six-minute-walk-v${CACHE_VERSION}`;
+
+// Paths are relative to this file, which sits next to index.html.
+const APP_FILES = [
+  "./",
+  "index.html",
+  "styles.css",
+  "print.css",
+  "distance-engine.js",
+  "i18n.js",
+  "script.js",
+  "manifest.webmanifest",
+  "icons/icon.svg",
+  "icons/icon-180.png",
+  "icons/icon-192.png",
+  "icons/icon-512.png"
+];
+
+self.addEventListener("install", (event) => {
+  // cache: "reload" skips the HTTP cache so a new version never stores stale files.
+  event.waitUntil(
+    caches
+      .open(CACHE_NAME)
+      .then((cache) => cache.addAll(APP_FILES.map((url) => new Request(url, { cache: "reload" }))))
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  // Drop the caches of older versions.
+  event.waitUntil(
+    caches
+      .keys()
+      .then((names) =>
+        Promise.all(
+          names
+            .filter((name) => name.startsWith("six-minute-walk-") && name !== CACHE_NAME)
+            .map((name) => caches.delete(name))
+        )
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener("message", (event) => {
+  if (event.data && event.data.type === "skip-waiting") self.skipWaiting();
+});
+
+self.addEventListener("fetch", (event) => {
+  const request = event.request;
+  if (request.method !== "GET" || new URL(request.url).origin !== self.location.origin) return;
+
+  event.respondWith(
+    caches.match(request, { ignoreSearch: true }).then((cached) => {
+      if (cached) return cached;
+      // Page loads that are not cached under their own URL (e.g. index.html?x) get the app shell.
+      if (request.mode === "navigate") {
+        return caches.match("index.html").then((page) => page || fetch(request));
+      }
+      return fetch(request);
+    })
+  );
+});
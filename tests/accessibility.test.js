@@ -0,0 +1,140 @@
+/*
+  Accessibility checks for index.html: names for every control, valid ARIA references,
+  alert roles on the error blocks and the live regions script.js writes to.
+  Rows, tables and labels that script.js builds at run time are not covered here.
+
+  Run from the repository root with Node 18 or later (no dependencies needed):
+    node --test tests/
+*/
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const path = require("node:path");
+
+const { MESSAGES, DEFAULT_LANGUAGE } = require("../i18n.js");
+
+const VOID_TAGS = new Set(["area", "base", "br", "col", "embed", "hr", "img", "input", "link", "meta", "source", "wbr"]);
+
+/**
+ * A small tag scanner, enough for this hand-written page: every element with its attributes,
+ * its text content and the elements it sits inside. Comments are dropped first.
+ */
+function parseElements(html) {
+  const elements = [];
+  const open = [];
+  const tokens = /<(\/?)([a-zA-Z][\w-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>|([^<]+)/g;
+  let match;
+  while ((match = tokens.exec(html.replace(/<!--[\s\S]*?-->/g, "")))) {
+    const [, closing, rawTag, rawAttrs, text] = match;
+    if (text !== undefined) {
+      open.forEach((el) => {
+        el.text += text;
+      });
+      continue;
+    }
+    const tag = rawTag.toLowerCase();
+    if (closing) {
+      const index = open.map((el) => el.tag).lastIndexOf(tag);
+      if (index >= 0) open.length = index;
+      continue;
+    }
+    const attrs = {};
+    const attrPattern = /([\w:-]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g;
+    let attr;
+    while ((attr = attrPattern.exec(rawAttrs))) {
+      attrs[attr[1].toLowerCase()] = attr[2] ?? attr[3] ?? attr[4] ?? "";
+    }
+    const element = { tag, attrs, text: "", ancestors: [...open] };
+    elements.push(element);
+    if (!VOID_TAGS.has(tag) && !rawAttrs.trim().endsWith("/")) open.push(element);
+  }
+  return elements;
+}
+
+const html = fs.readFileSync(path.join(__dirname, "..", "index.html"), "utf8");
+const elements = parseElements(html);
+const byId = new Map(elements.filter((el) => el.attrs.id).map((el) => [el.attrs.id, el]));
+const describe = (el) => `<${el.tag}${el.attrs.id ? ` id="${el.attrs.id}"` : ""}>`;
+
+test("the page declares its language", () => {
+  const root = elements.find((el) => el.tag === "html");
+  assert.ok(root && root.attrs.lang);
+});
+
+test("element ids are unique", () => {
+  const seen = new Set();
+  elements.forEach((el) => {
+    if (!el.attrs.id) return;
+    assert.ok(!seen.has(el.attrs.id), `duplicate id ${el.attrs.id}`);
+    seen.add(el.attrs.id);
+  });
+});
+
+test("label and ARIA id references point at elements on the page", () => {
+  elements.forEach((el) => {
+    const refs = [el.attrs["aria-labelledby"], el.attrs["aria-describedby"], el.attrs["aria-controls"]];
+    if (el.tag === "label") refs.push(el.attrs.for);
+    refs
+      .filter(Boolean)
+      .flatMap((value) => value.split(/\s+/))
+      .forEach((id) => assert.ok(byId.has(id), `${describe(el)} refers to missing id ${id}`));
+  });
+});
+
+test("every form control has an accessible name", () => {
+  const labelledFor = new Set(elements.filter((el) => el.tag === "label" && el.attrs.for).map((el) => el.attrs.for));
+  elements
+    .filter((el) => ["input", "select", "textarea"].includes(el.tag) && el.attrs.type !== "hidden")
+    .forEach((el) => {
+      const named =
+        el.attrs["aria-label"] ||
+        el.attrs["aria-labelledby"] ||
+        labelledFor.has(el.attrs.id) ||
+        el.ancestors.some((parent) => parent.tag === "label" && parent.text.trim());
+      assert.ok(named, `${describe(el)} has no label`);
+    });
+});
+
+test("every button has a name", () => {
+  elements
+    .filter((el) => el.tag === "button")
+    .forEach((el) => assert.ok(el.text.trim() || el.attrs["aria-label"], `${describe(el)} has no text`));
+});
+
+test("aria-label is only used where it names something", () => {
+  // A plain div or span has no role that takes a name, so screen readers ignore the label.
+  elements
+    .filter((el) => el.attrs["aria-label"] && ["div", "span"].includes(el.tag))
+    .forEach((el) => assert.ok(el.attrs.role, `${describe(el)} has aria-label but no role`));
+});
+
+test("error blocks are announced when they fill in", () => {
+  const errors = elements.filter((el) => (el.attrs.class || "").split(/\s+/).includes("error"));
+  assert.ok(errors.length > 0);
+  errors.forEach((el) => assert.equal(el.attrs.role, "alert", describe(el)));
+});
+
+test("the timer, the manual switch and the announcer have their roles", () => {
+  assert.equal(byId.get("timerDisplay").attrs.role, "timer");
+  assert.equal(byId.get("manualModeToggle").attrs.role, "switch");
+  const announcer = byId.get("liveAnnouncer");
+  assert.equal(announcer.attrs.role, "status");
+  assert.equal(announcer.attrs["aria-live"], "polite");
+});
+
+test("direction toggles start with a pressed state", () => {
+  elements
+    .filter((el) => (el.attrs.class || "").split(/\s+/).includes("dir-toggle"))
+    .forEach((el) => assert.ok(["true", "false"].includes(el.attrs["aria-pressed"]), describe(el)));
+});
+
+test("translated labels exist in the message catalog", () => {
+  elements
+    .filter((el) => el.attrs["data-i18n-label"])
+    .forEach((el) => assert.ok(el.attrs["data-i18n-label"] in MESSAGES[DEFAULT_LANGUAGE], describe(el)));
+});
+
+test("images have a text alternative", () => {
+  elements.filter((el) => el.tag === "img").forEach((el) => assert.ok("alt" in el.attrs, describe(el)));
+});
@@ -0,0 +1,627 @@
+/*
+  Tests for distance-engine.js.
+
+  Run from the repository root with Node 18 or later (no dependencies needed):
+    node --test tests/
+*/
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  parseTimeFlexibleToSeconds,
+  parseLapTimeToSeconds,
+  parseImportedTime,
+  parseLapImport,
+  getLapsCompletedByTime,
+  positionToOffsetWithinLap,
+  getMaxPositionForTrack,
+  validateMinuteInputs,
+  computeDistances,
+  summarizeRestStops,
+  computePaceAnalytics,
+  checkDataQuality,
+  explainCalculation
+} = require("../distance-engine.js");
+
+const SHUTTLE_25 = { layout: "shuttle", lengthM: 25 };
+const SHUTTLE_30 = { layout: "shuttle", lengthM: 30 };
+const LOOP_60 = { layout: "loop", lengthM: 60 };
+// A 100 ft corridor marked in feet; lengths are always given in metres.
+const SHUTTLE_100_FT = { layout: "shuttle", lengthM: 30.48, unit: "ft" };
+
+/** One minute row per [pos, dir] pair (six for a 6MWT). */
+function minutes(pairs) {
+  return pairs.map(([pos, dir], i) => ({ minute: i + 1, pos, dir }));
+}
+
+test("parseTimeFlexibleToSeconds accepts ss, m:ss and mm:ss", () => {
+  assert.equal(parseTimeFlexibleToSeconds("37"), 37);
+  assert.equal(parseTimeFlexibleToSeconds("1:4"), 64);
+  assert.equal(parseTimeFlexibleToSeconds("01:23"), 83);
+  assert.equal(parseTimeFlexibleToSeconds(" 2 : 05 "), 125);
+});
+
+test("parseTimeFlexibleToSeconds carries seconds overflow (2:75 is 3:15)", () => {
+  assert.equal(parseTimeFlexibleToSeconds("2:75"), 195);
+  assert.equal(parseTimeFlexibleToSeconds("0:120"), 120);
+});
+
+test("parseTimeFlexibleToSeconds rejects malformed input", () => {
+  assert.equal(parseTimeFlexibleToSeconds(""), null);
+  assert.equal(parseTimeFlexibleToSeconds("1:"), null);
+  assert.equal(parseTimeFlexibleToSeconds(":30"), null);
+  assert.equal(parseTimeFlexibleToSeconds("1:2:3"), null);
+  assert.equal(parseTimeFlexibleToSeconds("1.5"), null);
+  assert.equal(parseTimeFlexibleToSeconds("abc"), null);
+});
+
+test("parseLapTimeToSeconds keeps fractions of a second", () => {
+  assert.equal(parseLapTimeToSeconds("65.3"), 65.3);
+  assert.equal(parseLapTimeToSeconds("1:05.3"), 65.3);
+  assert.equal(parseLapTimeToSeconds("01:05"), 65);
+  assert.equal(parseLapTimeToSeconds("1:75.5"), 135.5);
+  assert.equal(parseLapTimeToSeconds("1:05."), null);
+  assert.equal(parseLapTimeToSeconds("1:2:3"), null);
+  assert.equal(parseLapTimeToSeconds(""), null);
+});
+
+test("parseImportedTime accepts seconds, m:ss and h:mm:ss with decimals", () => {
+  assert.equal(parseImportedTime("45"), 45);
+  assert.equal(parseImportedTime("45.32"), 45.32);
+  assert.equal(parseImportedTime("1:05"), 65);
+  assert.equal(parseImportedTime("01:05.25"), 65.25);
+  assert.equal(parseImportedTime("1:02:03.5"), 3723.5);
+  assert.equal(parseImportedTime("1:75"), null);
+  assert.equal(parseImportedTime("1:60:00"), null);
+  assert.equal(parseImportedTime("1:05.2.3"), null);
+});
+
+test("parseLapImport reads a column of cumulative times and skips a heading", () => {
+  const { entries, lapTimes } = parseLapImport("Total\n00:45.3\n\n1:32.4\r\n2:20");
+  assert.deepEqual(lapTimes, [45.3, 92.4, 140]);
+  assert.equal(entries.length, 4);
+  assert.equal(entries[0].skipped, true);
+  assert.deepEqual(
+    entries.slice(1).map((e) => [e.line, e.lap]),
+    [[2, 1], [4, 2], [5, 3]]
+  );
+});
+
+test("parseLapImport takes the total from lap, split, total rows and the split in split mode", () => {
+  const csv = "Lap,Split,Total\n1,00:45.30,00:45.30\n2,00:47.10,01:32.40";
+  assert.deepEqual(parseLapImport(csv).lapTimes, [45.3, 92.4]);
+  assert.deepEqual(parseLapImport(csv, { split: true }).lapTimes, [45.3, 92.4]);
+  // Copied from a phone stopwatch screen, columns separated by spaces
+  assert.deepEqual(parseLapImport("Lap 1  00:45.32  00:45.32\nLap 2  00:47.10  01:32.42").lapTimes, [45.32, 92.42]);
+});
+
+test("parseLapImport reads decimal commas from semicolon and tab lines, and single values on request", () => {
+  assert.deepEqual(parseLapImport("1;00:45,5\n2;01:32,25").lapTimes, [45.5, 92.25]);
+  assert.deepEqual(parseLapImport("1\t45,5\n2\t92,25").lapTimes, [45.5, 92.25]);
+  assert.deepEqual(parseLapImport("45,5\n92,25", { decimalComma: true }).lapTimes, [45.5, 92.25]);
+});
+
+test("parseLapImport reads lap,seconds CSV rows as a lap number and a time", () => {
+  const options = { wholeSeconds: true };
+  assert.deepEqual(parseLapImport("1,65\n2,130", options).lapTimes, [65, 130]);
+  assert.deepEqual(parseLapImport("1,45\n2,47\n3,44", { ...options, split: true }).lapTimes, [45, 92, 136]);
+});
+
+test("parseLapImport keeps a whole-second split that is not the next lap number", () => {
+  assert.deepEqual(parseLapImport("45 45\n47 92\n44 136", { split: true }).lapTimes, [45, 92, 136]);
+  assert.deepEqual(parseLapImport("45 45\n47 92\n44 136").lapTimes, [45, 92, 136]);
+  assert.deepEqual(parseLapImport("1 45 45\n2 47 92", { split: true }).lapTimes, [45, 92]);
+});
+
+test("parseLapImport sums splits without drift when rounding to whole seconds", () => {
+  assert.deepEqual(parseLapImport("45.4\n45.4\n45.4", { split: true, wholeSeconds: true }).lapTimes, [45, 91, 136]);
+  assert.deepEqual(parseLapImport("0.1\n0.2", { split: true }).lapTimes, [0.1, 0.3]);
+});
+
+test("parseLapImport reports a code for each line it cannot use", () => {
+  const { entries, lapTimes } = parseLapImport("1:00\n1:75\nlap missed\n0\n0:50\n1:00.4\n7:00", {
+    maxSeconds: 360,
+    wholeSeconds: true
+  });
+  assert.deepEqual(lapTimes, [60]);
+  assert.deepEqual(
+    entries.map((e) => e.error),
+    [null, "invalid-time", "no-time", "zero-time", "not-increasing", "not-increasing", "after-end"]
+  );
+});
+
+test("getLapsCompletedByTime counts laps at or before the time", () => {
+  const laps = [30, 60, 90.5];
+  assert.equal(getLapsCompletedByTime(laps, 29.9), 0);
+  assert.equal(getLapsCompletedByTime(laps, 60), 2);
+  assert.equal(getLapsCompletedByTime(laps, 90), 2);
+  assert.equal(getLapsCompletedByTime(laps, 360), 3);
+  assert.equal(getLapsCompletedByTime([], 60), 0);
+});
+
+test("positionToOffsetWithinLap maps out/back onto the lap", () => {
+  assert.equal(positionToOffsetWithinLap(10, "out", SHUTTLE_25), 10);
+  assert.equal(positionToOffsetWithinLap(25, "out", SHUTTLE_25), 25);
+  assert.equal(positionToOffsetWithinLap(10, "back", SHUTTLE_25), 40);
+  assert.equal(positionToOffsetWithinLap(10, "back", SHUTTLE_30), 50);
+  assert.equal(positionToOffsetWithinLap(42, "back", LOOP_60), 42);
+});
+
+test("(back, 0) is the start line, not a full extra lap", () => {
+  assert.equal(positionToOffsetWithinLap(0, "back", SHUTTLE_25), 0);
+});
+
+test("positions marked in feet are converted to metres", () => {
+  assert.equal(positionToOffsetWithinLap(50, "out", SHUTTLE_100_FT), 15.24);
+  assert.equal(positionToOffsetWithinLap(25, "back", SHUTTLE_100_FT), 60.96 - 7.62);
+  assert.equal(positionToOffsetWithinLap(0, "back", SHUTTLE_100_FT), 0);
+  assert.equal(getMaxPositionForTrack(SHUTTLE_100_FT), 100);
+  assert.equal(getMaxPositionForTrack({ layout: "loop", lengthM: 60.96, unit: "ft" }), 199);
+});
+
+test("positionToOffsetWithinLap rejects an unknown direction", () => {
+  assert.throws(() => positionToOffsetWithinLap(5, "sideways", SHUTTLE_25));
+});
+
+test("validateMinuteInputs reports missing and out-of-range positions", () => {
+  const { errors } = validateMinuteInputs(
+    [
+      { minute: 1, pos: "", dir: "out" },
+      { minute: 2, pos: "26", dir: "out" },
+      { minute: 3, pos: "5", dir: "up" },
+      { minute: 4, pos: "5", dir: "back" }
+    ],
+    SHUTTLE_25
+  );
+  assert.deepEqual(
+    errors.map((e) => [e.code, e.minute]),
+    [
+      ["missing-position", 1],
+      ["invalid-position", 2],
+      ["invalid-direction", 3]
+    ]
+  );
+});
+
+test("validateMinuteInputs ignores direction on a loop", () => {
+  const { errors, minuteInfo } = validateMinuteInputs([{ minute: 1, pos: "59", dir: "" }], LOOP_60);
+  assert.deepEqual(errors, []);
+  assert.deepEqual(minuteInfo, [{ minute: 1, pos: 59, dir: "out", capturedAtS: null }]);
+});
+
+test("computeDistances returns errors instead of rows for bad input", () => {
+  const result = computeDistances({
+    lapTimes: [],
+    minutes: minutes([["1", "out"], ["", "out"], ["3", "out"], ["4", "out"], ["5", "out"], ["6", "out"]]),
+    track: SHUTTLE_25
+  });
+  assert.equal(result.errors.length, 1);
+  assert.equal(result.errors[0].code, "missing-position");
+  assert.deepEqual(result.rows, []);
+});
+
+test("computeDistances adds full laps and the sticky-note offset per minute", () => {
+  const result = computeDistances({
+    lapTimes: [50, 100, 150, 200, 250, 300, 350],
+    minutes: minutes([
+      ["10", "back"], // 1 lap + 40 m = 90
+      ["20", "back"], // 2 laps + 30 m = 130
+      ["15", "out"], // 3 laps + 15 m = 165
+      ["5", "back"], // 4 laps + 45 m = 245
+      ["10", "out"], // 6 laps + 10 m = 310
+      ["20", "out"] // 7 laps + 20 m = 370
+    ]),
+    track: SHUTTLE_25
+  });
+
+  assert.deepEqual(result.errors, []);
+  assert.deepEqual(
+    result.rows.map((r) => r.totalDistanceM),
+    [90, 130, 165, 245, 310, 370]
+  );
+  assert.deepEqual(
+    result.rows.map((r) => r.distanceThisMinuteM),
+    [90, 40, 35, 80, 65, 60]
+  );
+  assert.equal(result.totalDistanceM, 370);
+  assert.equal(result.totalLaps, 7.4);
+  assert.equal(result.lapLengthM, 50);
+});
+
+test("a lap tapped just after the minute mark counts when the note shows (out, 0)", () => {
+  // Lap 2 was tapped 0.6 s after minute 2; the patient was at the start line heading out.
+  const result = computeDistances({
+    lapTimes: [58, 120.6, 181],
+    minutes: minutes([["0", "out"], ["0", "out"], ["0", "out"], ["0", "out"], ["0", "out"], ["0", "out"]]),
+    track: SHUTTLE_25
+  });
+
+  const [m1, m2, m3] = result.rows;
+  assert.equal(m1.boundaryCorrected, false);
+  assert.equal(m1.totalDistanceM, 50);
+
+  assert.equal(m2.lapsCounted, 1);
+  assert.equal(m2.boundaryCorrected, true);
+  assert.equal(m2.totalDistanceM, 100);
+
+  assert.equal(m3.boundaryCorrected, true);
+  assert.equal(m3.totalDistanceM, 150);
+});
+
+test("a lap tapped more than the tolerance after the minute mark is not pulled forward", () => {
+  const result = computeDistances({
+    lapTimes: [121.5],
+    minutes: minutes([["20", "out"], ["0", "out"], ["0", "out"], ["0", "out"], ["0", "out"], ["0", "out"]]),
+    track: SHUTTLE_25
+  });
+  assert.equal(result.rows[1].boundaryCorrected, false);
+  assert.equal(result.rows[1].lapsCompleted, 0);
+});
+
+test("a live capture time counts laps up to the moment the position was tapped", () => {
+  // Lap 2 was tapped at 121.5 s; the position (3, out) was captured at 122.0 s.
+  const capturedMinutes = minutes([["0", "out"], ["3", "out"], ["5", "out"], ["5", "out"], ["5", "out"], ["5", "out"]]);
+  capturedMinutes[1].capturedAtS = 122.0;
+
+  const result = computeDistances({
+    lapTimes: [59, 121.5],
+    minutes: capturedMinutes,
+    track: SHUTTLE_25
+  });
+
+  const m2 = result.rows[1];
+  assert.equal(m2.referenceTimeS, 122.0);
+  assert.equal(m2.lapsCompleted, 2);
+  assert.equal(m2.totalDistanceM, 103);
+  assert.equal(result.rows[2].referenceTimeS, 180);
+});
+
+test("a capture time before the minute mark is ignored", () => {
+  const capturedMinutes = minutes([["10", "out"], ["10", "out"], ["10", "out"], ["10", "out"], ["10", "out"], ["10", "out"]]);
+  capturedMinutes[0].capturedAtS = 30;
+  const result = computeDistances({ lapTimes: [], minutes: capturedMinutes, track: SHUTTLE_25 });
+  assert.equal(result.rows[0].referenceTimeS, 60);
+});
+
+test("total distance never decreases; clamped minutes are flagged", () => {
+  // Minute 2 note (5 out, no new lap) is behind minute 1 (20 out).
+  const result = computeDistances({
+    lapTimes: [],
+    minutes: minutes([["20", "out"], ["5", "out"], ["22", "out"], ["22", "out"], ["23", "out"], ["24", "out"]]),
+    track: SHUTTLE_25
+  });
+  const m2 = result.rows[1];
+  assert.equal(m2.clamped, true);
+  assert.equal(m2.rawTotalDistanceM, 5);
+  assert.equal(m2.totalDistanceM, 20);
+  assert.equal(m2.distanceThisMinuteM, 0);
+  assert.equal(result.rows[0].clamped, false);
+});
+
+test("unsorted lap times are sorted before counting", () => {
+  const result = computeDistances({
+    lapTimes: [100, 40],
+    minutes: minutes([["5", "out"], ["5", "out"], ["5", "out"], ["5", "out"], ["5", "out"], ["5", "out"]]),
+    track: SHUTTLE_25
+  });
+  assert.deepEqual(result.sortedLapTimes, [40, 100]);
+  assert.equal(result.rows[0].totalDistanceM, 55);
+  assert.equal(result.rows[1].totalDistanceM, 105);
+});
+
+test("loop tracks use the loop length as the lap", () => {
+  const result = computeDistances({
+    lapTimes: [45, 90, 135, 180, 225, 270, 315],
+    minutes: minutes([["20", ""], ["40", ""], ["0", ""], ["20", ""], ["40", ""], ["0", ""]]),
+    track: LOOP_60
+  });
+  assert.deepEqual(
+    result.rows.map((r) => r.totalDistanceM),
+    [80, 160, 240, 320, 400, 420]
+  );
+  assert.equal(result.lapLengthM, 60);
+});
+
+test("any number of minute rows is computed (2- and 12-minute protocols)", () => {
+  const short = computeDistances({
+    lapTimes: [50, 100],
+    minutes: minutes([["10", "out"], ["20", "back"]]),
+    track: SHUTTLE_25
+  });
+  assert.deepEqual(short.rows.map((r) => r.totalDistanceM), [60, 130]);
+
+  // 12 minutes, one lap every 60 s, note always at the start line heading out
+  const long = computeDistances({
+    lapTimes: Array.from({ length: 12 }, (_, i) => (i + 1) * 60),
+    minutes: minutes(Array.from({ length: 12 }, () => ["0", "out"])),
+    track: SHUTTLE_25
+  });
+  assert.equal(long.rows.length, 12);
+  assert.equal(long.totalDistanceM, 600);
+  assert.equal(long.rows[11].minute, 12);
+});
+
+test("an early termination only needs the minutes before the stop", () => {
+  const result = computeDistances({
+    lapTimes: [50, 100, 150, 200, 250],
+    minutes: minutes([["10", "out"], ["20", "out"], ["5", "back"], ["15", "out"], ["", "out"], ["", "out"]]),
+    track: SHUTTLE_25,
+    termination: { timeS: 277, pos: "10", dir: "back" }
+  });
+  assert.deepEqual(result.errors, []);
+  assert.deepEqual(result.rows.map((r) => r.minute), [1, 2, 3, 4]);
+  assert.deepEqual(result.notCompletedMinutes, [5, 6]);
+
+  // 5 laps by 4:37 plus 40 m into the sixth (10 m marking on the way back)
+  const stop = result.terminationRow;
+  assert.equal(stop.minute, null);
+  assert.equal(stop.timeS, 277);
+  assert.equal(stop.totalDistanceM, 290);
+  assert.equal(stop.distanceThisMinuteM, 290 - result.rows[3].totalDistanceM);
+  assert.equal(result.totalDistanceM, 290);
+});
+
+test("an early termination reports a bad stop time or stop position", () => {
+  const noTime = computeDistances({
+    lapTimes: [],
+    minutes: minutes([["", "out"]]),
+    track: SHUTTLE_25,
+    termination: { timeS: null, pos: "5", dir: "out" }
+  });
+  assert.equal(noTime.errors[0].code, "invalid-termination-time");
+
+  const noPos = computeDistances({
+    lapTimes: [],
+    minutes: minutes([["", "out"]]),
+    track: SHUTTLE_25,
+    termination: { timeS: 40, pos: "", dir: "out" }
+  });
+  assert.equal(noPos.errors.length, 1);
+  assert.equal(noPos.errors[0].code, "missing-position");
+  assert.equal(noPos.errors[0].minute, null);
+  assert.match(noPos.errors[0].message, /stop position/);
+});
+
+test("summarizeRestStops totals closed stops and finds their minutes", () => {
+  const summary = summarizeRestStops([
+    { startS: 290, endS: 310 },
+    { startS: 130.5, endS: 160 }
+  ]);
+  assert.equal(summary.count, 2);
+  assert.equal(summary.openCount, 0);
+  assert.equal(summary.totalRestS, 49.5);
+  assert.deepEqual(
+    summary.stops.map((s) => [s.number, s.startMinute, s.endMinute]),
+    [
+      [1, 3, 3],
+      [2, 5, 6]
+    ]
+  );
+});
+
+test("summarizeRestStops lists a stop in progress without counting it", () => {
+  const summary = summarizeRestStops([
+    { startS: 60, endS: 120 },
+    { startS: 200, endS: null }
+  ]);
+  assert.equal(summary.count, 2);
+  assert.equal(summary.openCount, 1);
+  assert.equal(summary.totalRestS, 60);
+  assert.equal(summary.stops[0].endMinute, 2);
+  assert.equal(summary.stops[1].durationS, null);
+});
+
+test("computePaceAnalytics derives lap splits and per-minute speeds", () => {
+  const result = computeDistances({
+    lapTimes: [40, 80, 125, 175],
+    minutes: minutes([["10", "out"], ["20", "back"], ["20", "out"], ["10", "back"]]),
+    track: SHUTTLE_25
+  });
+  const pace = computePaceAnalytics(result);
+
+  assert.deepEqual(pace.laps.map((l) => l.splitS), [40, 40, 45, 50]);
+  assert.equal(pace.laps[0].speedMps, 50 / 40);
+  assert.deepEqual(pace.minutes.map((m) => m.distanceM), [60, 70, 90, 20]);
+  assert.equal(pace.minutes[0].speedMps, 1);
+  assert.equal(pace.lapSplits.mean, 43.75);
+  assert.equal(pace.lapSplits.min, 40);
+  assert.equal(pace.lapSplits.max, 50);
+  assert.ok(pace.lapSplits.cvPercent > 0);
+});
+
+test("computePaceAnalytics flags a slowdown of 10% or more between the first and last two minutes", () => {
+  const rowsFromDistances = (perMinute) => {
+    let total = 0;
+    return perMinute.map((d, i) => {
+      total += d;
+      return { minute: i + 1, timeS: (i + 1) * 60, distanceThisMinuteM: d, totalDistanceM: total };
+    });
+  };
+
+  const slowed = computePaceAnalytics({
+    sortedLapTimes: [],
+    rows: rowsFromDistances([90, 90, 85, 80, 75, 75]),
+    lapLengthM: 50
+  });
+  assert.equal(slowed.slowdown.firstMps, 1.5);
+  assert.equal(slowed.slowdown.lastMps, 1.25);
+  assert.ok(Math.abs(slowed.slowdown.changePercent - -16.667) < 0.001);
+  assert.equal(slowed.slowdown.slowed, true);
+
+  const steady = computePaceAnalytics({
+    sortedLapTimes: [],
+    rows: rowsFromDistances([90, 90, 88, 88, 86, 86]),
+    lapLengthM: 50
+  });
+  assert.equal(steady.slowdown.slowed, false);
+
+  // Too few minutes to compare two against two
+  const short = computePaceAnalytics({ sortedLapTimes: [], rows: rowsFromDistances([90, 90]), lapLengthM: 50 });
+  assert.equal(short.slowdown, null);
+});
+
+test("computePaceAnalytics times the stop row from the last minute mark", () => {
+  const result = computeDistances({
+    lapTimes: [50, 100],
+    minutes: minutes([["10", "out"], ["", "out"]]),
+    track: SHUTTLE_25,
+    termination: { timeS: 90, pos: "20", dir: "back" }
+  });
+  const pace = computePaceAnalytics(result);
+  const stop = pace.minutes[pace.minutes.length - 1];
+  assert.equal(stop.minute, null);
+  assert.equal(stop.durationS, 30);
+  assert.equal(stop.distanceM, 80 - 60);
+  // The stop row is left out of the minute-speed spread
+  assert.equal(pace.minuteSpeeds.mean, 1);
+});
+
+test("checkDataQuality is silent for consistent data", () => {
+  // One lap every 50 s; each note sits where the lap timing puts the patient.
+  const result = computeDistances({
+    lapTimes: [50, 100, 150, 200, 250, 300, 350],
+    minutes: minutes([["10", "out"], ["20", "out"], ["20", "back"], ["10", "back"], ["0", "out"], ["10", "out"]]),
+    track: SHUTTLE_25
+  });
+  assert.deepEqual(checkDataQuality(result), []);
+});
+
+test("checkDataQuality flags clamping, conflicts and the boundary correction", () => {
+  // Minute 2 has the direction toggled wrongly: 5 s into a 60 s lap is 4 m out, not 4 m back
+  const wrongDir = computeDistances({
+    lapTimes: [55, 115, 175],
+    minutes: minutes([["4", "out"], ["4", "back"], ["4", "out"]]),
+    track: SHUTTLE_25
+  });
+  const codes = checkDataQuality(wrongDir).map((w) => `${w.code}@${w.minute}`);
+  assert.ok(codes.includes("position-conflict@2"));
+
+  const clamped = computeDistances({
+    lapTimes: [50],
+    minutes: minutes([["20", "back"], ["5", "out"]]),
+    track: SHUTTLE_25
+  });
+  const clampWarning = checkDataQuality(clamped).find((w) => w.code === "clamped");
+  assert.equal(clampWarning.minute, 2);
+  assert.deepEqual(clampWarning.params, { rawTotalM: 55, totalM: 80 });
+
+  const corrected = computeDistances({
+    lapTimes: [60.4],
+    minutes: minutes([["0", "out"]]),
+    track: SHUTTLE_25
+  });
+  assert.deepEqual(checkDataQuality(corrected).map((w) => w.code), ["boundary-corrected"]);
+});
+
+test("checkDataQuality flags laps and minutes faster than walking", () => {
+  const result = computeDistances({
+    lapTimes: [40, 41, 80, 120, 160],
+    minutes: minutes([["10", "out"], ["0", "out"]]),
+    track: SHUTTLE_25
+  });
+  const warnings = checkDataQuality(result);
+  const lapWarning = warnings.find((w) => w.code === "implausible-lap");
+  assert.equal(lapWarning.lap, 2);
+  // The double tap also puts 110 m into minute 1 (over 1.8 m/s is fine, 2.5 m/s is not)
+  assert.ok(!warnings.some((w) => w.code === "implausible-minute" && w.minute === 1));
+
+  const fast = computeDistances({
+    lapTimes: [20, 40, 60],
+    minutes: minutes([["10", "out"]]),
+    track: SHUTTLE_25
+  });
+  assert.ok(checkDataQuality(fast).some((w) => w.code === "implausible-minute" && w.minute === 1));
+});
+
+test("explainCalculation traces laps, the boundary correction, the offset and the clamp", () => {
+  const result = computeDistances({
+    lapTimes: [58, 120.6],
+    minutes: minutes([["20", "back"], ["0", "out"], ["5", "out"], ["0", "out"], ["0", "out"], ["0", "out"]]),
+    track: SHUTTLE_25
+  });
+  const explained = explainCalculation({ ...result, track: SHUTTLE_25 });
+
+  assert.deepEqual(explained.map((e) => e.minute), [1, 2, 3, 4, 5, 6]);
+  const [m1, m2, m3] = explained.map((e) => e.steps.map((step) => step.text).join("\n"));
+
+  assert.match(m1, /counts 1 lap\(s\) tapped at or before 60 s \(last tap at 58 s\)/);
+  assert.match(m1, /only applies at 0 heading out \(the note shows 20 m back\)/);
+  assert.match(m1, /positionToOffsetWithinLap\(20 m back\) = 30 m \(heading back, the offset is 50 - 20\)/);
+
+  assert.match(m2, /counts 1 lap\(s\) tapped at or before 120 s \(last tap at 58 s\)/);
+  assert.match(m2, /Boundary correction applied: .* lap 2 was tapped 0\.6 s later, within 1 s, so it counts here: 2 lap\(s\)/);
+  assert.match(m2, /Raw total: 2 x 50 m \+ 0 m = 100 m\./);
+  assert.match(m2, /Distance: 100 - 80 = 20 m/);
+
+  assert.match(m3, /Raw total: 2 x 50 m \+ 5 m = 105 m\./);
+  assert.match(m3, /No adjustment/);
+
+  // Minute 4 is 0 out with no further laps: total falls back to 100 m and is held at 105 m.
+  const m4 = explained[3].steps.map((step) => step.text).join("\n");
+  assert.match(m4, /no lap was tapped after the reference time/);
+  assert.match(m4, /100 m is below the previous total of 105 m, so the total is held at 105 m/);
+
+  // Each step also carries a code and its numbers, for wording it in another language.
+  assert.deepEqual(
+    explained[1].steps.map((step) => step.code),
+    ["reference-mark", "laps-counted-last", "boundary-applied", "offset", "raw-total", "no-adjustment", "distance"]
+  );
+  const applied = explained[1].steps[2].params;
+  assert.deepEqual(
+    [applied.position, applied.unit, applied.direction, applied.nextLap, applied.laps],
+    [0, "m", "out", 2, 2]
+  );
+  assert.ok(Math.abs(applied.afterS - 0.6) < 1e-9);
+  assert.deepEqual(explained[3].steps[5], {
+    code: "clamped",
+    params: { rawTotalM: 100, previousTotalM: 105, totalM: 105 },
+    text: "Non-decreasing adjustment: 100 m is below the previous total of 105 m, so the total is held at 105 m."
+  });
+});
+
+test("explainCalculation describes live captures and the stop row", () => {
+  const capturedMinutes = minutes([["10", "out"], ["10", "out"]]);
+  capturedMinutes[0].capturedAtS = 61.5;
+  const result = computeDistances({
+    lapTimes: [50],
+    minutes: capturedMinutes,
+    track: LOOP_60,
+    termination: { timeS: 150, pos: "40", dir: "" }
+  });
+  const explained = explainCalculation({ ...result, track: LOOP_60 });
+
+  assert.deepEqual(explained.map((e) => e.minute), [1, 2, null]);
+  assert.match(explained[0].steps[0].text, /Reference time 61\.5 s: the position was captured 1\.5 s after the mark at 60 s/);
+  assert.equal(explained[0].steps[0].code, "reference-captured");
+  assert.match(explained[0].steps.map((step) => step.text).join("\n"), /on a loop the marking is the offset/);
+  assert.equal(explained[2].steps[0].code, "reference-stop");
+  assert.match(explained[2].steps[0].text, /the time the test was stopped/);
+});
+
+test("computeDistances works in metres on a corridor marked in feet", () => {
+  const result = computeDistances({
+    lapTimes: [40, 80, 120],
+    minutes: minutes([["50", "back"], ["0", "out"], ["101", "out"]]),
+    track: SHUTTLE_100_FT
+  });
+  assert.deepEqual(result.errors.map((e) => [e.code, e.minute]), [["invalid-position", 3]]);
+  assert.match(result.errors[0].message, /between 0 and 100 for minute 3/);
+
+  const ok = computeDistances({
+    lapTimes: [40, 80, 120],
+    minutes: minutes([["50", "back"], ["0", "out"]]),
+    track: SHUTTLE_100_FT
+  });
+  const [m1, m2] = ok.rows;
+  assert.equal(m1.position, 50);
+  assert.equal(m1.positionM, 15.24);
+  assert.equal(m1.totalDistanceM, 60.96 + 45.72);
+  assert.equal(m2.totalDistanceM, 3 * 60.96);
+  assert.equal(ok.lapLengthM, 60.96);
+
+  const steps = explainCalculation({ ...ok, track: SHUTTLE_100_FT })[0]
+    .steps.map((step) => step.text)
+    .join("\n");
+  assert.match(steps, /positionToOffsetWithinLap\(50 ft back\) = 45\.72 m \(50 ft = 15\.24 m; heading back/);
+});
@@ -0,0 +1,68 @@
+/*
+  Tests for i18n.js.
+
+  Run from the repository root with Node 18 or later (no dependencies needed):
+    node --test tests/
+*/
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  DEFAULT_LANGUAGE,
+  LANGUAGES,
+  MESSAGES,
+  resolveLanguage,
+  translate,
+  translatePlural,
+  formatNumber
+} = require("../i18n.js");
+
+function placeholders(message) {
+  return (message.match(/\{\w+\}/g) || []).sort();
+}
+
+test("every language has a catalog with exactly the English keys", () => {
+  const englishKeys = Object.keys(MESSAGES[DEFAULT_LANGUAGE]).sort();
+  for (const lang of Object.keys(LANGUAGES)) {
+    assert.deepEqual(Object.keys(MESSAGES[lang]).sort(), englishKeys, lang);
+  }
+});
+
+test("translations use the same placeholders as the English message", () => {
+  for (const lang of Object.keys(LANGUAGES)) {
+    for (const [key, message] of Object.entries(MESSAGES[DEFAULT_LANGUAGE])) {
+      assert.deepEqual(placeholders(MESSAGES[lang][key]), placeholders(message), `${lang} ${key}`);
+    }
+  }
+});
+
+test("resolveLanguage reduces region tags and falls back to English", () => {
+  assert.equal(resolveLanguage("es-MX"), "es");
+  assert.equal(resolveLanguage("FR"), "fr");
+  assert.equal(resolveLanguage("de-DE"), "en");
+  assert.equal(resolveLanguage(undefined), "en");
+});
+
+test("translate fills placeholders and falls back to English, then the key", () => {
+  assert.equal(translate("es", "giant.laps.other", { count: 3 }), "3 vueltas");
+  assert.equal(translate("de", "giant.laps.other", { count: 3 }), "3 laps");
+  assert.equal(translate("fr", "no.such.key"), "no.such.key");
+  // An unknown placeholder stays visible rather than turning into "undefined".
+  assert.equal(translate("en", "giant.laps.other"), "{count} laps");
+});
+
+test("translatePlural follows each language's plural rule", () => {
+  assert.equal(translatePlural("en", "giant.laps", 1), "1 lap");
+  assert.equal(translatePlural("en", "giant.laps", 0), "0 laps");
+  assert.equal(translatePlural("fr", "giant.laps", 0), translate("fr", "giant.laps.one", { count: 0 }));
+  assert.equal(translatePlural("es", "giant.laps", 0), "0 vueltas");
+});
+
+test("formatNumber uses the language's decimal separator without grouping", () => {
+  assert.equal(formatNumber("en", 12.5, 2), "12.50");
+  assert.equal(formatNumber("es", 12.5, 2), "12,50");
+  assert.equal(formatNumber("fr", 12.5, 2), "12,50");
+  assert.equal(formatNumber("es", 1234.5, 1), "1234,5");
+  assert.equal(formatNumber("en", 12, 1, 0), "12");
+});